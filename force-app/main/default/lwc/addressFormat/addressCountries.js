@@ -0,0 +1,673 @@
+/*************************************************************************************************
+ * Module          : addressFormat/addressCountries (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : ISO-3166-1 country catalogue (Dutch labels) + per-country address schemas
+ *                   used by the manual (non-NL) address form.
+ *
+ * Responsibilities:
+ *  - getAllCountries(): full ISO-3166-1 alpha-2 list, Nederland first, rest sorted on Dutch label
+ *  - getAddressSchema(iso): field order, state/province rules, postcode regex + example and
+ *    house-number rules for the given country (falls back to DEFAULT_SCHEMA)
+ *  - findCountryIso(): ISO code for a code or Dutch label (Flow variables carry either)
+ *  - normalizePostalCode(): trim + uppercase + collapse whitespace before validation/output
+ *
+ * Notes           : Patterns are strings so they can be shown/reused; they are matched
+ *                   case-insensitive against the normalised value.
+ *                   Country labels stay Dutch in every user language: they are stored on the
+ *                   address records and resolved back by findCountryIso().
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version (replaces hardcoded 10-country list in kadasterLookupFlow).
+ * 2026-10-19 | DvM | Moved to c/addressFormat (shared); added findCountryIso().
+ * 2026-10-19 | DvM | State/province field labels from custom labels (NL/EN).
+ *************************************************************************************************/
+
+import STATE_PROVINCE from '@salesforce/label/c.Woonstad_Address_State_Province';
+import PROVINCE from '@salesforce/label/c.Woonstad_Address_State_Province_Only';
+import STATE from '@salesforce/label/c.Woonstad_Address_State_State';
+import STATE_TERRITORY from '@salesforce/label/c.Woonstad_Address_State_Territory';
+import DISTRICT from '@salesforce/label/c.Woonstad_Address_State_District';
+import OBLAST from '@salesforce/label/c.Woonstad_Address_State_Oblast';
+import REGION from '@salesforce/label/c.Woonstad_Address_State_Region';
+import GOVERNORATE from '@salesforce/label/c.Woonstad_Address_State_Governorate';
+import PREFECTURE from '@salesforce/label/c.Woonstad_Address_State_Prefecture';
+
+export const DEFAULT_COUNTRY = 'NL';
+
+/* =========================================================================
+   FIELD ORDERS
+   ========================================================================= */
+// Street first, postcode before city (most of continental Europe)
+const ORDER_EU = ['street', 'houseNumber', 'addition', 'postalCode', 'city', 'state'];
+// Same, without state/province line
+const ORDER_EU_NO_STATE = ['street', 'houseNumber', 'addition', 'postalCode', 'city'];
+// House number first, postcode before city (FR, LU)
+const ORDER_FR = ['houseNumber', 'addition', 'street', 'postalCode', 'city'];
+// House number first, city + state before postcode (US, CA, AU, ...)
+const ORDER_ANGLO = ['houseNumber', 'addition', 'street', 'city', 'state', 'postalCode'];
+// House number first, no state line (GB, IE)
+const ORDER_ANGLO_NO_STATE = ['houseNumber', 'addition', 'street', 'city', 'postalCode'];
+
+/* =========================================================================
+   HOUSE-NUMBER RULES
+   ========================================================================= */
+const HOUSE_NUMBER_NUMERIC = { required: true, pattern: '^[0-9]{1,5}[A-Z]?$', example: '12' };
+const HOUSE_NUMBER_FREE = { required: true, pattern: null, example: null };
+const HOUSE_NUMBER_OPTIONAL = { required: false, pattern: null, example: null };
+
+/* =========================================================================
+   DEFAULT SCHEMA (countries without a specific entry)
+   ========================================================================= */
+const DEFAULT_SCHEMA = {
+    fields: ORDER_EU,
+    stateRequired: false,
+    stateLabel: STATE_PROVINCE,
+    postalCode: { required: true, pattern: null, example: null },
+    houseNumber: HOUSE_NUMBER_FREE
+};
+
+// Countries without a (generally used) postal code system
+const NO_POSTAL_CODE = [
+    'AE', 'AG', 'AO', 'AW', 'BF', 'BI', 'BJ', 'BO', 'BQ', 'BS', 'BW', 'BZ', 'CD', 'CF', 'CG',
+    'CI', 'CK', 'CM', 'CW', 'DJ', 'DM', 'ER', 'FJ', 'GD', 'GH', 'GM', 'GQ', 'GY', 'HK', 'KI',
+    'KM', 'KN', 'KP', 'LC', 'ML', 'MO', 'MR', 'MW', 'NR', 'NU', 'QA', 'RW', 'SB', 'SC', 'SL',
+    'SR', 'ST', 'SX', 'SY', 'TG', 'TK', 'TL', 'TO', 'TT', 'TV', 'UG', 'VU', 'YE', 'ZW'
+];
+
+/**
+ * Country-specific overrides on DEFAULT_SCHEMA.
+ * postalCode / houseNumber entries replace the default rule as a whole.
+ */
+const COUNTRY_SCHEMAS = {
+    NL: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[1-9][0-9]{3} ?[A-Z]{2}$', example: '1234AB' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    BE: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[1-9][0-9]{3}$', example: '1000' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    DE: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '10115' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    PL: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{2}-[0-9]{3}$', example: '00-950' },
+        // Apartment can be written as 12/3
+        houseNumber: { required: true, pattern: '^[0-9]{1,5}[A-Z]?(/[0-9]{1,4})?$', example: '12/3' }
+    },
+    MA: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '20250' },
+        // Lot/immeuble references are common; a house number is not always present
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    FR: {
+        fields: ORDER_FR,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '75001' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    LU: {
+        fields: ORDER_FR,
+        postalCode: { required: true, pattern: '^(L-)?[0-9]{4}$', example: '1009' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    AT: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '1010' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    CH: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '8001' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    DK: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '1050' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    NO: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '0150' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    SE: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{3} ?[0-9]{2}$', example: '114 55' },
+        houseNumber: HOUSE_NUMBER_NUMERIC
+    },
+    FI: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '00100' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    IT: {
+        fields: ORDER_EU,
+        stateRequired: true,
+        stateLabel: PROVINCE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '00184' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    ES: {
+        fields: ORDER_EU,
+        stateLabel: PROVINCE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '28001' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    PT: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}-[0-9]{3}$', example: '1000-001' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    GB: {
+        fields: ORDER_ANGLO_NO_STATE,
+        postalCode: { required: true, pattern: '^[A-Z]{1,2}[0-9][A-Z0-9]? ?[0-9][A-Z]{2}$', example: 'SW1A 1AA' },
+        // Many British addresses only carry a house name
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    IE: {
+        fields: ORDER_ANGLO_NO_STATE,
+        postalCode: { required: false, pattern: '^[A-Z][0-9][0-9W] ?[0-9A-Z]{4}$', example: 'D02 X285' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    US: {
+        fields: ORDER_ANGLO,
+        stateRequired: true,
+        stateLabel: STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}(-[0-9]{4})?$', example: '10001' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    CA: {
+        fields: ORDER_ANGLO,
+        stateRequired: true,
+        stateLabel: PROVINCE,
+        postalCode: { required: true, pattern: '^[A-Z][0-9][A-Z] ?[0-9][A-Z][0-9]$', example: 'K1A 0B1' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    AU: {
+        fields: ORDER_ANGLO,
+        stateRequired: true,
+        stateLabel: STATE_TERRITORY,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '2000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    TR: {
+        fields: ORDER_EU,
+        stateLabel: PROVINCE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '34000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    CZ: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{3} ?[0-9]{2}$', example: '110 00' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    SK: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{3} ?[0-9]{2}$', example: '811 01' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    GR: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{3} ?[0-9]{2}$', example: '105 57' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    HU: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '1051' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    RO: {
+        fields: ORDER_EU,
+        stateLabel: DISTRICT,
+        postalCode: { required: true, pattern: '^[0-9]{6}$', example: '010011' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    BG: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '1000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    HR: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '10000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    SI: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '1000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    LT: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^(LT-)?[0-9]{5}$', example: 'LT-01100' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    LV: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^(LV-)?[0-9]{4}$', example: 'LV-1050' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    EE: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '10111' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    UA: {
+        fields: ORDER_EU,
+        stateLabel: OBLAST,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '01001' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    RU: {
+        fields: ORDER_EU,
+        stateLabel: REGION,
+        postalCode: { required: true, pattern: '^[0-9]{6}$', example: '101000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    DZ: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '16000' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    TN: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: true, pattern: '^[0-9]{4}$', example: '1000' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    EG: {
+        fields: ORDER_EU,
+        stateLabel: GOVERNORATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '11511' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    CV: {
+        fields: ORDER_EU_NO_STATE,
+        postalCode: { required: false, pattern: '^[0-9]{4}$', example: '7600' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    IN: {
+        fields: ORDER_ANGLO,
+        stateRequired: true,
+        stateLabel: STATE,
+        postalCode: { required: true, pattern: '^[0-9]{6}$', example: '110001' },
+        houseNumber: HOUSE_NUMBER_OPTIONAL
+    },
+    CN: {
+        fields: ORDER_EU,
+        stateRequired: true,
+        stateLabel: PROVINCE,
+        postalCode: { required: true, pattern: '^[0-9]{6}$', example: '100000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    JP: {
+        fields: ORDER_EU,
+        stateRequired: true,
+        stateLabel: PREFECTURE,
+        postalCode: { required: true, pattern: '^[0-9]{3}-?[0-9]{4}$', example: '100-0001' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    BR: {
+        fields: ORDER_EU,
+        stateRequired: true,
+        stateLabel: STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}-?[0-9]{3}$', example: '01310-100' },
+        houseNumber: HOUSE_NUMBER_FREE
+    },
+    MX: {
+        fields: ORDER_EU,
+        stateRequired: true,
+        stateLabel: STATE,
+        postalCode: { required: true, pattern: '^[0-9]{5}$', example: '06000' },
+        houseNumber: HOUSE_NUMBER_FREE
+    }
+};
+
+/* =========================================================================
+   ISO-3166-1 alpha-2 catalogue with Dutch labels (sorted on label, nl)
+   ========================================================================= */
+const COUNTRIES = [
+    ['AF', 'Afghanistan'],
+    ['AX', 'Åland'],
+    ['AL', 'Albanië'],
+    ['DZ', 'Algerije'],
+    ['AS', 'Amerikaans-Samoa'],
+    ['VI', 'Amerikaanse Maagdeneilanden'],
+    ['AD', 'Andorra'],
+    ['AO', 'Angola'],
+    ['AI', 'Anguilla'],
+    ['AQ', 'Antarctica'],
+    ['AG', 'Antigua en Barbuda'],
+    ['AR', 'Argentinië'],
+    ['AM', 'Armenië'],
+    ['AW', 'Aruba'],
+    ['AU', 'Australië'],
+    ['AZ', 'Azerbeidzjan'],
+    ['BS', "Bahama's"],
+    ['BH', 'Bahrein'],
+    ['BD', 'Bangladesh'],
+    ['BB', 'Barbados'],
+    ['BY', 'Belarus'],
+    ['BE', 'België'],
+    ['BZ', 'Belize'],
+    ['BJ', 'Benin'],
+    ['BM', 'Bermuda'],
+    ['BT', 'Bhutan'],
+    ['BO', 'Bolivia'],
+    ['BA', 'Bosnië en Herzegovina'],
+    ['BW', 'Botswana'],
+    ['BV', 'Bouveteiland'],
+    ['BR', 'Brazilië'],
+    ['IO', 'Brits Indische Oceaanterritorium'],
+    ['VG', 'Britse Maagdeneilanden'],
+    ['BN', 'Brunei'],
+    ['BG', 'Bulgarije'],
+    ['BF', 'Burkina Faso'],
+    ['BI', 'Burundi'],
+    ['KH', 'Cambodja'],
+    ['CA', 'Canada'],
+    ['BQ', 'Caribisch Nederland'],
+    ['CF', 'Centraal-Afrikaanse Republiek'],
+    ['CL', 'Chili'],
+    ['CN', 'China'],
+    ['CX', 'Christmaseiland'],
+    ['CC', 'Cocoseilanden'],
+    ['CO', 'Colombia'],
+    ['KM', 'Comoren'],
+    ['CG', 'Congo-Brazzaville'],
+    ['CD', 'Congo-Kinshasa'],
+    ['CK', 'Cookeilanden'],
+    ['CR', 'Costa Rica'],
+    ['CU', 'Cuba'],
+    ['CW', 'Curaçao'],
+    ['CY', 'Cyprus'],
+    ['DK', 'Denemarken'],
+    ['DJ', 'Djibouti'],
+    ['DM', 'Dominica'],
+    ['DO', 'Dominicaanse Republiek'],
+    ['DE', 'Duitsland'],
+    ['EC', 'Ecuador'],
+    ['EG', 'Egypte'],
+    ['SV', 'El Salvador'],
+    ['GQ', 'Equatoriaal-Guinea'],
+    ['ER', 'Eritrea'],
+    ['EE', 'Estland'],
+    ['SZ', 'Eswatini'],
+    ['ET', 'Ethiopië'],
+    ['FO', 'Faeröer'],
+    ['FK', 'Falklandeilanden'],
+    ['FJ', 'Fiji'],
+    ['PH', 'Filipijnen'],
+    ['FI', 'Finland'],
+    ['FR', 'Frankrijk'],
+    ['GF', 'Frans-Guyana'],
+    ['PF', 'Frans-Polynesië'],
+    ['TF', 'Franse Zuidelijke en Antarctische Gebieden'],
+    ['GA', 'Gabon'],
+    ['GM', 'Gambia'],
+    ['GE', 'Georgië'],
+    ['GH', 'Ghana'],
+    ['GI', 'Gibraltar'],
+    ['GD', 'Grenada'],
+    ['GR', 'Griekenland'],
+    ['GL', 'Groenland'],
+    ['GP', 'Guadeloupe'],
+    ['GU', 'Guam'],
+    ['GT', 'Guatemala'],
+    ['GG', 'Guernsey'],
+    ['GN', 'Guinee'],
+    ['GW', 'Guinee-Bissau'],
+    ['GY', 'Guyana'],
+    ['HT', 'Haïti'],
+    ['HM', 'Heard en McDonaldeilanden'],
+    ['HN', 'Honduras'],
+    ['HU', 'Hongarije'],
+    ['HK', 'Hongkong'],
+    ['IE', 'Ierland'],
+    ['IS', 'IJsland'],
+    ['IN', 'India'],
+    ['ID', 'Indonesië'],
+    ['IQ', 'Irak'],
+    ['IR', 'Iran'],
+    ['IM', 'Isle of Man'],
+    ['IL', 'Israël'],
+    ['IT', 'Italië'],
+    ['CI', 'Ivoorkust'],
+    ['JM', 'Jamaica'],
+    ['JP', 'Japan'],
+    ['YE', 'Jemen'],
+    ['JE', 'Jersey'],
+    ['JO', 'Jordanië'],
+    ['KY', 'Kaaimaneilanden'],
+    ['CV', 'Kaapverdië'],
+    ['CM', 'Kameroen'],
+    ['KZ', 'Kazachstan'],
+    ['KE', 'Kenia'],
+    ['KG', 'Kirgizië'],
+    ['KI', 'Kiribati'],
+    ['UM', 'Kleine afgelegen eilanden van de Verenigde Staten'],
+    ['KW', 'Koeweit'],
+    ['HR', 'Kroatië'],
+    ['LA', 'Laos'],
+    ['LS', 'Lesotho'],
+    ['LV', 'Letland'],
+    ['LB', 'Libanon'],
+    ['LR', 'Liberia'],
+    ['LY', 'Libië'],
+    ['LI', 'Liechtenstein'],
+    ['LT', 'Litouwen'],
+    ['LU', 'Luxemburg'],
+    ['MO', 'Macau'],
+    ['MG', 'Madagaskar'],
+    ['MW', 'Malawi'],
+    ['MV', 'Maldiven'],
+    ['MY', 'Maleisië'],
+    ['ML', 'Mali'],
+    ['MT', 'Malta'],
+    ['MA', 'Marokko'],
+    ['MH', 'Marshalleilanden'],
+    ['MQ', 'Martinique'],
+    ['MR', 'Mauritanië'],
+    ['MU', 'Mauritius'],
+    ['YT', 'Mayotte'],
+    ['MX', 'Mexico'],
+    ['FM', 'Micronesia'],
+    ['MD', 'Moldavië'],
+    ['MC', 'Monaco'],
+    ['MN', 'Mongolië'],
+    ['ME', 'Montenegro'],
+    ['MS', 'Montserrat'],
+    ['MZ', 'Mozambique'],
+    ['MM', 'Myanmar'],
+    ['NA', 'Namibië'],
+    ['NR', 'Nauru'],
+    ['NL', 'Nederland'],
+    ['NP', 'Nepal'],
+    ['NI', 'Nicaragua'],
+    ['NC', 'Nieuw-Caledonië'],
+    ['NZ', 'Nieuw-Zeeland'],
+    ['NE', 'Niger'],
+    ['NG', 'Nigeria'],
+    ['NU', 'Niue'],
+    ['KP', 'Noord-Korea'],
+    ['MK', 'Noord-Macedonië'],
+    ['MP', 'Noordelijke Marianen'],
+    ['NO', 'Noorwegen'],
+    ['NF', 'Norfolk'],
+    ['UG', 'Oeganda'],
+    ['UA', 'Oekraïne'],
+    ['UZ', 'Oezbekistan'],
+    ['OM', 'Oman'],
+    ['TL', 'Oost-Timor'],
+    ['AT', 'Oostenrijk'],
+    ['PK', 'Pakistan'],
+    ['PW', 'Palau'],
+    ['PS', 'Palestina'],
+    ['PA', 'Panama'],
+    ['PG', 'Papoea-Nieuw-Guinea'],
+    ['PY', 'Paraguay'],
+    ['PE', 'Peru'],
+    ['PN', 'Pitcairneilanden'],
+    ['PL', 'Polen'],
+    ['PT', 'Portugal'],
+    ['PR', 'Puerto Rico'],
+    ['QA', 'Qatar'],
+    ['RE', 'Réunion'],
+    ['RO', 'Roemenië'],
+    ['RU', 'Rusland'],
+    ['RW', 'Rwanda'],
+    ['KN', 'Saint Kitts en Nevis'],
+    ['LC', 'Saint Lucia'],
+    ['VC', 'Saint Vincent en de Grenadines'],
+    ['BL', 'Saint-Barthélemy'],
+    ['MF', 'Saint-Martin'],
+    ['PM', 'Saint-Pierre en Miquelon'],
+    ['SB', 'Salomonseilanden'],
+    ['WS', 'Samoa'],
+    ['SM', 'San Marino'],
+    ['ST', 'Sao Tomé en Principe'],
+    ['SA', 'Saoedi-Arabië'],
+    ['SN', 'Senegal'],
+    ['RS', 'Servië'],
+    ['SC', 'Seychellen'],
+    ['SL', 'Sierra Leone'],
+    ['SG', 'Singapore'],
+    ['SX', 'Sint Maarten'],
+    ['SH', 'Sint-Helena, Ascension en Tristan da Cunha'],
+    ['SI', 'Slovenië'],
+    ['SK', 'Slowakije'],
+    ['SD', 'Soedan'],
+    ['SO', 'Somalië'],
+    ['ES', 'Spanje'],
+    ['SJ', 'Spitsbergen en Jan Mayen'],
+    ['LK', 'Sri Lanka'],
+    ['SR', 'Suriname'],
+    ['SY', 'Syrië'],
+    ['TJ', 'Tadzjikistan'],
+    ['TW', 'Taiwan'],
+    ['TZ', 'Tanzania'],
+    ['TH', 'Thailand'],
+    ['TG', 'Togo'],
+    ['TK', 'Tokelau'],
+    ['TO', 'Tonga'],
+    ['TT', 'Trinidad en Tobago'],
+    ['TD', 'Tsjaad'],
+    ['CZ', 'Tsjechië'],
+    ['TN', 'Tunesië'],
+    ['TR', 'Turkije'],
+    ['TM', 'Turkmenistan'],
+    ['TC', 'Turks- en Caicoseilanden'],
+    ['TV', 'Tuvalu'],
+    ['UY', 'Uruguay'],
+    ['VU', 'Vanuatu'],
+    ['VA', 'Vaticaanstad'],
+    ['VE', 'Venezuela'],
+    ['GB', 'Verenigd Koninkrijk'],
+    ['AE', 'Verenigde Arabische Emiraten'],
+    ['US', 'Verenigde Staten'],
+    ['VN', 'Vietnam'],
+    ['WF', 'Wallis en Futuna'],
+    ['EH', 'Westelijke Sahara'],
+    ['ZM', 'Zambia'],
+    ['ZW', 'Zimbabwe'],
+    ['ZA', 'Zuid-Afrika'],
+    ['GS', 'Zuid-Georgia en de Zuidelijke Sandwicheilanden'],
+    ['KR', 'Zuid-Korea'],
+    ['SS', 'Zuid-Soedan'],
+    ['SE', 'Zweden'],
+    ['CH', 'Zwitserland']
+];
+
+/* =========================================================================
+   PUBLIC API
+   ========================================================================= */
+
+/**
+ * Returns combobox options for all ISO-3166-1 countries.
+ * Nederland (default) is placed on top; the remainder stays sorted on Dutch label.
+ * @returns {{label: string, value: string}[]}
+ */
+export function getAllCountries() {
+    const options = COUNTRIES.map(([value, label]) => ({ label, value }));
+    const nl = options.find((o) => o.value === DEFAULT_COUNTRY);
+    return [nl, ...options.filter((o) => o.value !== DEFAULT_COUNTRY)];
+}
+
+/**
+ * Returns the Dutch label for an ISO code (or the code itself when unknown).
+ * @param {string} iso
+ * @returns {string}
+ */
+export function getCountryLabel(iso) {
+    const hit = COUNTRIES.find(([value]) => value === iso);
+    return hit ? hit[1] : iso || '';
+}
+
+/**
+ * Resolves an ISO code or Dutch country label to its ISO code.
+ * @param {string} value  e.g. 'BE' or 'België'
+ * @returns {string} ISO code, or '' when unknown
+ */
+export function findCountryIso(value) {
+    const text = String(value || '').trim();
+    if (!text) return '';
+    const upper = text.toUpperCase();
+    const lower = text.toLowerCase();
+    const hit = COUNTRIES.find(([iso, label]) => iso === upper || label.toLowerCase() === lower);
+    return hit ? hit[0] : '';
+}
+
+/**
+ * Returns the (merged) address schema for an ISO code.
+ * @param {string} iso
+ * @returns {{fields: string[], stateRequired: boolean, stateLabel: string,
+ *            postalCode: {required: boolean, pattern: ?string, example: ?string},
+ *            houseNumber: {required: boolean, pattern: ?string, example: ?string}}}
+ */
+export function getAddressSchema(iso) {
+    const code = String(iso || '').toUpperCase();
+    const schema = { ...DEFAULT_SCHEMA, ...(COUNTRY_SCHEMAS[code] || {}) };
+
+    if (NO_POSTAL_CODE.includes(code)) {
+        schema.postalCode = { required: false, pattern: null, example: null };
+    }
+    // A required state must also be rendered
+    if (schema.stateRequired && !schema.fields.includes('state')) {
+        schema.fields = [...schema.fields, 'state'];
+    }
+    return schema;
+}
+
+/**
+ * Trims, uppercases and collapses whitespace of a postal code.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizePostalCode(value) {
+    return String(value || '')
+        .trim()
+        .toUpperCase()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Tests a value against a schema pattern (case-insensitive). Empty pattern = always valid.
+ * @param {?string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function matchesPattern(pattern, value) {
+    if (!pattern) return true;
+    return new RegExp(pattern, 'i').test(String(value || '').trim());
+}
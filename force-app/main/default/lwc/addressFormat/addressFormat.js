@@ -0,0 +1,290 @@
+/*************************************************************************************************
+ * Module          : addressFormat (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : One canonical address shape + formatting for all Woonstad address components
+ *                   (woonstadAddressCapture, kadasterLookupFlow, addressEntry, confirm forms).
+ *
+ * Responsibilities:
+ *  - Canonical address object (see emptyAddress) and converters from/to:
+ *      Kadaster results (KadasterAddressLookupController), Flow variables (kadasterLookupFlow
+ *      outputs / confirm-form inputs) and Address__c records
+ *  - Display lines: street + house number, postcode + city (+ state), country
+ *  - Completeness check against the country schema
+ *  - Re-exports the ISO country catalogue + address schemas (./addressCountries)
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version (replaces nlStreetLine/nlCityLine copies in three components).
+ * 2026-10-19 | DvM | toAddressRecord: documented why state is not mapped to Province__c.
+ * 2026-10-19 | DvM | isSameAddress: compares the country; street and city when postcode/number are missing.
+ *************************************************************************************************/
+
+import { DEFAULT_COUNTRY, getCountryLabel, getAddressSchema, findCountryIso } from './addressCountries';
+
+export {
+    DEFAULT_COUNTRY,
+    getAllCountries,
+    getCountryLabel,
+    getAddressSchema,
+    findCountryIso,
+    normalizePostalCode,
+    matchesPattern
+} from './addressCountries';
+
+/** Where the address came from */
+export const SOURCE_KADASTER = 'kadaster';
+export const SOURCE_MANUAL = 'manual';
+
+/* =========================================================================
+   CANONICAL ADDRESS
+   ========================================================================= */
+
+/**
+ * Returns an empty canonical address.
+ * @param {string} [countryIso]
+ * @returns {{countryIso: string, country: string, street: string, houseNumber: string,
+ *            houseLetter: string, houseNumberAddition: string, postalCode: string, city: string,
+ *            state: string, bagId: string, source: string}}
+ */
+export function emptyAddress(countryIso = DEFAULT_COUNTRY) {
+    return {
+        countryIso,
+        country: getCountryLabel(countryIso),
+        street: '',
+        houseNumber: '',
+        houseLetter: '',
+        houseNumberAddition: '',
+        postalCode: '',
+        city: '',
+        state: '',
+        bagId: '',
+        source: ''
+    };
+}
+
+/**
+ * Kadaster result (KadasterAddressLookupController simplified shape) -> canonical address.
+ */
+export function fromKadaster(a) {
+    return {
+        ...emptyAddress(DEFAULT_COUNTRY),
+        street: a?.streetName || '',
+        houseNumber: a?.houseNumber != null ? String(a.houseNumber) : '',
+        houseLetter: a?.houseLetter || '',
+        houseNumberAddition: a?.houseNumberAddition || '',
+        postalCode: a?.postalCode || '',
+        city: a?.city || '',
+        bagId: a?.addressableObjectIdentification || '',
+        source: SOURCE_KADASTER
+    };
+}
+
+/**
+ * Flow variables -> canonical address.
+ * The main fields (streetName, postalCodeOutput, city, ...) carry both NL and manual addresses;
+ * the legacy intl* fields are used only when the main fields are empty.
+ * @param {Object} f  object exposing the kadasterLookupFlow output names (e.g. the component itself)
+ */
+export function fromFlowFields(f) {
+    const hasMain = !!(f.streetName || f.postalCodeOutput || f.city);
+    const hasIntl = !!(f.intlStreet || f.intlPostalCode || f.intlCity);
+
+    // Country label/code may arrive in any of these (confirm forms only receive intlCountry)
+    const countryValue = f.countryIsoOutput || f.countryOutput || f.intlCountry;
+    const countryIso = findCountryIso(countryValue) || (hasMain && !countryValue ? DEFAULT_COUNTRY : '');
+    const country = f.countryOutput || f.intlCountry || (countryIso ? getCountryLabel(countryIso) : '');
+
+    if (hasMain || !hasIntl) {
+        return {
+            countryIso,
+            country,
+            street: f.streetName || '',
+            houseNumber: f.houseNumberOutput || '',
+            houseLetter: f.houseLetter || '',
+            houseNumberAddition: f.houseNumberAddition || '',
+            postalCode: f.postalCodeOutput || '',
+            city: f.city || '',
+            state: f.intlState || '',
+            bagId: f.addressableObjectIdentification || '',
+            source: f.addressableObjectIdentification ? SOURCE_KADASTER : hasMain ? SOURCE_MANUAL : ''
+        };
+    }
+
+    return {
+        countryIso,
+        country,
+        street: f.intlStreet || '',
+        houseNumber: f.intlHouseNumber || '',
+        houseLetter: '',
+        houseNumberAddition: f.intlHouseAddition || '',
+        postalCode: f.intlPostalCode || '',
+        city: f.intlCity || '',
+        state: f.intlState || '',
+        bagId: '',
+        source: SOURCE_MANUAL
+    };
+}
+
+/**
+ * Canonical address -> kadasterLookupFlow output variables.
+ * Keeps the established contract: the main fields hold the address for every country,
+ * intlCountry/intlState hold country label and state; the other intl* fields stay empty.
+ * @returns {Object} output name -> string value
+ */
+export function toFlowFields(address) {
+    const a = address || emptyAddress();
+    return {
+        streetName: a.street || '',
+        houseNumberOutput: a.houseNumber || '',
+        houseLetter: a.houseLetter || '',
+        houseNumberAddition: a.houseNumberAddition || '',
+        postalCodeOutput: a.postalCode || '',
+        city: a.city || '',
+        addressableObjectIdentification: a.bagId || '',
+        countryOutput: a.country || '',
+        countryIsoOutput: a.countryIso || '',
+        intlStreet: '',
+        intlHouseNumber: '',
+        intlHouseAddition: '',
+        intlPostalCode: '',
+        intlCity: '',
+        intlState: a.state || '',
+        intlCountry: a.country || ''
+    };
+}
+
+/**
+ * Address__c record -> canonical address.
+ */
+export function fromAddressRecord(record) {
+    if (!record) return emptyAddress();
+    const countryIso = findCountryIso(record.Country__c) || DEFAULT_COUNTRY;
+    return {
+        ...emptyAddress(countryIso),
+        street: record.Street__c || '',
+        houseNumber: record.House_Number__c || '',
+        houseLetter: record.House_Letter__c || '',
+        houseNumberAddition: record.House_Number_Addition__c || '',
+        postalCode: record.Postal_Code__c || '',
+        city: record.City__c || '',
+        bagId: record.BAG_Id__c || '',
+        source: record.BAG_Id__c ? SOURCE_KADASTER : SOURCE_MANUAL
+    };
+}
+
+/**
+ * Canonical address -> Address__c record (keeps other fields of the base record, e.g. Id).
+ * Country__c holds the ISO code, as written by woonstadCreatePersonAddressService callers.
+ * state is not written: Province__c is the restricted Dutch_Provinces picklist (codes such as ZH),
+ * while state is free text for foreign addresses; NL addresses (Kadaster) never carry one.
+ */
+export function toAddressRecord(address, base) {
+    return {
+        ...(base || {}),
+        Street__c: address.street,
+        House_Number__c: address.houseNumber,
+        House_Letter__c: address.houseLetter,
+        House_Number_Addition__c: address.houseNumberAddition,
+        Postal_Code__c: address.postalCode,
+        City__c: address.city,
+        Country__c: address.countryIso,
+        BAG_Id__c: address.bagId
+    };
+}
+
+/* =========================================================================
+   STATE
+   ========================================================================= */
+
+export function isNlAddress(address) {
+    return address?.countryIso === DEFAULT_COUNTRY;
+}
+
+/** True when any address line is filled in */
+export function hasAddress(address) {
+    return !!(address && (address.street || address.postalCode || address.city));
+}
+
+/**
+ * True when the address has everything needed to save it:
+ * street, city and country, plus a postcode where the country uses one.
+ */
+export function isCompleteAddress(address) {
+    if (!address || !address.street || !address.city || !(address.countryIso || address.country)) {
+        return false;
+    }
+    return !!address.postalCode || !getAddressSchema(address.countryIso).postalCode.required;
+}
+
+/**
+ * True when both addresses point to the same location: same country, then the BAG id when both
+ * have one, else postcode + house number; street and city count too when either address lacks
+ * a postcode or house number (manual and foreign addresses).
+ */
+export function isSameAddress(a, b) {
+    if (!a || !b) return false;
+    if (normalize(a.countryIso) !== normalize(b.countryIso)) return false;
+    if (a.bagId && b.bagId) return a.bagId === b.bagId;
+
+    const samePostcodeAndNumber =
+        normalize(a.postalCode) === normalize(b.postalCode) &&
+        normalize(a.houseNumber) === normalize(b.houseNumber) &&
+        normalize(a.houseLetter) === normalize(b.houseLetter) &&
+        normalize(a.houseNumberAddition) === normalize(b.houseNumberAddition);
+    if (!samePostcodeAndNumber) return false;
+
+    const identified = !!(a.postalCode && a.houseNumber && b.postalCode && b.houseNumber);
+    return identified || (normalize(a.street) === normalize(b.street) && normalize(a.city) === normalize(b.city));
+}
+
+/* =========================================================================
+   FORMATTING
+   ========================================================================= */
+
+/** "21A 2" : number + letter, addition separated by a space */
+export function formatHouseNumber(address) {
+    if (!address) return '';
+    const num = [address.houseNumber, address.houseLetter].filter(Boolean).join('');
+    const add = address.houseNumberAddition ? ` ${address.houseNumberAddition}` : '';
+    return (num ? `${num}${add}` : '').trim();
+}
+
+/** "Coolsingel 40A 2" */
+export function formatStreetLine(address) {
+    if (!address) return '';
+    return [address.street, formatHouseNumber(address)].filter(Boolean).join(' ');
+}
+
+/** NL: "3011AD Rotterdam"; elsewhere: "90210 Beverly Hills, CA" */
+export function formatCityLine(address) {
+    if (!address) return '';
+    const cityState = [address.city, address.state].filter(Boolean).join(', ');
+    return [address.postalCode, cityState].filter(Boolean).join(' ');
+}
+
+export function formatCountryLine(address) {
+    if (!address) return '';
+    return address.country || getCountryLabel(address.countryIso);
+}
+
+/** Single line for lists and logs: "Coolsingel 40, 3011AD Rotterdam" (+ country when not NL) */
+export function formatSingleLine(address) {
+    if (!hasAddress(address)) return '';
+    const parts = [formatStreetLine(address), formatCityLine(address)];
+    if (!isNlAddress(address)) parts.push(formatCountryLine(address));
+    return parts.filter(Boolean).join(', ');
+}
+
+/* =========================================================================
+   INTERNALS
+   ========================================================================= */
+function normalize(value) {
+    return String(value || '')
+        .replace(/\s+/g, '')
+        .toUpperCase();
+}
@@ -0,0 +1,97 @@
+/*************************************************************************************************
+ * Module          : confirmChangeSet (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Compares the Flow inputs of a confirm form (woonstadFlowCustConfirmForm,
+ *                   woonstadFlowBussConfirmForm) with the values it hands back to the Flow.
+ *
+ * Responsibilities:
+ *  - Snapshot of the input values when the screen opens
+ *  - Change set: [{ field, label, oldValue, newValue }] per changed field; field is the Flow
+ *    input name (address fields: the kadasterLookupFlow names, e.g. houseLetter)
+ *  - Values are compared after normalising (e.g. "06 12345678" and "+31612345678" are equal)
+ *
+ * Notes           : The JSON is stored by woonstadCreatePersonWithAdressAction /
+ *                   woonstadCreateBussWithAddressAction on the Account's Automation_Log__c entry.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import { toFlowFields } from 'c/addressFormat';
+
+/** Address fields in the change set (toFlowFields names) with their Dutch labels */
+export const ADDRESS_FIELD_LABELS = {
+    streetName: 'Straat',
+    houseNumberOutput: 'Huisnummer',
+    houseLetter: 'Huisletter',
+    houseNumberAddition: 'Toevoeging',
+    postalCodeOutput: 'Postcode',
+    city: 'Plaats',
+    intlState: 'Staat/Provincie',
+    intlCountry: 'Land'
+};
+
+function text(value) {
+    return value == null ? '' : String(value).trim();
+}
+
+/**
+ * @param {Object} source component (or any object) holding the input values
+ * @param {Array<{name: string}>} fields
+ * @returns {Object} name -> value at the time of the call
+ */
+export function snapshot(source, fields) {
+    return fields.reduce((values, { name }) => ({ ...values, [name]: source[name] }), {});
+}
+
+/**
+ * @param {Array<{name: string, label: string, normalize?: Function}>} fields
+ * @param {Object} before snapshot of the inputs
+ * @param {Object} after current values
+ * @returns {Array<{field: string, label: string, oldValue: ?string, newValue: ?string}>}
+ */
+export function diffFields(fields, before, after) {
+    const changes = [];
+    fields.forEach(({ name, label, normalize = text }) => {
+        const oldValue = text(normalize(before[name]));
+        const newValue = text(normalize(after[name]));
+        if (oldValue !== newValue) {
+            changes.push({ field: name, label, oldValue: oldValue || null, newValue: newValue || null });
+        }
+    });
+    return changes;
+}
+
+/**
+ * @param {Object} before canonical address (c/addressFormat) from the inputs
+ * @param {Object} after canonical address handed back to the Flow
+ * @returns {Array} changes, see diffFields
+ */
+export function diffAddress(before, after) {
+    const fields = Object.entries(ADDRESS_FIELD_LABELS).map(([name, label]) => ({ name, label }));
+    return diffFields(fields, toFlowFields(before), toFlowFields(after));
+}
+
+/** @returns {Object} field -> change (+ oldDisplay), for the "Gewijzigd" badges in the template */
+export function byField(changes) {
+    return changes.reduce(
+        (map, change) => ({ ...map, [change.field]: { ...change, oldDisplay: change.oldValue || '—' } }),
+        {}
+    );
+}
+
+/** @returns {boolean} true when one of the address fields changed */
+export function hasAddressChange(changes) {
+    return changes.some((change) => change.field in ADDRESS_FIELD_LABELS);
+}
+
+/** @returns {string} JSON array for the Flow; "[]" when nothing changed */
+export function toChangeSetJson(changes) {
+    return JSON.stringify(changes || []);
+}
@@ -0,0 +1,111 @@
+/*************************************************************************************************
+ * Module          : duplicateCheckProfiles/duplicateCheckFlowScreen (JS)
+ * Layer           : Lightning Web Component base class (Flow screen wrappers)
+ * Purpose         : Flow contract shared by all duplicate-check screens around c/woonstadDuplicateCheckEngine.
+ *
+ * Responsibilities:
+ *  - Flow outputs selectedExisting / selectedAccountId (unchanged contract)
+ *  - Engine events: select (existing Account) -> outputs + NEXT; createnew -> outputs cleared;
+ *    next (pill / countdown) -> NEXT once
+ *  - Optional address inputs + "entered" values for the compare view
+ *  - Compat inputs autoAdvance / autoAdvanceDelayMs (not used in logic)
+ *
+ * Wrappers declare their own criteria inputs and a `criteria` getter; email, phone, mobile and
+ * postalCode are read from the wrapper for the compare view when it has them.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version (from woonstadDuplicateCheck / woonstadBussDuplicateCheck).
+ *************************************************************************************************/
+
+import { LightningElement, api } from 'lwc';
+import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flowSupport';
+import { fromFlowFields } from 'c/addressFormat';
+
+export default class DuplicateCheckFlowScreen extends LightningElement {
+    @api availableActions = [];
+
+    // ---- Optional address inputs, only used in the compare view
+    @api street = '';
+    @api houseNumber = '';
+    @api houseLetter = '';
+    @api houseNumberAddition = '';
+    @api city = '';
+    @api country = '';
+    @api bagId = '';
+
+    // ---- Optional Flow inputs (kept for parity)
+    @api autoAdvance = false;
+    @api autoAdvanceDelayMs = 6000;
+
+    // ---- Flow outputs (backing fields: set from the engine events, not by the Flow)
+    _selectedExisting = false;
+    _selectedAccountId = '';
+
+    @api get selectedExisting() { return this._selectedExisting; }
+    set selectedExisting(v) { this._selectedExisting = !!v; }
+
+    @api get selectedAccountId() { return this._selectedAccountId; }
+    set selectedAccountId(v) { this._selectedAccountId = v || ''; }
+
+    _nextFired = false;
+
+    get canNavigateNext() {
+        return Array.isArray(this.availableActions) && this.availableActions.includes('NEXT');
+    }
+
+    /** Entered values for the compare view; the address in the c/addressFormat shape */
+    get entered() {
+        return {
+            email: this.email,
+            phone: this.phone,
+            mobile: this.mobile,
+            address: fromFlowFields({
+                streetName: this.street,
+                houseNumberOutput: this.houseNumber,
+                houseLetter: this.houseLetter,
+                houseNumberAddition: this.houseNumberAddition,
+                postalCodeOutput: this.postalCode,
+                city: this.city,
+                countryOutput: this.country,
+                addressableObjectIdentification: this.bagId
+            })
+        };
+    }
+
+    /* =========================
+       Engine events
+       ========================= */
+    /** Existing Account picked (row click or after the compare view) */
+    handleSelect(evt) {
+        const id = evt?.detail?.accountId;
+        if (!id) return;
+
+        this._selectedExisting = true;
+        this._selectedAccountId = id;
+        this.dispatchEvent(new FlowAttributeChangeEvent('selectedExisting', true));
+        this.dispatchEvent(new FlowAttributeChangeEvent('selectedAccountId', id));
+        this.handleNext();
+    }
+
+    /** "Nieuwe ... aanmaken" checkbox: outputs reflect "no existing selected" */
+    handleCreateNew(evt) {
+        if (!evt?.detail?.checked) return;
+        this._selectedExisting = false;
+        this._selectedAccountId = '';
+        this.dispatchEvent(new FlowAttributeChangeEvent('selectedExisting', false));
+        this.dispatchEvent(new FlowAttributeChangeEvent('selectedAccountId', ''));
+    }
+
+    /** Navigates NEXT once (pill, countdown or selection) */
+    handleNext() {
+        if (this._nextFired || !this.canNavigateNext) return;
+        this._nextFired = true;
+        this.dispatchEvent(new FlowNavigationNextEvent());
+    }
+}
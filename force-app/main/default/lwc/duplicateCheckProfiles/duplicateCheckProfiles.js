@@ -0,0 +1,178 @@
+/*************************************************************************************************
+ * Module          : duplicateCheckProfiles (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Search profiles for c/woonstadDuplicateCheckEngine. A profile holds everything that
+ *                   differs between duplicate checks; the engine holds everything that is the same
+ *                   (debounced fetch, refetch latch, countdown, result list, compare view).
+ *
+ * Profile shape:
+ *  - name          : key used by getProfile ('person', 'business', ...)
+ *  - criteria      : criteria keys sent to the adapter (also the refetch signature)
+ *  - searchKeys    : a search starts when one of these is filled in (others only refine the result)
+ *  - search(c)     : Apex adapter; resolves to { rows, message } (rows need an Id)
+ *  - columns       : [{ key, label, width?, subKey?, classKey? }] result columns, in order
+ *  - texts         : UI texts (title, instructions, new-record checkbox/button, loading, error); custom
+ *                    labels from ./labels, so they follow the running user's language
+ *
+ * New profiles (relationship, supplier, ...): add an entry to PROFILES, or pass a profile object
+ * straight to the engine; a Flow screen wrapper extends DuplicateCheckFlowScreen for the outputs.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Column labels and texts from custom labels (NL/EN).
+ * 2026-10-19 | DvM | Initial version (person + business profiles from the two duplicate checks).
+ *************************************************************************************************/
+
+import searchCandidates from '@salesforce/apex/WoonstadDuplicateSearchController.searchCandidates';
+import searchBusinessDuplicates from '@salesforce/apex/WoonstadBussDuplicateSearchController.searchBusinessDuplicates';
+import { LABELS } from './labels';
+
+export { default as DuplicateCheckFlowScreen } from './duplicateCheckFlowScreen';
+
+export const PROFILE_PERSON = 'person';
+export const PROFILE_BUSINESS = 'business';
+
+/* =========================================================================
+   PROFILES
+   ========================================================================= */
+
+const PERSON = {
+    name: PROFILE_PERSON,
+    criteria: ['email', 'phone', 'mobile', 'firstName', 'lastName', 'birthdate', 'postalCode'],
+    // First name alone is too weak to search on; it only adds to the match score
+    searchKeys: ['email', 'phone', 'mobile', 'lastName', 'birthdate', 'postalCode'],
+    columns: [
+        { key: 'scoreLabel', label: LABELS.match, width: '0.6fr', classKey: 'scoreClass' },
+        { key: 'Name', label: LABELS.name },
+        { key: 'PersonBirthdate', label: LABELS.birthdate },
+        { key: 'Phone', label: LABELS.phone, subKey: 'PersonMobilePhone' },
+        { key: 'MaskedIban', label: LABELS.iban },
+        { key: 'AddressName', label: LABELS.address },
+        { key: 'PostalCode', label: LABELS.postalCode }
+    ],
+    texts: {
+        title: LABELS.personTitle,
+        found: LABELS.personFound,
+        select: LABELS.personSelect,
+        compare: LABELS.personCompare,
+        notListed: LABELS.personNotListed,
+        newCheckbox: LABELS.personNewCheckbox,
+        newButton: LABELS.personNewButton,
+        rowTitle: LABELS.personRowTitle,
+        compareTitle: LABELS.personCompareTitle,
+        loading: LABELS.personLoading,
+        error: LABELS.personError
+    },
+    async search(c) {
+        const resp = await searchCandidates({
+            email: c.email || '',
+            phone: c.phone || '',
+            mobile: c.mobile || '',
+            firstName: c.firstName || '',
+            lastName: c.lastName || '',
+            birthdate: c.birthdate || null,
+            postalCode: c.postalCode || ''
+        });
+        return { rows: decorateScoredRows(extractArray(resp)), message: messageOf(resp) };
+    }
+};
+
+const BUSINESS = {
+    name: PROFILE_BUSINESS,
+    criteria: ['companyName', 'kvkNumber', 'vatNumber', 'email', 'phone', 'mobile'],
+    searchKeys: ['companyName', 'kvkNumber', 'vatNumber', 'email', 'phone', 'mobile'],
+    columns: [
+        { key: 'Name', label: LABELS.companyName, width: '2.5fr' },
+        { key: 'KvkNumber', label: LABELS.kvkNumber, width: '1.5fr' },
+        { key: 'Phone', label: LABELS.phone, width: '1.5fr', subKey: 'MobilePhone' },
+        { key: 'Email', label: LABELS.email, width: '2fr' }
+    ],
+    texts: {
+        title: LABELS.businessTitle,
+        found: LABELS.businessFound,
+        select: LABELS.businessSelect,
+        compare: LABELS.businessCompare,
+        notListed: LABELS.businessNotListed,
+        newCheckbox: LABELS.businessNewCheckbox,
+        newButton: LABELS.businessNewButton,
+        rowTitle: LABELS.businessRowTitle,
+        compareTitle: LABELS.businessCompareTitle,
+        loading: LABELS.businessLoading,
+        error: LABELS.businessError
+    },
+    async search(c) {
+        const resp = await searchBusinessDuplicates({
+            companyName: c.companyName || '',
+            kvkNumber: c.kvkNumber || '',
+            vatNumber: c.vatNumber || '',
+            email: c.email || '',
+            phone: c.phone || '',
+            mobile: c.mobile || ''
+        });
+        return { rows: extractArray(resp), message: messageOf(resp) };
+    }
+};
+
+const PROFILES = {
+    [PROFILE_PERSON]: PERSON,
+    [PROFILE_BUSINESS]: BUSINESS
+};
+
+/**
+ * Profile by name, or the given object when a caller passes its own profile.
+ * Unknown names fall back to the person profile (the original duplicate check).
+ */
+export function getProfile(profile) {
+    if (profile && typeof profile === 'object') return profile;
+    return PROFILES[String(profile || '').toLowerCase()] || PERSON;
+}
+
+/* =========================================================================
+   ADAPTER HELPERS
+   ========================================================================= */
+
+/** Results array from any of the response shapes the Apex controllers have used */
+export function extractArray(resp) {
+    if (Array.isArray(resp)) return resp;
+    if (resp?.results && Array.isArray(resp.results)) return resp.results;
+    if (resp?.records && Array.isArray(resp.records)) return resp.records;
+    if (resp?.data && Array.isArray(resp.data)) return resp.data;
+    if (resp?.items && Array.isArray(resp.items)) return resp.items;
+    if (resp && typeof resp === 'object') {
+        for (const k in resp) {
+            if (Object.prototype.hasOwnProperty.call(resp, k) && Array.isArray(resp[k])) {
+                return resp[k];
+            }
+        }
+    }
+    return [];
+}
+
+function messageOf(resp) {
+    return resp && typeof resp.message === 'string' ? resp.message : '';
+}
+
+/** Highest score first; adds the score badge and the "why" line per row (Score / Reasons from Apex) */
+function decorateScoredRows(results) {
+    return [...results]
+        .sort((a, b) => (b.Score || 0) - (a.Score || 0))
+        .map((r) => {
+            const score = r.Score || 0;
+            const reasons = Array.isArray(r.Reasons) ? r.Reasons : [];
+            return {
+                ...r,
+                scoreLabel: `${score}%`,
+                scoreClass: `wc-score ${score >= 70 ? 'wc-score--high' : score >= 45 ? 'wc-score--medium' : 'wc-score--low'}`,
+                reasons: reasons.map((x, i) => ({
+                    key: `${r.Id}-${i}`,
+                    text: `${x.field} +${x.points}`,
+                    detail: x.detail
+                }))
+            };
+        });
+}
@@ -0,0 +1,83 @@
+/*************************************************************************************************
+ * Module          : duplicateCheckProfiles/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of the duplicate-check profiles (columns and texts), en_US master,
+ *                   nl_NL translation.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import match from '@salesforce/label/c.Woonstad_Duplicate_Check_Match';
+import name from '@salesforce/label/c.Woonstad_Duplicate_Check_Name';
+import birthdate from '@salesforce/label/c.Woonstad_Duplicate_Check_Birthdate';
+import phone from '@salesforce/label/c.Woonstad_Duplicate_Check_Phone';
+import iban from '@salesforce/label/c.Woonstad_Duplicate_Check_Iban';
+import address from '@salesforce/label/c.Woonstad_Duplicate_Check_Address';
+import postalCode from '@salesforce/label/c.Woonstad_Duplicate_Check_Postal_Code';
+import companyName from '@salesforce/label/c.Woonstad_Duplicate_Check_Company_Name';
+import kvkNumber from '@salesforce/label/c.Woonstad_Duplicate_Check_Kvk_Number';
+import email from '@salesforce/label/c.Woonstad_Duplicate_Check_Email';
+import personTitle from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Title';
+import personFound from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Found';
+import personSelect from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Select';
+import personCompare from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Compare';
+import personNotListed from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Not_Listed';
+import personNewCheckbox from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_New_Checkbox';
+import personNewButton from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_New_Button';
+import personRowTitle from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Row_Title';
+import personCompareTitle from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Compare_Title';
+import personLoading from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Loading';
+import personError from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Error';
+import businessTitle from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Title';
+import businessFound from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Found';
+import businessSelect from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Select';
+import businessCompare from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Compare';
+import businessNotListed from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Not_Listed';
+import businessNewCheckbox from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_New_Checkbox';
+import businessNewButton from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_New_Button';
+import businessRowTitle from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Row_Title';
+import businessCompareTitle from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Compare_Title';
+import businessLoading from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Loading';
+import businessError from '@salesforce/label/c.Woonstad_Duplicate_Check_Business_Error';
+
+export const LABELS = {
+    match,
+    name,
+    birthdate,
+    phone,
+    iban,
+    address,
+    postalCode,
+    companyName,
+    kvkNumber,
+    email,
+    personTitle,
+    personFound,
+    personSelect,
+    personCompare,
+    personNotListed,
+    personNewCheckbox,
+    personNewButton,
+    personRowTitle,
+    personCompareTitle,
+    personLoading,
+    personError,
+    businessTitle,
+    businessFound,
+    businessSelect,
+    businessCompare,
+    businessNotListed,
+    businessNewCheckbox,
+    businessNewButton,
+    businessRowTitle,
+    businessCompareTitle,
+    businessLoading,
+    businessError
+};
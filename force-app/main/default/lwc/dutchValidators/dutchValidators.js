@@ -0,0 +1,295 @@
+/*************************************************************************************************
+ * Module          : dutchValidators (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Validators + normalisers for Dutch identifiers and contact data, shared by the
+ *                   Woonstad intake forms (woonstadFlowCustDataForm, woonstadFlowBussDataForm and
+ *                   both confirm forms).
+ *
+ * Responsibilities:
+ *  - KvK number (8 digits)
+ *  - BTW-id: NL + 9 digits + B + 2 digits, mod-97 check (or the older 11-check); other EU
+ *    prefixes format-only
+ *  - IBAN: length per country + ISO 13616 mod-97
+ *  - Phone: Dutch landline / mobile -> E.164 (+31...), foreign numbers in international format
+ *  - E-mail: RFC 5322 addr-spec (dot-atom or quoted local part, domain or address literal)
+ *  - Birthdate typing: dd-mm-jjjj <-> yyyy-MM-dd, age in whole years
+ *
+ * Contract        : validateX(value) returns '' when valid or empty (required checks stay in the
+ *                   form) and otherwise a field-level message; normalizeX(value) returns the
+ *                   canonical value when valid and the trimmed input otherwise. Messages are custom
+ *                   labels (./labels), so they follow the running user's language.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | MESSAGES from custom labels (NL/EN).
+ * 2026-10-19 | DvM | ageInYears for the birthdate rules (woonstadFlowCustDataForm).
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import { MESSAGES } from './labels';
+
+export { MESSAGES };
+
+/** IBAN lengths for the countries we see; others are checked on the generic 15-34 range */
+const IBAN_LENGTHS = { NL: 18, BE: 16, DE: 22, FR: 27, LU: 20, GB: 22, ES: 24, IT: 27, AT: 20, PL: 28 };
+
+function text(value) {
+    return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Remainder of a long numeric string modulo 97 (digit by digit; too long for Number)
+ * @param {string} digits
+ * @returns {number}
+ */
+function mod97(digits) {
+    let rest = 0;
+    for (const c of digits) {
+        rest = (rest * 10 + Number(c)) % 97;
+    }
+    return rest;
+}
+
+/** Letters -> two-digit numbers (A=10 ... Z=35), as used by IBAN and the NL BTW-id check */
+function lettersToDigits(value) {
+    return value.replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+}
+
+/* =========================================================================
+   KVK
+   ========================================================================= */
+
+/** @returns {string} digits only (spaces and dots removed) */
+export function normalizeKvk(value) {
+    return text(value).replace(/[\s.]/g, '');
+}
+
+export function isValidKvk(value) {
+    return /^[0-9]{8}$/.test(normalizeKvk(value));
+}
+
+export function validateKvk(value) {
+    if (!text(value)) return '';
+    return isValidKvk(value) ? '' : MESSAGES.kvk;
+}
+
+/* =========================================================================
+   BTW-ID (VAT)
+   ========================================================================= */
+
+/** @returns {string} uppercase without spaces, dots and dashes */
+export function normalizeVat(value) {
+    return text(value).toUpperCase().replace(/[\s.-]/g, '');
+}
+
+/**
+ * NL BTW-id check: since 2020 ids pass mod-97 over "NL" + number (letters as digits, = 1);
+ * older (company) ids pass the 11-check on the 9 digits instead.
+ */
+function isNlVatChecksumValid(vat) {
+    if (mod97(lettersToDigits(vat)) === 1) return true;
+
+    const digits = vat.substring(2, 11).split('').map(Number);
+    const sum = digits.slice(0, 8).reduce((total, d, i) => total + d * (9 - i), 0);
+    return sum % 11 === digits[8];
+}
+
+export function validateVat(value) {
+    if (!text(value)) return '';
+    const vat = normalizeVat(value);
+
+    if (vat.startsWith('NL')) {
+        if (!/^NL[0-9]{9}B[0-9]{2}$/.test(vat)) return MESSAGES.vatFormat;
+        return isNlVatChecksumValid(vat) ? '' : MESSAGES.vatCheck;
+    }
+    // Foreign EU VAT ids: country prefix + 2-13 characters
+    return /^[A-Z]{2}[0-9A-Z]{2,13}$/.test(vat) ? '' : MESSAGES.vatFormat;
+}
+
+/* =========================================================================
+   IBAN
+   ========================================================================= */
+
+/** @returns {string} uppercase without spaces */
+export function normalizeIban(value) {
+    return text(value).toUpperCase().replace(/\s/g, '');
+}
+
+export function validateIban(value) {
+    if (!text(value)) return '';
+    const iban = normalizeIban(value);
+
+    if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(iban)) return MESSAGES.ibanFormat;
+    const expectedLength = IBAN_LENGTHS[iban.substring(0, 2)];
+    if (expectedLength && iban.length !== expectedLength) return MESSAGES.ibanFormat;
+
+    const rearranged = iban.substring(4) + iban.substring(0, 4);
+    return mod97(lettersToDigits(rearranged)) === 1 ? '' : MESSAGES.ibanCheck;
+}
+
+/** @returns {string} IBAN in groups of four (NL91 ABNA 0417 1643 00) */
+export function formatIban(value) {
+    return normalizeIban(value).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/* =========================================================================
+   PHONE
+   ========================================================================= */
+
+/**
+ * Lenient conversion to E.164 for comparisons (06... / +31 6... / 0031 6...), no validation.
+ * Same rules as WoonstadDuplicateMatchScorer.
+ * @returns {string}
+ */
+export function toE164(value) {
+    const s = text(value);
+    const digits = s.replace(/[^0-9]/g, '');
+    if (!digits) return '';
+    if (s.startsWith('+')) return `+${digits}`;
+    if (digits.startsWith('00')) return `+${digits.substring(2)}`;
+    if (digits.startsWith('0')) return `+31${digits.substring(1)}`;
+    if (digits.startsWith('31') && digits.length === 11) return `+${digits}`;
+    return `+31${digits}`;
+}
+
+/**
+ * Dutch numbers have 9 digits after +31: mobile starts with 6, landline / non-geographic
+ * numbers (085, 088, 097) with 1-5 or 7-9. Foreign numbers: E.164 length (8-15 digits).
+ */
+function phoneProblem(value, mobile) {
+    const s = text(value);
+    if (!/^[+0-9\s().-]+$/.test(s)) return mobile ? MESSAGES.mobile : MESSAGES.phone;
+
+    const e164 = toE164(s);
+    if (!e164.startsWith('+31')) {
+        return /^\+[1-9][0-9]{7,14}$/.test(e164) ? '' : MESSAGES.phone;
+    }
+
+    const national = e164.substring(3);
+    if (mobile) return /^6[0-9]{8}$/.test(national) ? '' : MESSAGES.mobile;
+    return /^[1-9][0-9]{8}$/.test(national) ? '' : MESSAGES.phone;
+}
+
+/**
+ * @param {string} value
+ * @param {{mobile: boolean}} [options] mobile: Dutch numbers must be mobile (06)
+ * @returns {string} '' or message
+ */
+export function validatePhone(value, { mobile = false } = {}) {
+    if (!text(value)) return '';
+    return phoneProblem(value, mobile);
+}
+
+/** @returns {string} E.164 when valid, otherwise the trimmed input */
+export function normalizePhone(value, options) {
+    if (!text(value) || validatePhone(value, options)) return text(value);
+    return toE164(value);
+}
+
+/* =========================================================================
+   E-MAIL
+   ========================================================================= */
+
+// RFC 5322 addr-spec: dot-atom or quoted-string local part; domain name (TLD letters) or address literal
+const EMAIL_LOCAL = /^(?:[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*|"(?:[^"\\\r\n]|\\.)*")$/;
+const EMAIL_DOMAIN = /^(?:(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}|\[(?:[0-9]{1,3}\.){3}[0-9]{1,3}\])$/;
+
+/** @returns {string} trimmed, domain in lowercase (the local part is case-sensitive per RFC) */
+export function normalizeEmail(value) {
+    const s = text(value);
+    const at = s.lastIndexOf('@');
+    return at > 0 ? s.substring(0, at) + s.substring(at).toLowerCase() : s;
+}
+
+export function validateEmail(value) {
+    if (!text(value)) return '';
+    const email = normalizeEmail(value);
+    const at = email.lastIndexOf('@');
+    if (at < 1 || email.length > 254) return MESSAGES.email;
+
+    const local = email.substring(0, at);
+    const domain = email.substring(at + 1);
+    if (local.length > 64 || !EMAIL_LOCAL.test(local) || !EMAIL_DOMAIN.test(domain)) return MESSAGES.email;
+    return '';
+}
+
+/* =========================================================================
+   DATES (dd-mm-jjjj typing)
+   ========================================================================= */
+
+/** Strict dd-mm-jjjj with an existing day for the month */
+export function isDutchDate(ddmmyyyy) {
+    if (!/^\d{2}-\d{2}-\d{4}$/.test(ddmmyyyy || '')) return false;
+
+    const [dd, mm, yyyy] = ddmmyyyy.split('-').map((n) => parseInt(n, 10));
+    if (mm < 1 || mm > 12 || dd < 1 || dd > 31) return false;
+
+    const lastDayOfMonth = new Date(yyyy, mm, 0).getDate();
+    return dd <= lastDayOfMonth;
+}
+
+/** @returns {?string} yyyy-MM-dd or null when not a valid Dutch date */
+export function dutchToIso(ddmmyyyy) {
+    if (!isDutchDate(ddmmyyyy)) return null;
+    const [dd, mm, yyyy] = ddmmyyyy.split('-');
+    return `${yyyy}-${mm}-${dd}`;
+}
+
+/** @returns {string} dd-mm-jjjj (yyyy-M-d accepted); other input unchanged */
+export function isoToDutch(iso) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(iso || '');
+    if (!match) return iso;
+    return `${match[3].padStart(2, '0')}-${match[2].padStart(2, '0')}-${match[1]}`;
+}
+
+/** Format/existence of a typed date; plausibility (age, future) is up to the form */
+export function validateDutchDate(ddmmyyyy) {
+    const s = text(ddmmyyyy);
+    if (!s) return '';
+    if (!/^\d{2}-\d{2}-\d{4}$/.test(s)) return MESSAGES.dateFormat;
+    return isDutchDate(s) ? '' : MESSAGES.dateInvalid;
+}
+
+/**
+ * Age in whole years on a given day; same rules as WoonstadBirthdateRules.ageOn
+ * (birthday counts on the day itself, 29-02 on 28-02 in other years).
+ * @param {string} iso yyyy-MM-dd
+ * @param {Date} [today]
+ * @returns {?number} null when iso is not a date
+ */
+export function ageInYears(iso, today = new Date()) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || '');
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map((n) => parseInt(n, 10));
+
+    const lastDayThisYear = new Date(today.getFullYear(), month, 0).getDate();
+    const birthdayThisYear = new Date(today.getFullYear(), month - 1, Math.min(day, lastDayThisYear));
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    let age = today.getFullYear() - year;
+    if (birthdayThisYear > todayStart) age--;
+    return age;
+}
+
+/* =========================================================================
+   FIELD HELPER
+   ========================================================================= */
+
+/**
+ * Shows (or clears) a message on a lightning-input / lightning-combobox.
+ * @param {?Element} el
+ * @param {string} message '' clears
+ * @returns {boolean} true when there is no message
+ */
+export function reportField(el, message) {
+    if (el) {
+        el.setCustomValidity(message || '');
+        el.reportValidity();
+    }
+    return !message;
+}
@@ -0,0 +1,40 @@
+/*************************************************************************************************
+ * Module          : dutchValidators/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Field-level messages of the validators (custom labels, en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import required from '@salesforce/label/c.Woonstad_Validation_Required';
+import kvk from '@salesforce/label/c.Woonstad_Validation_Kvk';
+import vatFormat from '@salesforce/label/c.Woonstad_Validation_Vat_Format';
+import vatCheck from '@salesforce/label/c.Woonstad_Validation_Vat_Check';
+import ibanFormat from '@salesforce/label/c.Woonstad_Validation_Iban_Format';
+import ibanCheck from '@salesforce/label/c.Woonstad_Validation_Iban_Check';
+import phone from '@salesforce/label/c.Woonstad_Validation_Phone';
+import mobile from '@salesforce/label/c.Woonstad_Validation_Mobile';
+import email from '@salesforce/label/c.Woonstad_Validation_Email';
+import dateFormat from '@salesforce/label/c.Woonstad_Validation_Date_Format';
+import dateInvalid from '@salesforce/label/c.Woonstad_Validation_Date_Invalid';
+
+export const MESSAGES = {
+    required,
+    kvk,
+    vatFormat,
+    vatCheck,
+    ibanFormat,
+    ibanCheck,
+    phone,
+    mobile,
+    email,
+    dateFormat,
+    dateInvalid
+};
@@ -0,0 +1,241 @@
+/*************************************************************************************************
+ * Module          : formValidation (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : One validation loop for the Woonstad forms: declarative rules per field,
+ *                   field-level messages, a summary for the banner and the Flow validate() contract.
+ *
+ * Responsibilities:
+ *  - createFormValidator(): checks the rules of a form against the host's values, reports the
+ *    messages on the inputs ([data-field="..."]) and focuses + scrolls to the first error
+ *  - Field rules: required, pattern and custom functions (e.g. c/dutchValidators); form rules
+ *    for checks across fields (e.g. an end date after a start date)
+ *  - Summary message: missing required fields, then fields with an invalid value
+ *  - toFlowResult(): { isValid, errorMessage } for @api validate() of a Flow screen
+ *
+ * Usage           : rules in a module constant, one validator per component instance:
+ *                     _validator = createFormValidator(this, RULES, { onResult: (r) => { this.validation = r; } });
+ *                   validate() on the primary action, clearField(event.target) in change handlers,
+ *                   and <c-woonstad-validation-banner result={validation}> in the template.
+ *                   Required inputs keep the standard `required` attribute for the asterisk; the
+ *                   rules decide what is required.
+ *
+ * Notes           : Checks only run on validate(); typing never shows a new message, it only
+ *                   clears the message of that field. Messages are custom labels, so they follow
+ *                   the running user's language.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import { COMMON } from 'c/woonstadCommonLabels';
+import { formatLabel, formatList } from 'c/labelFormat';
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {string}   field       data-field of the input; also the host property with the value
+ * @property {string}   label       Field name in the summary
+ * @property {Function} [value]     (host) => value, when the value is not host[field]
+ * @property {boolean|Function} [required] true, or (host) => boolean for conditional fields
+ * @property {string}   [requiredMessage] Message on an empty required input (default COMMON.required)
+ * @property {RegExp}   [pattern]   Tested on the trimmed text of a filled-in value
+ * @property {string}   [patternMessage] Message when the pattern does not match (default COMMON.invalidValue)
+ * @property {Function|Function[]} [validate] (value, host) => '' or message; filled-in values only
+ *
+ * @typedef {Object} FormRule
+ * @property {string[]} fields      data-fields that show the message
+ * @property {string}   [label]     Name in the summary (default: label of the first field)
+ * @property {Function} validate    (host) => '' or message; skipped when one of the fields already has an error
+ *
+ * @typedef {Object} ValidationResult
+ * @property {boolean} isValid
+ * @property {Array<{key: string, fields: string[], label: string, message: string, missing: boolean}>} errors
+ * @property {string}  message      Summary for the banner and the Flow ('' when valid)
+ */
+
+/** @returns {boolean} true for null, blank text and empty arrays */
+export function isBlank(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value == null || String(value).trim() === '';
+}
+
+/**
+ * Summary of a list of errors: missing required fields first, then invalid values.
+ * @param {Array<{label: string, missing: boolean}>} errors
+ * @returns {string}
+ */
+export function summarize(errors) {
+    const missing = unique(errors.filter((e) => e.missing).map((e) => e.label));
+    const invalid = unique(errors.filter((e) => !e.missing).map((e) => e.label));
+
+    const parts = [];
+    if (missing.length === 1) parts.push(formatLabel(COMMON.requiredField, missing[0]));
+    if (missing.length > 1) parts.push(formatLabel(COMMON.requiredFields, formatList(missing)));
+    if (invalid.length) parts.push(formatLabel(COMMON.invalidFields, formatList(invalid)));
+    return parts.join(' ');
+}
+
+/**
+ * @param {ValidationResult} result
+ * @returns {{isValid: boolean, errorMessage?: string}} The Flow screen validate() contract
+ */
+export function toFlowResult(result) {
+    return result.isValid ? { isValid: true } : { isValid: false, errorMessage: result.message };
+}
+
+/**
+ * @param {LightningElement} host   Component with the inputs and the values
+ * @param {Array<FieldRule|FormRule>} rules  Checked in order; the first error gets the focus
+ * @param {{onResult?: Function}} [options] onResult(result) after every validate() and clearField()
+ */
+export function createFormValidator(host, rules, { onResult } = {}) {
+    const fieldRules = rules.filter((r) => r.field);
+    const formRules = rules.filter((r) => !r.field && Array.isArray(r.fields));
+    let lastResult = null;
+
+    const find = (field) => host.template.querySelector(`[data-field="${field}"]`);
+
+    const publish = (result) => {
+        lastResult = result;
+        if (onResult) onResult(result);
+        return result;
+    };
+
+    /** @returns {ValidationResult} without touching the inputs */
+    const check = () => {
+        const errors = [];
+        const failed = new Set();
+
+        fieldRules.forEach((rule) => {
+            const error = checkField(rule, host);
+            if (error) {
+                errors.push(error);
+                failed.add(rule.field);
+            }
+        });
+
+        formRules.forEach((rule) => {
+            if (rule.fields.some((f) => failed.has(f))) return;
+            const message = rule.validate(host) || '';
+            if (!message) return;
+            const first = fieldRules.find((r) => r.field === rule.fields[0]);
+            errors.push({
+                key: rule.fields.join('|'),
+                fields: rule.fields,
+                label: rule.label || first?.label || rule.fields[0],
+                message,
+                missing: false
+            });
+            rule.fields.forEach((f) => failed.add(f));
+        });
+
+        return { isValid: errors.length === 0, errors, message: summarize(errors) };
+    };
+
+    return {
+        /**
+         * Checks all rules and, by default, reports the messages and focuses the first error.
+         * @param {{report?: boolean, focus?: boolean}} [options]
+         * @returns {ValidationResult}
+         */
+        validate({ report = true, focus = true } = {}) {
+            const result = check();
+            if (!report) return result;
+
+            const messages = new Map();
+            result.errors.forEach((e) => e.fields.forEach((f) => {
+                if (!messages.has(f)) messages.set(f, e.message);
+            }));
+
+            const fields = new Set([...fieldRules.map((r) => r.field), ...formRules.flatMap((r) => r.fields)]);
+            fields.forEach((field) => {
+                const el = find(field);
+                if (el) {
+                    el.setCustomValidity(messages.get(field) || '');
+                    el.reportValidity();
+                }
+            });
+
+            if (focus) {
+                const el = result.errors.flatMap((e) => e.fields).map(find).find(Boolean);
+                if (el) {
+                    el.focus();
+                    el.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+                }
+            }
+            return publish(result);
+        },
+
+        /**
+         * Clears the message of one field (in a change handler) and drops its errors from the
+         * last result, so the banner only lists what is still open.
+         * @param {Element|string} target Input element or data-field name
+         */
+        clearField(target) {
+            const el = typeof target === 'string' ? find(target) : target;
+            const field = typeof target === 'string' ? target : el?.dataset?.field;
+            if (el) {
+                el.setCustomValidity('');
+                // An empty required input keeps its message until the next validate()
+                if (el.checkValidity?.()) el.reportValidity();
+            }
+            if (!field || !lastResult || lastResult.isValid) return;
+
+            const errors = lastResult.errors.filter((e) => !e.fields.includes(field));
+            if (errors.length !== lastResult.errors.length) {
+                publish({ isValid: errors.length === 0, errors, message: summarize(errors) });
+            }
+        },
+
+        /** Clears all messages and the last result (e.g. after a reset of the form) */
+        reset() {
+            rules.flatMap((r) => (r.field ? [r.field] : r.fields)).map(find).forEach((el) => {
+                if (el) {
+                    el.setCustomValidity('');
+                    if (el.checkValidity?.()) el.reportValidity();
+                }
+            });
+            if (lastResult) publish(null);
+        }
+    };
+}
+
+/* =========================================================================
+   HELPERS
+   ========================================================================= */
+
+function checkField(rule, host) {
+    const value = rule.value ? rule.value(host) : host[rule.field];
+    const error = (message, missing = false) => ({
+        key: rule.field,
+        fields: [rule.field],
+        label: rule.label,
+        message,
+        missing
+    });
+
+    if (isBlank(value)) {
+        const required = typeof rule.required === 'function' ? rule.required(host) : !!rule.required;
+        return required ? error(rule.requiredMessage || COMMON.required, true) : null;
+    }
+
+    if (rule.pattern && !rule.pattern.test(String(value).trim())) {
+        return error(rule.patternMessage || COMMON.invalidValue);
+    }
+
+    const validators = [].concat(rule.validate || []);
+    for (const validator of validators) {
+        const message = validator(value, host);
+        if (message) return error(message);
+    }
+    return null;
+}
+
+function unique(values) {
+    return [...new Set(values)];
+}
@@ -0,0 +1,245 @@
+/*************************************************************************************************
+ * Module          : intakeDraft (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Per-user draft of the intake flows, shared by the intake screen components
+ *                   (woonstadFlowCustDataForm, woonstadFlowBussDataForm, kadasterLookupFlow and the
+ *                   two confirm forms) through their draftKey (= Flow API name).
+ *
+ * Responsibilities:
+ *  - beginDraftSession(): called by the first screen of an intake; forgets the previous interview
+ *                      (the intake can be reopened without a page refresh)
+ *  - loadDraft():      the open draft of the current user (one Apex call per draft key and interview)
+ *  - resume / start fresh: the agent's choice is kept in module scope, so every later screen of the
+ *                      same flow interview knows whether to restore its step
+ *  - saveDraftStep():  debounced autosave of one step; flushDraftStep() on Volgende / disconnect,
+ *                      dropDraftSaves() on the final Volgende (the create action discards the draft)
+ *  - discardDraft():   delete the draft (resume declined); after the create the Apex action deletes it
+ *
+ * Notes           : Autosave never blocks the intake: failures are logged only. While the agent has
+ *                   not chosen between resume and start fresh, saves are held so the draft is not
+ *                   overwritten. Drafts expire server-side (WoonstadIntakeDraftController.TTL_HOURS).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import getDraft from '@salesforce/apex/WoonstadIntakeDraftController.getDraft';
+import saveStep from '@salesforce/apex/WoonstadIntakeDraftController.saveStep';
+import deleteDraft from '@salesforce/apex/WoonstadIntakeDraftController.discardDraft';
+
+/** Quiet time before an autosave is sent */
+export const SAVE_DELAY_MS = 1500;
+
+/** Resume state per draft key */
+export const DRAFT_STATE = {
+    NONE: 'none',         // no open draft: autosave right away
+    PENDING: 'pending',   // draft found, agent has not chosen yet
+    RESUMED: 'resumed',   // agent chose "Hervat concept"
+    FRESH: 'fresh'        // agent chose "Nieuw beginnen" (old draft deleted)
+};
+
+/* draftKey -> { promise, loaded, draft, steps, state } */
+const sessions = new Map();
+/* `${draftKey}|${step}` -> { timer, values } */
+const pendingSaves = new Map();
+
+/* =========================================================================
+   PUBLIC API
+   ========================================================================= */
+
+/**
+ * Starts a new session for the key: the first intake screen calls this on connect, before
+ * loadDraft(). Waiting autosaves of the previous interview are sent first (unless that interview
+ * was still waiting for the agent's choice); its draft, steps and resume state are forgotten.
+ */
+export function beginDraftSession(draftKey) {
+    if (!draftKey) return;
+    if (draftState(draftKey) === DRAFT_STATE.PENDING) {
+        dropPendingSaves(draftKey);
+    } else {
+        flushDraft(draftKey);
+    }
+    sessions.delete(draftKey);
+}
+
+/**
+ * Loads the open draft once per key and session; later screens of the interview share the result.
+ * @returns {Promise<object|null>} { draftId, lastStep, lastSaved, expiresAt, steps } or null
+ */
+export function loadDraft(draftKey) {
+    if (!draftKey) return Promise.resolve(null);
+    const session = sessionFor(draftKey);
+    if (!session.promise) {
+        session.promise = getDraft({ flowName: draftKey })
+            .then(draft => {
+                session.loaded = true;
+                session.steps = parseSteps(draft?.data);
+                session.draft = draft && Object.keys(session.steps).length ? { ...draft, steps: session.steps } : null;
+                if (session.state === DRAFT_STATE.NONE && session.draft) {
+                    session.state = DRAFT_STATE.PENDING;
+                }
+                return session.draft;
+            })
+            .catch(error => {
+                console.error('Error loading intake draft:', error);
+                session.promise = null;
+                return null;
+            });
+    }
+    return session.promise;
+}
+
+/** @returns {string} one of DRAFT_STATE */
+export function draftState(draftKey) {
+    return draftKey ? sessionFor(draftKey).state : DRAFT_STATE.NONE;
+}
+
+/**
+ * "Hervat concept": later screens restore their step from the draft.
+ */
+export function resumeDraft(draftKey) {
+    const session = sessionFor(draftKey);
+    if (session.state !== DRAFT_STATE.PENDING) return;
+    session.state = DRAFT_STATE.RESUMED;
+    dropPendingSaves(draftKey);
+}
+
+/**
+ * "Nieuw beginnen": deletes the old draft; held saves of the current screen are sent afterwards.
+ */
+export async function startFresh(draftKey) {
+    const session = sessionFor(draftKey);
+    session.state = DRAFT_STATE.FRESH;
+    session.draft = null;
+    session.steps = {};
+    await removeDraft(draftKey);
+    flushDraft(draftKey);
+}
+
+/**
+ * Values of one step to restore, only after the agent chose to resume.
+ * @returns {object|null}
+ */
+export function resumedStepValues(draftKey, step) {
+    if (!draftKey) return null;
+    const session = sessionFor(draftKey);
+    if (session.state !== DRAFT_STATE.RESUMED) return null;
+    return session.steps[step] || null;
+}
+
+/**
+ * Debounced autosave of one step. Undefined values are left out of the JSON.
+ */
+export function saveDraftStep(draftKey, step, values) {
+    if (!draftKey || !step) return;
+    const key = `${draftKey}|${step}`;
+    const pending = pendingSaves.get(key);
+    if (pending?.timer) clearTimeout(pending.timer);
+
+    const entry = { draftKey, step, values: { ...values }, timer: null };
+    pendingSaves.set(key, entry);
+    if (draftState(draftKey) === DRAFT_STATE.PENDING) return; // held until resume / start fresh
+
+    entry.timer = setTimeout(() => send(key), SAVE_DELAY_MS);
+}
+
+/**
+ * Sends a waiting autosave of the step right away (Volgende / component removed).
+ */
+export function flushDraftStep(draftKey, step) {
+    if (!draftKey || draftState(draftKey) === DRAFT_STATE.PENDING) return;
+    const key = `${draftKey}|${step}`;
+    const pending = pendingSaves.get(key);
+    if (!pending) return;
+    if (pending.timer) clearTimeout(pending.timer);
+    send(key);
+}
+
+/**
+ * Drops the waiting autosaves of the key without sending them: on the final Volgende the create
+ * action deletes the draft, and a later save would bring it back.
+ */
+export function dropDraftSaves(draftKey) {
+    if (!draftKey) return;
+    dropPendingSaves(draftKey);
+}
+
+/**
+ * Deletes the draft, e.g. after the intake has been completed. Waiting autosaves are dropped.
+ */
+export async function discardDraft(draftKey) {
+    if (!draftKey) return;
+    dropPendingSaves(draftKey);
+    await removeDraft(draftKey);
+    sessions.delete(draftKey);
+}
+
+/* =========================================================================
+   PRIVATE HELPERS
+   ========================================================================= */
+
+function sessionFor(draftKey) {
+    if (!sessions.has(draftKey)) {
+        sessions.set(draftKey, { promise: null, loaded: false, draft: null, steps: {}, state: DRAFT_STATE.NONE });
+    }
+    return sessions.get(draftKey);
+}
+
+function parseSteps(data) {
+    if (!data) return {};
+    try {
+        const parsed = JSON.parse(data);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+function send(key) {
+    const entry = pendingSaves.get(key);
+    if (!entry) return;
+    const loading = sessionFor(entry.draftKey);
+    if (loading.promise && !loading.loaded) {
+        loading.promise.then(() => send(key)); // the draft may still turn up: wait for getDraft
+        return;
+    }
+    if (draftState(entry.draftKey) === DRAFT_STATE.PENDING) {
+        entry.timer = null; // a draft turned up meanwhile: hold until the agent chooses
+        return;
+    }
+    pendingSaves.delete(key);
+    const session = sessionFor(entry.draftKey);
+    session.steps = { ...session.steps, [entry.step]: entry.values };
+
+    saveStep({ flowName: entry.draftKey, step: entry.step, valuesJson: JSON.stringify(entry.values) })
+        .catch(error => console.error('Error saving intake draft:', error));
+}
+
+function flushDraft(draftKey) {
+    [...pendingSaves.values()]
+        .filter(entry => entry.draftKey === draftKey)
+        .forEach(entry => flushDraftStep(draftKey, entry.step));
+}
+
+function dropPendingSaves(draftKey) {
+    [...pendingSaves.entries()]
+        .filter(([, entry]) => entry.draftKey === draftKey)
+        .forEach(([key, entry]) => {
+            if (entry.timer) clearTimeout(entry.timer);
+            pendingSaves.delete(key);
+        });
+}
+
+async function removeDraft(draftKey) {
+    try {
+        await deleteDraft({ flowName: draftKey });
+    } catch (error) {
+        console.error('Error deleting intake draft:', error);
+    }
+}
@@ -4,12 +4,17 @@
  * Purpose         : Kadaster BAG postcode+huisnummer lookup for NL + international manual address.
  *
  * Responsibilities:
- *  - Country picklist (default: NL)
- *  - NL: Kadaster lookup; right-hand preview (always shows header, centered)
- *  - Non-NL: Manual address form
+ *  - Flow wrapper around c-woonstad-address-capture (country picker, NL Kadaster lookup with preview,
+ *    manual non-NL form); maps its canonical address to the Flow outputs via c/addressFormat
  *  - Expose all address fields (NL + INTL) as @api outputs for Flow (including countryOutput + countryIsoOutput)
  *  - "Ingangsdatum" is required for both NL and non-NL, and emitted as ingangsdatumOutput
- *  - Legacy "Volgende" button to navigate Flow
+ *  - Ingangsdatum window from Address_Start_Date_Rule__mdt (WoonstadAddressStartDateRules): min/max on the
+ *    date picker, rules shown inline, enforced in validate()
+ *  - Legacy "Volgende" button to navigate Flow (Alt+N; "?" shows the shortcut help, c/keyboardShortcuts)
+ *  - Flow Back: outputs are inputOutput; connectedCallback hands the restored address to the
+ *    capture component and restores the ingangsdatum
+ *  - Intake draft (c/intakeDraft): with a draftKey the address + ingangsdatum are autosaved and,
+ *    after "Hervat concept" on the intake form, restored when the Flow passes no address
  *
  * Accessibility   : SLDS inputs with native validation
  * Security        : UI-only; enforce CRUD/FLS + server checks separately
@@ -17,10 +22,21 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-07
- * Last Modified   : 2025-09-02
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * ===============================================================================================
+ * 2026-10-19 | DvM | CHANGED: Texts from custom labels (NL/EN); countryOutput default stays the Dutch data value.
+ * 2026-10-19 | DvM | ADDED: Alt+N = Volgende, "?" shortcut help (c/keyboardShortcuts).
+ * 2026-10-19 | DvM | ADDED: draftKey input; address + ingangsdatum autosaved / resumed via c/intakeDraft.
+ * 2026-10-19 | DvM | CHANGED: Thin wrapper around c-woonstad-address-capture; address mapping via c/addressFormat.
+ * 2026-10-19 | DvM | ADDED: Ingangsdatum rules (accountId/addressType inputs); min/max + inline Dutch rule text.
+ * 2026-10-19 | DvM | ADDED: Restore state from previous outputs on Flow Back (outputs are now inputOutput).
+ * 2026-10-19 | DvM | FIXED: intlState (manual state/province) is now emitted to Flow instead of cleared.
+ * 2026-10-19 | DvM | CHANGED: Lookups via c/kadasterLookupService (session cache, in-flight dedupe); stale responses dropped.
+ * 2026-10-19 | DvM | ADDED: Search modes "Straat + plaats" (typeahead, all house numbers) and "BAG-object-ID" (reverse lookup).
+ * 2026-10-19 | DvM | ADDED: Full ISO-3166 country list + per-country address schemas (addressCountries.js).
+ * 2026-10-19 | DvM | CHANGED: Manual form renders fields in schema order; validate() enforces country rules.
  * 2025-09-02 | DvM | ADDED: countryIsoOutput @api property for ISO country codes.
  * 2025-09-02 | DvM | FIXED: Country output properly set for international addresses in handleNext().
  * 2025-09-02 | DvM | FIXED: clearInternationalOutputsOnly() preserves intlCountry value.
@@ -38,14 +54,43 @@
 
 import { LightningElement, api } from 'lwc';
 import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flowSupport';
-import fetchAddresses from '@salesforce/apex/KadasterAddressLookupController.fetchAddresses';
+import getStartDateRules from '@salesforce/apex/WoonstadAddressStartDateRules.getRules';
+import {
+    DEFAULT_COUNTRY,
+    getCountryLabel,
+    findCountryIso,
+    emptyAddress,
+    fromFlowFields,
+    toFlowFields,
+    hasAddress
+} from 'c/addressFormat';
+import { loadDraft, resumedStepValues, saveDraftStep, flushDraftStep } from 'c/intakeDraft';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { formatLabel } from 'c/labelFormat';
+import TITLE from '@salesforce/label/c.Woonstad_Address_Lookup_Title';
+import START_DATE from '@salesforce/label/c.Woonstad_Address_Lookup_Start_Date';
+import START_DATE_REQUIRED from '@salesforce/label/c.Woonstad_Address_Lookup_Start_Date_Required';
+import START_DATE_TOO_EARLY from '@salesforce/label/c.Woonstad_Address_Lookup_Start_Date_Too_Early';
+import START_DATE_TOO_LATE from '@salesforce/label/c.Woonstad_Address_Lookup_Start_Date_Too_Late';
+import ADDRESS_INCOMPLETE from '@salesforce/label/c.Woonstad_Address_Lookup_Address_Incomplete';
+import WARNING from '@salesforce/label/c.Woonstad_Address_Lookup_Warning';
+
+/** Step name of this screen in the intake draft */
+const DRAFT_STEP = 'address';
 
 export default class KadasterLookupFlow extends LightningElement {
     /* =========================================================================
-       COUNTRY SELECTION
+       FLOW INPUT PROPERTIES
        ========================================================================= */
-    country = 'NL';
-    countryOptions = getAllCountries();
+    /** Existing Account (optional): enables the "not before current address" rule */
+    @api accountId;
+
+    /** Account_Address__c Type__c the rules are evaluated for */
+    @api addressType = 'WOO';
+
+    /** Intake draft key (Flow API name); empty = no autosave (e.g. address change of an existing customer) */
+    @api draftKey;
 
     /* =========================================================================
        FLOW OUTPUT PROPERTIES - ALL @api DECORATORS MUST BE INSIDE THE CLASS!
@@ -57,7 +102,7 @@ export default class KadasterLookupFlow extends LightningElement {
     /** Flow output for the selected country ISO code (always set to country value/ISO code) */
     @api countryIsoOutput = 'NL';
 
-    /* NL OUTPUTS */
+    /* NL OUTPUTS (also carry the manual address for other countries) */
     @api streetName = '';
     @api houseNumberOutput = '';
     @api houseLetter = '';
@@ -69,7 +114,7 @@ export default class KadasterLookupFlow extends LightningElement {
     /** Ingangsdatum (yyyy-MM-dd string for Flow Date variable mapping), required in both modes */
     @api ingangsdatumOutput = '';
 
-    /* INTERNATIONAL OUTPUTS (filled only when !isNl) */
+    /* INTERNATIONAL OUTPUTS (intlCountry + intlState filled; other intl* kept empty) */
     @api intlStreet = '';
     @api intlHouseNumber = '';
     @api intlHouseAddition = '';
@@ -81,218 +126,165 @@ export default class KadasterLookupFlow extends LightningElement {
     /* =========================================================================
        LOCAL STATE
        ========================================================================= */
-    /* Local state for the date input (bound in both NL and non-NL forms) */
+    /* Local state for the date input */
     ingangsdatum = null;
 
-    /* NL STATE */
-    postalCodeInput = '';
-    houseNumberInput = '';
-    postalCodeValid = true;
+    /* Ingangsdatum rules (yyyy-MM-dd bounds; null = unbounded) */
+    ingangsdatumMin = null;
+    ingangsdatumMax = null;
+    ingangsdatumRules = [];
 
-    addressList = [];
-    addressOptions = [];
-    selectedAddressIndex = null;
-
-    loading = false;
-    error = null;
-    debounceTimer;
+    /* Address handed to the capture component once (Flow Back restore) */
+    initialAddress;
 
-    /* MANUAL INPUT STATE */
-    manual = { street: '', houseNumber: '', addition: '', postalCode: '', city: '', state: '' };
+    /* Current canonical address from the capture component */
+    address = emptyAddress();
 
-    /* =========================================================================
-       COMPUTED PROPERTIES
-       ========================================================================= */
-    get isNl() {
-        return this.country === 'NL';
-    }
-
-    get hasNlSelection() {
-        return this.isNl && !!(this.streetName && this.postalCodeOutput && this.city);
-    }
-
-    get nlStreetLine() {
-        const num = [this.houseNumberOutput, this.houseLetter].filter(Boolean).join('');
-        const add = this.houseNumberAddition ? ` ${this.houseNumberAddition}` : '';
-        return [this.streetName, (num ? `${num}${add}` : '').trim()].filter(Boolean).join(' ');
-    }
-
-    get nlCityLine() {
-        return [this.postalCodeOutput, this.city].filter(Boolean).join(' ');
-    }
+    error = null;
 
-    get nlCountryLabel() {
-        return 'Nederland';
-    }
+    /* Custom labels used by the template */
+    label = { next: COMMON.next, title: TITLE, startDate: START_DATE, warning: WARNING };
 
     /* =========================================================================
        LIFECYCLE METHODS
        ========================================================================= */
+    /** Unregisters the keyboard shortcuts (c/keyboardShortcuts) */
+    _unregisterShortcuts;
+
     // Lifecycle method to dispatch initial values to Flow
     connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...SHORTCUT.NEXT, label: COMMON.next, handler: () => this.handleNext() }
+        ]);
+
+        // Flow Back: rebuild the UI from the values the Flow passes back into our inputOutput properties
+        this.restoreFromFlow();
+        this.loadStartDateRules();
+        loadDraft(this.draftKey).then(() => this.restoreFromDraft());
+
         // Dispatch the initial country output values to Flow when component loads
         this.dispatchEvent(new FlowAttributeChangeEvent('countryOutput', this.countryOutput));
         this.dispatchEvent(new FlowAttributeChangeEvent('countryIsoOutput', this.countryIsoOutput));
     }
 
     /* =========================================================================
-       EVENT HANDLERS
+       INGANGSDATUM RULES
        ========================================================================= */
-    handleCountryChange(e) {
-        this.country = e.detail.value;
-        
-        console.log('=== COUNTRY CHANGE ===');
-        console.log('New country:', this.country);
-        
-        // Find the label for the selected country value
-        const selectedOption = this.countryOptions.find(option => option.value === this.country);
-        this.countryOutput = selectedOption ? selectedOption.label : this.country;
-        this.countryIsoOutput = this.country; // ISO code is the value
-        
-        // Dispatch both country label and ISO code to Flow immediately
-        this.dispatchEvent(new FlowAttributeChangeEvent('countryOutput', this.countryOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('countryIsoOutput', this.countryIsoOutput));
-        
-        this.clearOutputsAndSelection();
-        this.resetManualInputs();
-        this.error = null;
-        
-        // Clear ALL main output fields when switching countries
-        this.clearMainOutputs();
-        
-        console.log('Country outputs set to:');
-        console.log('  countryOutput (label):', this.countryOutput);
-        console.log('  countryIsoOutput (ISO):', this.countryIsoOutput);
-        console.log('=== END COUNTRY CHANGE ===\n');
+    async loadStartDateRules() {
+        try {
+            const rules = await getStartDateRules({
+                accountId: this.accountId || null,
+                addressType: this.addressType || null
+            });
+            this.ingangsdatumMin = rules?.minDate || null;
+            this.ingangsdatumMax = rules?.maxDate || null;
+            this.ingangsdatumRules = rules?.descriptions || [];
+        } catch {
+            // Rules unavailable: the date stays unbounded here; the server still enforces them on save
+            this.ingangsdatumRules = [];
+        }
     }
 
-    /**
-     * Clears the main output fields and dispatches to Flow
-     */
-    clearMainOutputs() {
-        this.streetName = '';
-        this.houseNumberOutput = '';
-        this.houseLetter = '';
-        this.houseNumberAddition = '';
-        this.postalCodeOutput = '';
-        this.city = '';
-        this.addressableObjectIdentification = '';
-        
-        // Dispatch cleared values to Flow
-        this.dispatchEvent(new FlowAttributeChangeEvent('streetName', this.streetName));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberOutput', this.houseNumberOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseLetter', this.houseLetter));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberAddition', this.houseNumberAddition));
-        this.dispatchEvent(new FlowAttributeChangeEvent('postalCodeOutput', this.postalCodeOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('city', this.city));
-        this.dispatchEvent(new FlowAttributeChangeEvent('addressableObjectIdentification', this.addressableObjectIdentification));
-        
-        console.log('✓ Main outputs cleared and dispatched to Flow');
+    get nextTitle() {
+        return `${COMMON.next} (Alt+N)`;
     }
 
-    handlePostalCodeChange(e) {
-        const v = String(e.detail.value || '').trim().toUpperCase();
-        this.postalCodeInput = v;
-        this.postalCodeValid = /^[0-9]{4}[A-Z]{2}$/.test(v);
-
-        this.clearOutputsAndSelection();
-        if (this.postalCodeValid) this.scheduleDebouncedFetch();
+    get hasIngangsdatumRules() {
+        return this.ingangsdatumRules.length > 0;
     }
 
-    handleIngangsdatumChange(e) {
-        // lightning-input type="date" returns yyyy-MM-dd
-        this.ingangsdatum = e.detail.value || null;
-        this.ingangsdatumOutput = this.ingangsdatum;
-        this.error = null;
+    get ingangsdatumUnderflowMessage() {
+        return this.ingangsdatumMin
+            ? formatLabel(START_DATE_TOO_EARLY, formatDate(this.ingangsdatumMin))
+            : null;
     }
 
-    handleHouseNumberChange(e) {
-        this.houseNumberInput = String(e.detail.value || '').trim();
-        this.clearOutputsAndSelection();
-        this.scheduleDebouncedFetch();
+    get ingangsdatumOverflowMessage() {
+        return this.ingangsdatumMax
+            ? formatLabel(START_DATE_TOO_LATE, formatDate(this.ingangsdatumMax))
+            : null;
     }
 
-    handleManualChange(e) {
-        const { name, value } = e.target;
-        
-        console.log('=== MANUAL CHANGE EVENT ===');
-        console.log('Field name:', name, 'Field value:', value);
-        
-        this.manual = { ...this.manual, [name]: value ?? '' };
-        this.error = null;
-        
-        // For international mode, immediately update the MAIN output fields
-        if (!this.isNl) {
-            console.log('International mode - updating main output fields immediately');
-            this.updateMainOutputsFromManual();
+    /** Message when the date falls outside the rule window; null when allowed */
+    checkIngangsdatumWindow() {
+        // yyyy-MM-dd strings compare chronologically
+        if (this.ingangsdatumMin && this.ingangsdatum < this.ingangsdatumMin) {
+            return this.ingangsdatumUnderflowMessage;
         }
-        
-        console.log('=== END MANUAL CHANGE EVENT ===\n');
+        if (this.ingangsdatumMax && this.ingangsdatum > this.ingangsdatumMax) {
+            return this.ingangsdatumOverflowMessage;
+        }
+        return null;
     }
 
+    /* =========================================================================
+       RESTORE (Flow Back navigation)
+       ========================================================================= */
     /**
-     * Updates the main output fields from manual input and dispatches to Flow
-     * This uses the same output fields for both NL and International addresses
+     * Rebuilds local state from previously emitted outputs.
+     * Does nothing on a fresh screen (no address and no ingangsdatum passed in).
      */
-    updateMainOutputsFromManual() {
-        console.log('=== UPDATING MAIN OUTPUTS FROM MANUAL ===');
-        
-        // Map international manual data to the MAIN output fields
-        this.streetName = this.manual.street || '';
-        this.houseNumberOutput = this.manual.houseNumber || '';
-        this.houseLetter = ''; // Not used for international
-        this.houseNumberAddition = this.manual.addition || '';
-        this.postalCodeOutput = this.manual.postalCode || '';
-        this.city = this.manual.city || '';
-        this.addressableObjectIdentification = ''; // Not applicable for international
-        
-        // Set intlCountry from the selected country
-        this.intlCountry = this.countryOutput || '';
-        
-        console.log('Main outputs set to:');
-        console.log('  streetName:', this.streetName);
-        console.log('  houseNumberOutput:', this.houseNumberOutput);
-        console.log('  houseNumberAddition:', this.houseNumberAddition);
-        console.log('  postalCodeOutput:', this.postalCodeOutput);
-        console.log('  city:', this.city);
-        console.log('  intlCountry:', this.intlCountry);
-        console.log('  countryIsoOutput:', this.countryIsoOutput);
-        
-        // Dispatch to Flow immediately
-        console.log('Dispatching main outputs to Flow...');
-        this.dispatchEvent(new FlowAttributeChangeEvent('streetName', this.streetName));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberOutput', this.houseNumberOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseLetter', this.houseLetter));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberAddition', this.houseNumberAddition));
-        this.dispatchEvent(new FlowAttributeChangeEvent('postalCodeOutput', this.postalCodeOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('city', this.city));
-        this.dispatchEvent(new FlowAttributeChangeEvent('addressableObjectIdentification', this.addressableObjectIdentification));
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlCountry', this.intlCountry));
-        this.dispatchEvent(new FlowAttributeChangeEvent('countryIsoOutput', this.countryIsoOutput));
-        
-        console.log('✓ Main outputs dispatched to Flow');
-        console.log('=== END UPDATING MAIN OUTPUTS ===\n');
-    }
+    restoreFromFlow() {
+        if (this.ingangsdatumOutput) {
+            this.ingangsdatum = this.ingangsdatumOutput;
+        }
 
-    handleAddressSelect(e) {
-        const value = e.detail.value;
+        const iso = findCountryIso(this.countryIsoOutput) || DEFAULT_COUNTRY;
+        this.countryIsoOutput = iso;
+        this.countryOutput = getCountryLabel(iso);
 
-        if (value === '' || value === null || value === undefined) {
-            this.selectedAddressIndex = null;
-            this.clearOutputsOnly();
-            return;
+        const restored = fromFlowFields(this);
+        if (hasAddress(restored)) {
+            this.address = { ...restored, countryIso: iso, country: this.countryOutput };
+            this.initialAddress = this.address;
         }
+    }
+
+    /**
+     * Resumed intake draft: takes over the saved address and ingangsdatum when the Flow passed none.
+     */
+    restoreFromDraft() {
+        const values = resumedStepValues(this.draftKey, DRAFT_STEP);
+        if (!values) return;
 
-        const index = parseInt(value, 10);
-        if (Number.isNaN(index) || !this.addressList[index]) {
-            this.selectedAddressIndex = null;
-            this.clearOutputsOnly();
-            return;
+        if (!this.ingangsdatum && values.ingangsdatum) {
+            this.ingangsdatum = values.ingangsdatum;
+            this.dispatchEvent(new FlowAttributeChangeEvent('ingangsdatumOutput', this.ingangsdatum));
+        }
+        if (!hasAddress(this.address) && hasAddress(values.address)) {
+            this.address = values.address;
+            this.initialAddress = this.address;
+            this.dispatchOutputs();
         }
+    }
 
-        this.selectedAddressIndex = value;
-        this.setOutputsFrom(this.addressList[index]);
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+        flushDraftStep(this.draftKey, DRAFT_STEP);
+    }
+
+    autosave() {
+        saveDraftStep(this.draftKey, DRAFT_STEP, { address: this.address, ingangsdatum: this.ingangsdatum });
+    }
+
+    /* =========================================================================
+       EVENT HANDLERS
+       ========================================================================= */
+    /** Canonical address from c-woonstad-address-capture -> Flow outputs */
+    handleAddressChange(e) {
+        this.address = e.detail.address;
+        this.error = null;
+        this.dispatchOutputs();
+        this.autosave();
+    }
+
+    handleIngangsdatumChange(e) {
+        // lightning-input type="date" returns yyyy-MM-dd
+        this.ingangsdatum = e.detail.value || null;
+        this.ingangsdatumOutput = this.ingangsdatum;
+        this.dispatchEvent(new FlowAttributeChangeEvent('ingangsdatumOutput', this.ingangsdatumOutput || ''));
         this.error = null;
+        this.autosave();
     }
 
     handleNext = () => {
@@ -300,41 +292,11 @@ export default class KadasterLookupFlow extends LightningElement {
         this.error = isValid ? null : errorMessage;
         if (!isValid) return;
 
-        // Populate the SAME output fields based on country
-        if (this.isNl) {
-            // For NL: use Kadaster data in the main output fields
-            // (NL fields are already set by setOutputsFrom method)
-            // Just ensure international fields are cleared
-            this.clearInternationalOutputsOnly();
-        } else {
-            // For International: map manual data to the MAIN output fields
-            this.streetName = this.manual.street || '';
-            this.houseNumberOutput = this.manual.houseNumber || '';
-            this.houseLetter = ''; // Not used for international
-            this.houseNumberAddition = this.manual.addition || '';
-            this.postalCodeOutput = this.manual.postalCode || '';
-            this.city = this.manual.city || '';
-            this.addressableObjectIdentification = ''; // Not applicable for international
-            
-            // Set intlCountry from the selected country output
-            this.intlCountry = this.countryOutput || '';
-            
-            // Dispatch the main outputs to Flow
-            this.dispatchEvent(new FlowAttributeChangeEvent('streetName', this.streetName));
-            this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberOutput', this.houseNumberOutput));
-            this.dispatchEvent(new FlowAttributeChangeEvent('houseLetter', this.houseLetter));
-            this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberAddition', this.houseNumberAddition));
-            this.dispatchEvent(new FlowAttributeChangeEvent('postalCodeOutput', this.postalCodeOutput));
-            this.dispatchEvent(new FlowAttributeChangeEvent('city', this.city));
-            this.dispatchEvent(new FlowAttributeChangeEvent('addressableObjectIdentification', this.addressableObjectIdentification));
-            this.dispatchEvent(new FlowAttributeChangeEvent('intlCountry', this.intlCountry));
-            this.dispatchEvent(new FlowAttributeChangeEvent('countryIsoOutput', this.countryIsoOutput));
-            
-            // Clear unused international outputs (but keep intlCountry)
-            this.clearInternationalOutputsOnly();
-        }
+        // Outputs are kept in sync on every change; emit once more so Flow has the final values
+        this.dispatchOutputs();
 
         // Navigate to next Flow screen
+        flushDraftStep(this.draftKey, DRAFT_STEP);
         this.dispatchEvent(new FlowNavigationNextEvent());
     };
 
@@ -344,243 +306,33 @@ export default class KadasterLookupFlow extends LightningElement {
     @api validate() {
         // Ingangsdatum is required in BOTH NL and non-NL flows
         if (!this.ingangsdatum) {
-            return { isValid: false, errorMessage: 'Vul een ingangsdatum in.' };
+            return { isValid: false, errorMessage: START_DATE_REQUIRED };
         }
-
-        if (this.isNl) {
-            if (
-                this.addressList.length > 1 &&
-                (this.selectedAddressIndex === null || this.selectedAddressIndex === undefined)
-            ) {
-                return { isValid: false, errorMessage: 'Selecteer eerst een adres voordat je doorgaat.' };
-            }
-            const ok = !!(this.streetName && this.addressableObjectIdentification);
-            return { isValid: ok, errorMessage: ok ? null : 'Adresselectie is onvolledig.' };
+        const windowError = this.checkIngangsdatumWindow();
+        if (windowError) {
+            return { isValid: false, errorMessage: windowError };
         }
 
-        // Non-NL required fields
-        const ok =
-            this.manual.street &&
-            this.manual.houseNumber &&
-            this.manual.postalCode &&
-            this.manual.city;
-
-        return { isValid: !!ok, errorMessage: ok ? null : 'Vul alle verplichte velden in (straat, huisnummer, postcode, plaats).' };
-    }
-
-    /* =========================================================================
-       KADASTER FETCH METHODS
-       ========================================================================= */
-    scheduleDebouncedFetch() {
-        if (this.debounceTimer) clearTimeout(this.debounceTimer);
-
-        const ready =
-            this.isNl &&
-            this.postalCodeInput &&
-            this.houseNumberInput &&
-            this.postalCodeValid;
-
-        if (ready) this.debounceTimer = setTimeout(() => this.fetchAddressData(), 600);
-    }
-
-    async fetchAddressData() {
-        this.loading = true;
-        this.error = null;
-        this.addressOptions = [];
-        this.selectedAddressIndex = null;
-
-        try {
-            const data = await fetchAddresses({
-                postalCode: this.postalCodeInput,
-                houseNumber: this.houseNumberInput
-            });
-
-            this.addressList = Array.isArray(data) ? data : [];
-
-            if (this.addressList.length === 0) {
-                this.error = 'Geen adres gevonden';
-                this.clearOutputsOnly();
-                return;
-            }
-
-            if (this.addressList.length === 1) {
-                const only = this.addressList[0];
-                this.addressOptions = [{ label: only.addressLabel, value: '0' }];
-                this.selectedAddressIndex = '0';
-                this.setOutputsFrom(only);
-                return;
-            }
-
-            this.addressOptions = this.addressList.map((addr, idx) => ({
-                label: addr.addressLabel,
-                value: String(idx)
-            }));
-        } catch (e) {
-            this.error = 'Er is een fout opgetreden bij het ophalen van het adres.';
-            this.clearOutputsOnly();
-        } finally {
-            this.loading = false;
-        }
+        const capture = this.template.querySelector('c-woonstad-address-capture');
+        return capture ? capture.validate() : { isValid: false, errorMessage: ADDRESS_INCOMPLETE };
     }
 
     /* =========================================================================
        HELPER METHODS
        ========================================================================= */
-    
-    /**
-     * Updates and dispatches international output values to Flow immediately
-     * This ensures Flow receives the international values as they are entered
-     */
-    updateInternationalOutputs() {
-        console.log('=== UPDATE INTERNATIONAL OUTPUTS ===');
-        console.log('Current manual object:', JSON.stringify(this.manual, null, 2));
-        
-        // Set international outputs from manual form (use empty string instead of null for Flow compatibility)
-        this.intlStreet = this.manual.street || '';
-        this.intlHouseNumber = this.manual.houseNumber || '';
-        this.intlHouseAddition = this.manual.addition || '';
-        this.intlPostalCode = this.manual.postalCode || '';
-        this.intlCity = this.manual.city || '';
-        this.intlState = this.manual.state || '';
-        this.intlCountry = this.countryOutput || '';
-        
-        // Debug logging for each assignment
-        console.log('Setting international outputs:');
-        console.log('  intlStreet: "' + this.intlStreet + '" (from manual.street: "' + this.manual.street + '")');
-        console.log('  intlHouseNumber: "' + this.intlHouseNumber + '" (from manual.houseNumber: "' + this.manual.houseNumber + '")');
-        console.log('  intlHouseAddition: "' + this.intlHouseAddition + '" (from manual.addition: "' + this.manual.addition + '")');
-        console.log('  intlPostalCode: "' + this.intlPostalCode + '" (from manual.postalCode: "' + this.manual.postalCode + '")');
-        console.log('  intlCity: "' + this.intlCity + '" (from manual.city: "' + this.manual.city + '")');
-        console.log('  intlState: "' + this.intlState + '" (from manual.state: "' + this.manual.state + '")');
-        console.log('  intlCountry: "' + this.intlCountry + '" (from countryOutput: "' + this.countryOutput + '")');
-        
-        // Dispatch each international output to Flow immediately
-        console.log('Dispatching to Flow:');
-        
-        console.log('  → Dispatching intlStreet:', this.intlStreet);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlStreet', this.intlStreet));
-        
-        console.log('  → Dispatching intlHouseNumber:', this.intlHouseNumber);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlHouseNumber', this.intlHouseNumber));
-        
-        console.log('  → Dispatching intlHouseAddition:', this.intlHouseAddition);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlHouseAddition', this.intlHouseAddition));
-        
-        console.log('  → Dispatching intlPostalCode:', this.intlPostalCode);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlPostalCode', this.intlPostalCode));
-        
-        console.log('  → Dispatching intlCity:', this.intlCity);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlCity', this.intlCity));
-        
-        console.log('  → Dispatching intlState:', this.intlState);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlState', this.intlState));
-        
-        console.log('  → Dispatching intlCountry:', this.intlCountry);
-        this.dispatchEvent(new FlowAttributeChangeEvent('intlCountry', this.intlCountry));
-        
-        console.log('✓ All international outputs dispatched to Flow');
-        
-        // Clear NL outputs when in international mode
-        this.clearNlOutputs();
-        
-        console.log('=== END UPDATE INTERNATIONAL OUTPUTS ===\n');
-    }
-    
-    /**
-     * Clears and dispatches NL output values to Flow
-     */
-    clearNlOutputs() {
-        this.streetName = '';
-        this.houseNumberOutput = '';
-        this.houseLetter = '';
-        this.houseNumberAddition = '';
-        this.postalCodeOutput = '';
-        this.city = '';
-        this.addressableObjectIdentification = '';
-        
-        // Dispatch cleared NL outputs to Flow
-        this.dispatchEvent(new FlowAttributeChangeEvent('streetName', this.streetName));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberOutput', this.houseNumberOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseLetter', this.houseLetter));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberAddition', this.houseNumberAddition));
-        this.dispatchEvent(new FlowAttributeChangeEvent('postalCodeOutput', this.postalCodeOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('city', this.city));
-        this.dispatchEvent(new FlowAttributeChangeEvent('addressableObjectIdentification', this.addressableObjectIdentification));
-    }
-    
-    /**
-     * Clears only the international output values except intlCountry
-     * The intlCountry should be preserved as it contains the selected country value
-     */
-    clearInternationalOutputsOnly() {
-        this.intlStreet = '';
-        this.intlHouseNumber = '';
-        this.intlHouseAddition = '';
-        this.intlPostalCode = '';
-        this.intlCity = '';
-        this.intlState = '';
-        // Don't clear intlCountry - it should keep the selected country value
-        // this.intlCountry = ''; // This was clearing the country selection!
-        
-        // We don't dispatch these since we're not using them anymore
-        // The main outputs (streetName, city, etc.) are used for both NL and international
-        // But we do dispatch intlCountry since it's needed for country display
-        console.log('✓ International outputs cleared (except intlCountry which preserves:', this.intlCountry, ')');
-    }
-
-    setOutputsFrom(a) {
-        // Set NL address data in the main output fields
-        this.streetName = a.streetName || '';
-        this.houseNumberOutput = a.houseNumber != null ? String(a.houseNumber) : '';
-        this.houseLetter = a.houseLetter || '';
-        this.houseNumberAddition = a.houseNumberAddition || '';
-        this.postalCodeOutput = a.postalCode || '';
-        this.city = a.city || '';
-        this.addressableObjectIdentification = a.addressableObjectIdentification || '';
-        
-        // Immediately dispatch NL outputs to Flow when address is selected
-        this.dispatchEvent(new FlowAttributeChangeEvent('streetName', this.streetName));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberOutput', this.houseNumberOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseLetter', this.houseLetter));
-        this.dispatchEvent(new FlowAttributeChangeEvent('houseNumberAddition', this.houseNumberAddition));
-        this.dispatchEvent(new FlowAttributeChangeEvent('postalCodeOutput', this.postalCodeOutput));
-        this.dispatchEvent(new FlowAttributeChangeEvent('city', this.city));
-        this.dispatchEvent(new FlowAttributeChangeEvent('addressableObjectIdentification', this.addressableObjectIdentification));
-        
-        console.log('✓ NL address data set in main outputs and dispatched to Flow');
-    }
-
-    clearOutputsOnly() {
-        // Clear main outputs (used for both NL and international)
-        this.clearMainOutputs();
-    }
-
-    clearOutputsAndSelection() {
-        this.selectedAddressIndex = null;
-        this.addressOptions = [];
-        this.clearOutputsOnly();
-    }
-
-    resetManualInputs() {
-        this.manual = { street: '', houseNumber: '', addition: '', postalCode: '', city: '', state: '' };
-        console.log('✓ Manual inputs reset');
+    /** Sets every address output from the canonical address and dispatches it to Flow */
+    dispatchOutputs() {
+        Object.entries(toFlowFields(this.address)).forEach(([name, value]) => {
+            this[name] = value;
+            this.dispatchEvent(new FlowAttributeChangeEvent(name, value));
+        });
     }
 }
 
 /* =========================================================================
-   HELPER: Country list (replace with full ISO-3166 in production)
+   HELPER: yyyy-MM-dd -> dd-mm-jjjj (matches the server-side rule messages)
    ========================================================================= */
-function getAllCountries() {
-    return [
-        { label: 'Nederland', value: 'NL' },
-        { label: 'België', value: 'BE' },
-        { label: 'Duitsland', value: 'DE' },
-        { label: 'Frankrijk', value: 'FR' },
-        { label: 'Verenigde Staten', value: 'US' },
-        { label: 'Canada', value: 'CA' },
-        { label: 'Italië', value: 'IT' },
-        { label: 'Spanje', value: 'ES' },
-        { label: 'Portugal', value: 'PT' },
-        { label: 'Zwitserland', value: 'CH' }
-    ];
-}
\ No newline at end of file
+function formatDate(isoDate) {
+    const [y, m, d] = String(isoDate).split('-');
+    return `${d}-${m}-${y}`;
+}
@@ -0,0 +1,157 @@
+/*************************************************************************************************
+ * Module          : kadasterLookupService (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Shared client-side access to the Kadaster BAG Apex endpoints for
+ *                   woonstadAddressCapture (used by kadasterLookupFlow and addressEntry).
+ *
+ * Responsibilities:
+ *  - Session cache (module scope, survives component remounts) keyed per query, with TTL
+ *  - In-flight de-duplication: identical concurrent requests share one Apex call
+ *  - createRequestSequencer(): lets a component drop out-of-order (stale) responses
+ *
+ * Notes           : Errors are never cached. Cache lives until page reload or clearKadasterCache().
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ * 2026-10-19 | DvM | Removed lookupExactAddress (addressEntry now uses the shared Kadaster lookup).
+ *************************************************************************************************/
+
+import fetchAddresses from '@salesforce/apex/KadasterAddressLookupController.fetchAddresses';
+import suggestStreets from '@salesforce/apex/KadasterAddressLookupController.suggestStreets';
+import fetchAddressesByStreet from '@salesforce/apex/KadasterAddressLookupController.fetchAddressesByStreet';
+import fetchAddressByObjectId from '@salesforce/apex/KadasterAddressLookupController.fetchAddressByObjectId';
+
+/** Time-to-live of a cached Kadaster response (BAG data changes rarely within a call) */
+export const CACHE_TTL_MS = 10 * 60 * 1000;
+
+/** Upper bound on cached entries; oldest entry is evicted first */
+const MAX_ENTRIES = 200;
+
+/* key -> { value, expires } */
+const cache = new Map();
+/* key -> Promise (pending Apex call) */
+const inFlight = new Map();
+
+/* =========================================================================
+   PUBLIC API
+   ========================================================================= */
+
+/**
+ * Postcode + huisnummer lookup (KadasterAddressLookupController.fetchAddresses).
+ * @returns {Promise<Array>} simplified Kadaster addresses
+ */
+export function lookupAddresses(postalCode, houseNumber) {
+    const params = { postalCode: normalizePostalCode(postalCode), houseNumber: normalizeText(houseNumber) };
+    return cachedCall(buildKey('pc', params.postalCode, params.houseNumber), () => fetchAddresses(params));
+}
+
+/**
+ * Street typeahead (KadasterAddressLookupController.suggestStreets).
+ */
+export function lookupStreetSuggestions(streetName, city) {
+    const params = { streetName: normalizeText(streetName), city: normalizeText(city) };
+    return cachedCall(buildKey('suggest', params.streetName, params.city), () => suggestStreets(params));
+}
+
+/**
+ * All house numbers of one street (KadasterAddressLookupController.fetchAddressesByStreet).
+ */
+export function lookupAddressesByStreet(streetName, city) {
+    const params = { streetName: normalizeText(streetName), city: normalizeText(city) };
+    return cachedCall(buildKey('street', params.streetName, params.city), () => fetchAddressesByStreet(params));
+}
+
+/**
+ * Reverse lookup from a BAG adresseerbaarObjectIdentificatie.
+ */
+export function lookupAddressByObjectId(addressableObjectIdentification) {
+    const params = { addressableObjectIdentification: normalizeText(addressableObjectIdentification) };
+    return cachedCall(buildKey('aoi', params.addressableObjectIdentification), () => fetchAddressByObjectId(params));
+}
+
+/**
+ * Returns a sequencer to drop out-of-order responses:
+ *   const ticket = seq.next();  ...await...;  if (!seq.isCurrent(ticket)) return;
+ */
+export function createRequestSequencer() {
+    let current = 0;
+    return {
+        next() {
+            current += 1;
+            return current;
+        },
+        isCurrent(ticket) {
+            return ticket === current;
+        },
+        /** Invalidates all outstanding tickets (e.g. on mode switch or disconnect) */
+        cancel() {
+            current += 1;
+        }
+    };
+}
+
+/** Clears the session cache (in-flight requests still resolve for their callers). */
+export function clearKadasterCache() {
+    cache.clear();
+}
+
+/* =========================================================================
+   INTERNALS
+   ========================================================================= */
+
+/**
+ * Serves from cache when fresh, joins an identical pending call, or performs the call.
+ * @param {string} key
+ * @param {Function} loader  () => Promise
+ */
+function cachedCall(key, loader) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) {
+        return Promise.resolve(hit.value);
+    }
+    if (hit) cache.delete(key);
+
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const pending = loader()
+        .then((value) => {
+            store(key, value);
+            return value;
+        })
+        .finally(() => {
+            inFlight.delete(key);
+        });
+
+    inFlight.set(key, pending);
+    return pending;
+}
+
+function store(key, value) {
+    if (cache.size >= MAX_ENTRIES) {
+        // Map keeps insertion order: first key is the oldest
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+}
+
+function buildKey(kind, ...parts) {
+    return [kind, ...parts].join('|').toUpperCase();
+}
+
+function normalizePostalCode(value) {
+    return String(value || '')
+        .replace(/\s+/g, '')
+        .toUpperCase();
+}
+
+function normalizeText(value) {
+    return String(value || '').trim();
+}
@@ -0,0 +1,168 @@
+/*************************************************************************************************
+ * Module          : keyboardShortcuts (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : One set of keyboard shortcuts for the Woonstad KC flow screens, so agents on a
+ *                   headset can stay on the keyboard.
+ *
+ * Shortcuts       : 1-9           choose the n-th choice card
+ *                   Alt+N         Volgende / Opslaan (primary action of the screen)
+ *                   Alt+B         Terug / Vorige
+ *                   PageUp/Down   previous / next result page
+ *                   ?             help overlay (c-woonstad-shortcut-help)
+ *
+ * Responsibilities:
+ *  - registerShortcuts(): a component registers its shortcuts while it is connected; one window
+ *    listener serves all components. When two components on a screen claim the same key, the one
+ *    registered last wins (e.g. a form's Alt+N over the generic navigation buttons).
+ *  - Keys without Alt are ignored while the agent types in an input, textarea, select or editor.
+ *  - registerHelpViewer() / activeShortcuts(): data for the "?" overlay.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Help text from a custom label (NL/EN).
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import SHOW_SHORTCUTS from '@salesforce/label/c.Woonstad_Shortcuts_Show';
+
+/** The shared shortcut keys; components use these instead of their own choices */
+export const SHORTCUT = Object.freeze({
+    NEXT: { key: 'n', alt: true },
+    BACK: { key: 'b', alt: true },
+    PAGE_PREV: { key: 'PageUp' },
+    PAGE_NEXT: { key: 'PageDown' },
+    HELP: { key: '?' }
+});
+
+/** Number keys for the choice cards (1-9) */
+export function choiceShortcut(index) {
+    return { key: String(index + 1) };
+}
+
+/* Stack of { shortcuts } per connected component, last registered first in line */
+const registrations = [];
+/* Help overlays; the last connected one opens on "?" */
+const helpViewers = [];
+let listening = false;
+
+/* =========================================================================
+   PUBLIC API
+   ========================================================================= */
+
+/**
+ * Registers the shortcuts of one component.
+ * @param {Array<{key: string, alt?: boolean, label: string, handler: Function, enabled?: Function}>} shortcuts
+ *        enabled() returning false skips the shortcut (e.g. button not shown / disabled)
+ * @returns {Function} unregister; call it in disconnectedCallback
+ */
+export function registerShortcuts(shortcuts) {
+    const registration = { shortcuts: (shortcuts || []).filter((s) => s && s.key && s.handler) };
+    registrations.push(registration);
+    updateListener();
+
+    return () => {
+        const index = registrations.indexOf(registration);
+        if (index !== -1) registrations.splice(index, 1);
+        updateListener();
+    };
+}
+
+/**
+ * @param {{ open: Function }} viewer help overlay component
+ * @returns {Function} unregister
+ */
+export function registerHelpViewer(viewer) {
+    helpViewers.push(viewer);
+    updateListener();
+    return () => {
+        const index = helpViewers.indexOf(viewer);
+        if (index !== -1) helpViewers.splice(index, 1);
+        updateListener();
+    };
+}
+
+/**
+ * Shortcuts that currently do something, one per key combination (the one that would win).
+ * @returns {Array<{combo: string, label: string}>}
+ */
+export function activeShortcuts() {
+    const seen = new Set();
+    const result = [];
+    for (let i = registrations.length - 1; i >= 0; i--) {
+        registrations[i].shortcuts.forEach((s) => {
+            const combo = formatCombo(s);
+            if (seen.has(combo) || s.enabled?.() === false) return;
+            seen.add(combo);
+            result.push({ combo, label: s.label });
+        });
+    }
+    result.push({ combo: formatCombo(SHORTCUT.HELP), label: SHOW_SHORTCUTS });
+    return result;
+}
+
+/** "Alt+N", "PageDown", "1" */
+export function formatCombo(shortcut) {
+    const key = shortcut.key.length === 1 ? shortcut.key.toUpperCase() : shortcut.key;
+    return shortcut.alt ? `Alt+${key}` : key;
+}
+
+/* =========================================================================
+   PRIVATE HELPERS
+   ========================================================================= */
+
+function updateListener() {
+    const needed = registrations.length > 0 || helpViewers.length > 0;
+    if (needed && !listening) {
+        window.addEventListener('keydown', handleKeydown);
+        listening = true;
+    } else if (!needed && listening) {
+        window.removeEventListener('keydown', handleKeydown);
+        listening = false;
+    }
+}
+
+function handleKeydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey) return;
+    const typing = isTypingTarget(event);
+
+    if (!typing && !event.altKey && event.key === SHORTCUT.HELP.key && helpViewers.length) {
+        event.preventDefault();
+        helpViewers[helpViewers.length - 1].open();
+        return;
+    }
+
+    for (let i = registrations.length - 1; i >= 0; i--) {
+        const shortcut = registrations[i].shortcuts.find((s) => matches(s, event) && s.enabled?.() !== false);
+        if (shortcut) {
+            if (typing && !shortcut.alt) return;
+            event.preventDefault();
+            shortcut.handler(event);
+            return;
+        }
+    }
+}
+
+/**
+ * Alt combinations are matched on the physical key (event.code): on macOS Alt+N types "˜".
+ */
+function matches(shortcut, event) {
+    if (!!shortcut.alt !== event.altKey) return false;
+    if (shortcut.alt) {
+        return event.code === `Key${shortcut.key.toUpperCase()}`;
+    }
+    return event.key === shortcut.key;
+}
+
+/** The real target inside shadow DOM is an editable field */
+function isTypingTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    const target = path[0] || event.target;
+    if (!target || !target.tagName) return false;
+    const tag = target.tagName.toUpperCase();
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable === true;
+}
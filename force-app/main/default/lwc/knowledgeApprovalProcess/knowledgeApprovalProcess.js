@@ -10,6 +10,8 @@
  * -----------------------------------------------------------------------------------------------
  * Change Log
  * 2025-11-06 | DP | Initial creation.
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN).
+ * 2026-10-19 | DvM | Validation via c/formValidation and c-woonstad-validation-banner.
  *************************************************************************************************/
 
 import { LightningElement, api, track } from 'lwc';
@@ -17,6 +19,21 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { FlowNavigationFinishEvent, FlowNavigationNextEvent, FlowAttributeChangeEvent } from 'lightning/flowSupport';
 
 import updateKnowledgeVersion from '@salesforce/apex/KnowledgeApprovalProcessController.updateKnowledgeVersion';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { createFormValidator } from 'c/formValidation';
+import TITLE from '@salesforce/label/c.Woonstad_Knowledge_Approval_Title';
+import COMMENT from '@salesforce/label/c.Woonstad_Knowledge_Approval_Comment';
+import COMMENT_PLACEHOLDER from '@salesforce/label/c.Woonstad_Knowledge_Approval_Comment_Placeholder';
+import COMMENT_MISSING from '@salesforce/label/c.Woonstad_Knowledge_Approval_Comment_Missing';
+import CONFIG_ERROR from '@salesforce/label/c.Woonstad_Knowledge_Approval_Config_Error';
+import NO_RECORD_ID from '@salesforce/label/c.Woonstad_Knowledge_Approval_No_Record_Id';
+import SAVED from '@salesforce/label/c.Woonstad_Knowledge_Approval_Saved';
+import SUBMITTED from '@salesforce/label/c.Woonstad_Knowledge_Approval_Submitted';
+import UPDATE_ERROR from '@salesforce/label/c.Woonstad_Knowledge_Approval_Update_Error';
+
+const RULES = [
+    { field: 'comment', label: COMMENT, required: true, requiredMessage: COMMENT_MISSING }
+];
 
 export default class KnowledgeApprovalProcess extends LightningElement {
 
@@ -24,13 +41,23 @@ export default class KnowledgeApprovalProcess extends LightningElement {
     @api approvalComment;
 
     @track comment = '';
-    @track validationMessage = '';
     @track isSaving = false;
     showInfoBanner = true;
+    validation = null;
+
+    _validator = createFormValidator(this, RULES, { onResult: (result) => { this.validation = result; } });
+
+    label = {
+        title: TITLE,
+        comment: COMMENT,
+        commentPlaceholder: COMMENT_PLACEHOLDER,
+        confirm: COMMON.confirm,
+        busy: COMMON.busy
+    };
 
     handleCommentChange(event) {
         this.comment = event.target.value;
-        this.validationMessage = '';
+        this._validator.clearField(event.target);
 
         // set comment as output for flow
         this.approvalComment = this.comment;
@@ -39,37 +66,17 @@ export default class KnowledgeApprovalProcess extends LightningElement {
         );
     }
 
-    validate() {
-        if (!this.comment || !this.comment.trim()) {
-            this.validationMessage = 'Vul eerst in wat je wilt vertellen over de wijziging.';
-            const textarea = this.template.querySelector('lightning-textarea[data-required="true"]');
-            if (textarea) {
-                textarea.setCustomValidity('Dit veld is verplicht.');
-                textarea.reportValidity();
-            }
-            return false;
-        }
-
-        const textarea = this.template.querySelector('lightning-textarea[data-required="true"]');
-        if (textarea) {
-            textarea.setCustomValidity('');
-            textarea.reportValidity();
-        }
-        this.validationMessage = '';
-        return true;
-    }
-
     handleSave() {
         if (!this.recordId) {
             this.showToast(
-                'Configuratiefout',
-                'Geen Knowledge artikelversie (recordId) meegegeven aan het component.',
+                CONFIG_ERROR,
+                NO_RECORD_ID,
                 'error'
             );
             return;
         }
 
-        if (!this.validate()) {
+        if (!this._validator.validate().isValid) {
             return;
         }
 
@@ -80,8 +87,8 @@ export default class KnowledgeApprovalProcess extends LightningElement {
         })
             .then(() => {
                 this.showToast(
-                    'Opgeslagen',
-                    'Je toelichting is opgeslagen en het artikel wacht nu op beoordeling.',
+                    SAVED,
+                    SUBMITTED,
                     'success'
                 );
                 
@@ -99,8 +106,8 @@ export default class KnowledgeApprovalProcess extends LightningElement {
                 const message =
                     error && error.body && error.body.message
                         ? error.body.message
-                        : 'Onbekende fout bij het bijwerken van het artikel.';
-                this.showToast('Fout', message, 'error');
+                        : UPDATE_ERROR;
+                this.showToast(COMMON.error, message, 'error');
             })
             .finally(() => {
                 this.isSaving = false;
@@ -0,0 +1,82 @@
+/*************************************************************************************************
+ * Module          : labelFormat (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Message formatting for custom labels, shared by the Woonstad components.
+ *
+ * Responsibilities:
+ *  - formatLabel(): fill the {0}, {1}, ... placeholders of a label
+ *  - formatList(): join values in the running user's language ("a, b en c" / "a, b and c")
+ *  - formatCount(): pick the singular or plural label for a count and fill it in
+ *  - splitLabel(): text before / after a placeholder, for markup around the value in a template
+ *
+ * Notes           : Labels are en_US with an nl_NL translation; Salesforce resolves the value for
+ *                   the running user's language, this module only fills it in. Placeholders follow
+ *                   the Apex String.format convention so the same label text works in both.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import LANG from '@salesforce/i18n/lang';
+
+/**
+ * Fills the numbered placeholders of a label.
+ * @param {string} label   Label value, e.g. 'Vul de volgende velden in: {0}.'
+ * @param {...*}   args    Values for {0}, {1}, ...; null/undefined become ''
+ * @returns {string} The label with placeholders replaced; placeholders without argument stay as-is
+ */
+export function formatLabel(label, ...args) {
+    return String(label ?? '').replace(/\{(\d+)\}/g, (placeholder, index) => {
+        const i = Number(index);
+        if (i >= args.length) return placeholder;
+        return args[i] == null ? '' : String(args[i]);
+    });
+}
+
+/**
+ * Joins values as a list in the user's language; empty values are skipped.
+ * @param {Array<*>} items
+ * @param {('conjunction'|'disjunction')} [type='conjunction'] "and" or "or" list
+ * @returns {string}
+ */
+export function formatList(items, type = 'conjunction') {
+    const values = (items || []).filter((item) => item != null && String(item).trim() !== '').map(String);
+    try {
+        return new Intl.ListFormat(LANG, { style: 'long', type }).format(values);
+    } catch {
+        // Older browsers / unknown language tag
+        return values.join(', ');
+    }
+}
+
+/**
+ * Formats a count with the singular or plural label, e.g. '{0} zaak' / '{0} zaken'.
+ * @param {number} count
+ * @param {string} one    Label used when count is 1
+ * @param {string} other  Label used otherwise
+ * @returns {string}
+ */
+export function formatCount(count, one, other) {
+    return formatLabel(Number(count) === 1 ? one : other, count);
+}
+
+/**
+ * Splits a label around one placeholder, so a template can render the value with its own markup
+ * (e.g. a countdown number or a formatted date-time) between the two parts.
+ * @param {string} label
+ * @param {number} [index=0] Placeholder number
+ * @returns {{before: string, after: string}} The whole label is "before" when the placeholder is missing
+ */
+export function splitLabel(label, index = 0) {
+    const text = String(label ?? '');
+    const placeholder = `{${index}}`;
+    const at = text.indexOf(placeholder);
+    if (at < 0) return { before: text, after: '' };
+    return { before: text.slice(0, at), after: text.slice(at + placeholder.length) };
+}
@@ -0,0 +1,64 @@
+/*************************************************************************************************
+ * Module          : recorddatedeletion/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of recorddatedeletion (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import title from '@salesforce/label/c.Woonstad_Record_Deletion_Title';
+import createdFrom from '@salesforce/label/c.Woonstad_Record_Deletion_Created_From';
+import createdUntil from '@salesforce/label/c.Woonstad_Record_Deletion_Created_Until';
+import objects from '@salesforce/label/c.Woonstad_Record_Deletion_Objects';
+import noObjects from '@salesforce/label/c.Woonstad_Record_Deletion_No_Objects';
+import recordsFound from '@salesforce/label/c.Woonstad_Record_Deletion_Records_Found';
+import processing from '@salesforce/label/c.Woonstad_Record_Deletion_Processing';
+import warning from '@salesforce/label/c.Woonstad_Record_Deletion_Warning';
+import notDeletedList from '@salesforce/label/c.Woonstad_Record_Deletion_Not_Deleted_List';
+import search from '@salesforce/label/c.Woonstad_Record_Deletion_Search';
+import deleteSelected from '@salesforce/label/c.Woonstad_Record_Deletion_Delete_Selected';
+import deleteRecords from '@salesforce/label/c.Woonstad_Record_Deletion_Delete';
+import objectsLoadError from '@salesforce/label/c.Woonstad_Record_Deletion_Objects_Load_Error';
+import endBeforeStart from '@salesforce/label/c.Woonstad_Record_Deletion_End_Before_Start';
+import info from '@salesforce/label/c.Woonstad_Record_Deletion_Info';
+import noneFound from '@salesforce/label/c.Woonstad_Record_Deletion_None_Found';
+import found from '@salesforce/label/c.Woonstad_Record_Deletion_Found';
+import previewError from '@salesforce/label/c.Woonstad_Record_Deletion_Preview_Error';
+import noneDeletedTitle from '@salesforce/label/c.Woonstad_Record_Deletion_None_Deleted_Title';
+import noneDeleted from '@salesforce/label/c.Woonstad_Record_Deletion_None_Deleted';
+import partialTitle from '@salesforce/label/c.Woonstad_Record_Deletion_Partial_Title';
+import partial from '@salesforce/label/c.Woonstad_Record_Deletion_Partial';
+import deleteError from '@salesforce/label/c.Woonstad_Record_Deletion_Delete_Error';
+
+export const LABELS = {
+    title,
+    createdFrom,
+    createdUntil,
+    objects,
+    noObjects,
+    recordsFound,
+    processing,
+    warning,
+    notDeletedList,
+    search,
+    deleteSelected,
+    deleteRecords,
+    objectsLoadError,
+    endBeforeStart,
+    info,
+    noneFound,
+    found,
+    previewError,
+    noneDeletedTitle,
+    noneDeleted,
+    partialTitle,
+    partial,
+    deleteError
+};
@@ -13,7 +13,7 @@
  * - Safe deletion order (junction → children → parents)
  * - Three-state error handling (success / partial / failure)
  * - Detailed error reporting for failed deletions
- * - Dutch localization for all user-facing messages
+ * - User-facing texts from custom labels (en_US master, nl_NL translation)
  * 
  * DEPENDENCIES:
  * - RecordDateDeletionController (Apex)
@@ -25,6 +25,7 @@
  * Version | Date       | Author | Description
  * --------|------------|--------|------------------------------------------
  * 1.0.0   | 2025-12-09 | DP     | Initial creation
+ * 1.1.0   | 2026-10-19 | DvM    | Texts from custom labels (./labels, c/woonstadCommonLabels)
  * 
  * SECURITY:
  * - All data operations via Apex with sharing enforcement
@@ -41,8 +42,17 @@ import WoonstadGlobalCSS from '@salesforce/resourceUrl/WoonstadGlobalCSS';
 import getAvailableObjects from '@salesforce/apex/RecordDateDeletionController.getAvailableObjects';
 import previewRecords from '@salesforce/apex/RecordDateDeletionController.previewRecords';
 import deleteRecordsByDate from '@salesforce/apex/RecordDateDeletionController.deleteRecordsByDate';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { formatLabel } from 'c/labelFormat';
+import { LABELS } from './labels';
 
 export default class RecordDateDeletion extends LightningElement {
+    /**
+     * @description Custom labels used by the template
+     * @type {Object}
+     */
+    label = { ...COMMON, ...LABELS };
+
     /**
      * @description The start date-time for filtering records
      * @type {String}
@@ -132,8 +142,8 @@ export default class RecordDateDeletion extends LightningElement {
                 isChecked: false
             }));
         } else if (error) {
-            this.errorMessage = 'Fout bij het laden van beschikbare objecten: ' + this.getErrorMessage(error);
-            this.showToast('Fout', this.errorMessage, 'error');
+            this.errorMessage = formatLabel(LABELS.objectsLoadError, this.getErrorMessage(error));
+            this.showToast(COMMON.error, this.errorMessage, 'error');
             this.availableObjects = [];
         }
     }
@@ -227,7 +237,7 @@ export default class RecordDateDeletion extends LightningElement {
             const endDate = new Date(this.endDateTime);
             
             if (endDate < startDate) {
-                this.errorMessage = 'Einddatum moet na de startdatum liggen.';
+                this.errorMessage = LABELS.endBeforeStart;
                 this.endDateTime = '';
                 event.target.value = '';
             }
@@ -279,13 +289,13 @@ export default class RecordDateDeletion extends LightningElement {
             this.recordCounts = counts;
 
             if (Object.keys(counts).length === 0) {
-                this.showToast('Info', 'Geen records gevonden voor de geselecteerde periode.', 'info');
+                this.showToast(LABELS.info, LABELS.noneFound, 'info');
             } else {
-                this.showToast('Succes', 'Records gevonden.', 'success');
+                this.showToast(COMMON.success, LABELS.found, 'success');
             }
         } catch (error) {
-            this.errorMessage = 'Fout bij het laden van het voorbeeld: ' + this.getErrorMessage(error);
-            this.showToast('Fout', this.errorMessage, 'error');
+            this.errorMessage = formatLabel(LABELS.previewError, this.getErrorMessage(error));
+            this.showToast(COMMON.error, this.errorMessage, 'error');
         } finally {
             this.isLoading = false;
         }
@@ -307,6 +317,7 @@ export default class RecordDateDeletion extends LightningElement {
             });
 
             // Check if there are any errors and if any records were successfully deleted
+            // (the summary message comes from RecordDateDeletionController and is always Dutch)
             const hasErrors = result.errors && result.errors.length > 0;
             const hasSuccesses = result.message && !result.message.includes('Er zijn geen records verwijderd');
 
@@ -314,16 +325,16 @@ export default class RecordDateDeletion extends LightningElement {
                 // All deletions failed
                 this.deletionErrors = result.errors;
                 this.errorMessage = result.message;
-                this.showToast('Geen record(s) verwijderd', 'De record(s) konden niet worden verwijderd.', 'error');
+                this.showToast(LABELS.noneDeletedTitle, LABELS.noneDeleted, 'error');
             } else if (hasErrors && hasSuccesses) {
                 // Some succeeded, some failed
                 this.deletionErrors = result.errors;
                 this.successMessage = result.message;
-                this.showToast('Gedeeltelijk geslaagd', 'Sommige records zijn verwijderd, maar andere zijn mislukt.', 'warning');
+                this.showToast(LABELS.partialTitle, LABELS.partial, 'warning');
             } else {
                 // All succeeded
                 this.successMessage = result.message;
-                this.showToast('Succes', result.message, 'success');
+                this.showToast(COMMON.success, result.message, 'success');
             }
             
             // Reset the form
@@ -332,8 +343,8 @@ export default class RecordDateDeletion extends LightningElement {
             this.endDateTime = '';
             this.resetCheckboxes();
         } catch (error) {
-            this.errorMessage = 'Fout bij het verwijderen van records: ' + this.getErrorMessage(error);
-            this.showToast('Fout', this.errorMessage, 'error');
+            this.errorMessage = formatLabel(LABELS.deleteError, this.getErrorMessage(error));
+            this.showToast(COMMON.error, this.errorMessage, 'error');
         } finally {
             this.isLoading = false;
         }
@@ -370,7 +381,7 @@ export default class RecordDateDeletion extends LightningElement {
         } else if (error.message) {
             return error.message;
         }
-        return 'Er is een onbekende fout opgetreden';
+        return COMMON.unknownError;
     }
 
     /**
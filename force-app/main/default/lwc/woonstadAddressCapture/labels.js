@@ -0,0 +1,90 @@
+/*************************************************************************************************
+ * Module          : woonstadAddressCapture/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadAddressCapture (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import street from '@salesforce/label/c.Woonstad_Address_Capture_Street';
+import houseNumber from '@salesforce/label/c.Woonstad_Address_Capture_House_Number';
+import addition from '@salesforce/label/c.Woonstad_Address_Capture_Addition';
+import postalCode from '@salesforce/label/c.Woonstad_Address_Capture_Postal_Code';
+import city from '@salesforce/label/c.Woonstad_Address_Capture_City';
+import state from '@salesforce/label/c.Woonstad_Address_State_Province';
+import postalCodeCity from '@salesforce/label/c.Woonstad_Address_Capture_Postal_Code_City';
+import country from '@salesforce/label/c.Woonstad_Address_Capture_Country';
+import bagIdShort from '@salesforce/label/c.Woonstad_Address_Capture_Bag_Id_Short';
+import searchBy from '@salesforce/label/c.Woonstad_Address_Capture_Search_By';
+import modePostcode from '@salesforce/label/c.Woonstad_Address_Capture_Mode_Postcode';
+import modeStreet from '@salesforce/label/c.Woonstad_Address_Capture_Mode_Street';
+import bagId from '@salesforce/label/c.Woonstad_Address_Capture_Bag_Id';
+import postalCodeHelp from '@salesforce/label/c.Woonstad_Address_Capture_Postal_Code_Help';
+import postalCodeMismatch from '@salesforce/label/c.Woonstad_Address_Capture_Postal_Code_Mismatch';
+import houseNumberHelp from '@salesforce/label/c.Woonstad_Address_Capture_House_Number_Help';
+import streetPlaceholder from '@salesforce/label/c.Woonstad_Address_Capture_Street_Placeholder';
+import streetsFound from '@salesforce/label/c.Woonstad_Address_Capture_Streets_Found';
+import bagIdHelp from '@salesforce/label/c.Woonstad_Address_Capture_Bag_Id_Help';
+import bagIdMismatch from '@salesforce/label/c.Woonstad_Address_Capture_Bag_Id_Mismatch';
+import searching from '@salesforce/label/c.Woonstad_Address_Capture_Searching';
+import selectAddress from '@salesforce/label/c.Woonstad_Address_Capture_Select_Address';
+import chosenAddress from '@salesforce/label/c.Woonstad_Address_Capture_Chosen_Address';
+import noAddressChosen from '@salesforce/label/c.Woonstad_Address_Capture_No_Address_Chosen';
+import warning from '@salesforce/label/c.Woonstad_Address_Capture_Warning';
+import example from '@salesforce/label/c.Woonstad_Address_Capture_Example';
+import selectFirst from '@salesforce/label/c.Woonstad_Address_Capture_Select_First';
+import selectionIncomplete from '@salesforce/label/c.Woonstad_Address_Capture_Selection_Incomplete';
+import fillRequired from '@salesforce/label/c.Woonstad_Address_Capture_Fill_Required';
+import invalidPostalCode from '@salesforce/label/c.Woonstad_Address_Capture_Invalid_Postal_Code';
+import invalidHouseNumber from '@salesforce/label/c.Woonstad_Address_Capture_Invalid_House_Number';
+import lookupError from '@salesforce/label/c.Woonstad_Address_Capture_Lookup_Error';
+import streetError from '@salesforce/label/c.Woonstad_Address_Capture_Street_Error';
+import houseNumbersError from '@salesforce/label/c.Woonstad_Address_Capture_House_Numbers_Error';
+import noStreetFound from '@salesforce/label/c.Woonstad_Address_Capture_No_Street_Found';
+import noAddressFound from '@salesforce/label/c.Woonstad_Address_Capture_No_Address_Found';
+
+export const LABELS = {
+    street,
+    houseNumber,
+    addition,
+    postalCode,
+    city,
+    state,
+    postalCodeCity,
+    country,
+    bagIdShort,
+    searchBy,
+    modePostcode,
+    modeStreet,
+    bagId,
+    postalCodeHelp,
+    postalCodeMismatch,
+    houseNumberHelp,
+    streetPlaceholder,
+    streetsFound,
+    bagIdHelp,
+    bagIdMismatch,
+    searching,
+    selectAddress,
+    chosenAddress,
+    noAddressChosen,
+    warning,
+    example,
+    selectFirst,
+    selectionIncomplete,
+    fillRequired,
+    invalidPostalCode,
+    invalidHouseNumber,
+    lookupError,
+    streetError,
+    houseNumbersError,
+    noStreetFound,
+    noAddressFound
+};
@@ -0,0 +1,677 @@
+/*************************************************************************************************
+ * Component       : woonstadAddressCapture (JS)
+ * Layer           : LWC Controller (building block, not exposed)
+ * Purpose         : Single address component for all Woonstad flows: NL Kadaster lookup,
+ *                   manual international entry and read-only display.
+ *
+ * Responsibilities:
+ *  - Country picker (full ISO list) or fixed NL (allowInternational = false)
+ *  - NL search modes: postcode + huisnummer, straat + plaats (typeahead), BAG-object-ID
+ *  - Manual form for other countries, field order + rules from the country schema
+ *  - Read-only display (readOnly = true) with the shared address lines
+ *  - Emits one canonical address (c/addressFormat) via the "addresschange" event:
+ *      detail = { address, complete }
+ *  - validate(): { isValid, errorMessage } for the current selection / manual input
+ *
+ * Notes           : Wrappers (kadasterLookupFlow, addressEntry, confirm forms) map the canonical
+ *                   address to their own Flow variables / records.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version (lookup + manual logic moved here from kadasterLookupFlow).
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via ./labels.
+ *************************************************************************************************/
+
+import { LightningElement, api } from 'lwc';
+import {
+    lookupAddresses,
+    lookupStreetSuggestions,
+    lookupAddressesByStreet,
+    lookupAddressByObjectId,
+    createRequestSequencer
+} from 'c/kadasterLookupService';
+import {
+    DEFAULT_COUNTRY,
+    SOURCE_MANUAL,
+    getAllCountries,
+    getCountryLabel,
+    getAddressSchema,
+    normalizePostalCode,
+    matchesPattern,
+    emptyAddress,
+    fromKadaster,
+    hasAddress,
+    isCompleteAddress,
+    isSameAddress,
+    formatStreetLine,
+    formatCityLine,
+    formatCountryLine
+} from 'c/addressFormat';
+import { formatLabel, formatList } from 'c/labelFormat';
+import { LABELS } from './labels';
+
+/* Manual form field definitions (label + grid width); order comes from the country schema */
+const MANUAL_FIELDS = {
+    street: { label: LABELS.street, size: 'slds-size_1-of-1' },
+    houseNumber: { label: LABELS.houseNumber, size: 'slds-size_1-of-2' },
+    addition: { label: LABELS.addition, size: 'slds-size_1-of-2' },
+    postalCode: { label: LABELS.postalCode, size: 'slds-size_1-of-2' },
+    city: { label: LABELS.city, size: 'slds-size_1-of-2' },
+    state: { label: LABELS.state, size: 'slds-size_1-of-2' }
+};
+
+const EMPTY_MANUAL = { street: '', houseNumber: '', addition: '', postalCode: '', city: '', state: '' };
+
+/* NL search modes */
+const MODE_POSTCODE = 'postcode';
+const MODE_STREET = 'street';
+const MODE_BAG_ID = 'bagId';
+
+export default class WoonstadAddressCapture extends LightningElement {
+    /* =========================================================================
+       PUBLIC PROPERTIES
+       ========================================================================= */
+    /** Read-only display instead of lookup / manual entry */
+    @api readOnly = false;
+
+    /** Show the country picker; false = NL (Kadaster) only */
+    @api allowInternational = false;
+
+    /** Show the "Het gekozen adres" preview next to the NL inputs */
+    @api showPreview = false;
+
+    /**
+     * Canonical address (c/addressFormat). In edit mode the value is applied on connect
+     * (e.g. Flow Back restore) and whenever a different address is passed in.
+     */
+    @api
+    get value() {
+        return this.address;
+    }
+    set value(v) {
+        if (!v) return;
+        if (this.readOnly || !this.connected) {
+            this.address = { ...emptyAddress(), ...v };
+            return;
+        }
+        if (!isSameAddress(v, this.address)) {
+            this.applyValue(v);
+        }
+    }
+
+    /* =========================================================================
+       LOCAL STATE
+       ========================================================================= */
+    label = LABELS;
+
+    address = emptyAddress();
+    connected = false;
+
+    country = DEFAULT_COUNTRY;
+    countryOptions = getAllCountries();
+
+    /* NL STATE */
+    postalCodeInput = '';
+    houseNumberInput = '';
+    postalCodeValid = true;
+
+    addressList = [];
+    addressOptions = [];
+    selectedAddressIndex = null;
+
+    loading = false;
+    error = null;
+    debounceTimer;
+
+    /* Drop out-of-order responses (address lookups and street suggestions are sequenced separately) */
+    addressLookups = createRequestSequencer();
+    suggestLookups = createRequestSequencer();
+
+    /* NL SEARCH MODE STATE */
+    searchMode = MODE_POSTCODE;
+    searchModeOptions = [
+        { label: LABELS.modePostcode, value: MODE_POSTCODE },
+        { label: LABELS.modeStreet, value: MODE_STREET },
+        { label: LABELS.bagId, value: MODE_BAG_ID }
+    ];
+    streetQuery = '';
+    cityQuery = '';
+    streetSuggestions = [];
+    suggestTimer;
+    bagIdInput = '';
+
+    /* MANUAL INPUT STATE */
+    manual = { ...EMPTY_MANUAL };
+
+    /* =========================================================================
+       LIFECYCLE
+       ========================================================================= */
+    connectedCallback() {
+        this.connected = true;
+        if (!this.readOnly && hasAddress(this.address)) {
+            this.applyValue(this.address);
+        }
+    }
+
+    disconnectedCallback() {
+        this.connected = false;
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        if (this.suggestTimer) clearTimeout(this.suggestTimer);
+        this.addressLookups.cancel();
+        this.suggestLookups.cancel();
+    }
+
+    /* =========================================================================
+       COMPUTED PROPERTIES
+       ========================================================================= */
+    get isNl() {
+        return this.country === DEFAULT_COUNTRY;
+    }
+
+    get isPostcodeMode() {
+        return this.searchMode === MODE_POSTCODE;
+    }
+
+    get isStreetMode() {
+        return this.searchMode === MODE_STREET;
+    }
+
+    get isBagIdMode() {
+        return this.searchMode === MODE_BAG_ID;
+    }
+
+    get hasStreetSuggestions() {
+        return this.streetSuggestions.length > 0;
+    }
+
+    get hasAddressOptions() {
+        return this.addressOptions.length > 0;
+    }
+
+    get hasNlSelection() {
+        return this.isNl && !!(this.address.street && this.address.postalCode && this.address.city);
+    }
+
+    get nlInputsClass() {
+        return this.showPreview
+            ? 'slds-col slds-size_1-of-1 slds-medium-size_2-of-3'
+            : 'slds-col slds-size_1-of-1';
+    }
+
+    /* Display lines (read-only mode and NL preview) */
+    get streetLine() {
+        return formatStreetLine(this.address);
+    }
+
+    get cityLine() {
+        return formatCityLine(this.address);
+    }
+
+    get countryLine() {
+        return formatCountryLine(this.address);
+    }
+
+    get displayStreetLine() {
+        return hasAddress(this.address) ? this.streetLine : '—';
+    }
+
+    get displayCountryLine() {
+        return this.countryLine || '—';
+    }
+
+    get hasBagId() {
+        return !!this.address.bagId;
+    }
+
+    /** Address schema of the selected country (field order, state + postcode + house-number rules) */
+    get addressSchema() {
+        return getAddressSchema(this.country);
+    }
+
+    /** Manual form fields in the order of the selected country's schema */
+    get manualFields() {
+        const schema = this.addressSchema;
+        return schema.fields.map((name) => {
+            const def = MANUAL_FIELDS[name];
+            const field = {
+                name,
+                key: `${this.country}-${name}`,
+                label: def.label,
+                colClass: `slds-col ${def.size}`,
+                value: this.manual[name],
+                required: false,
+                placeholder: '',
+                help: ''
+            };
+
+            if (name === 'street' || name === 'city') {
+                field.required = true;
+            } else if (name === 'houseNumber') {
+                field.required = schema.houseNumber.required;
+                field.placeholder = schema.houseNumber.example || '';
+            } else if (name === 'postalCode') {
+                field.required = schema.postalCode.required;
+                field.placeholder = schema.postalCode.example || '';
+                field.help = schema.postalCode.example ? formatLabel(LABELS.example, schema.postalCode.example) : '';
+            } else if (name === 'state') {
+                field.label = schema.stateLabel;
+                field.required = schema.stateRequired;
+            }
+            return field;
+        });
+    }
+
+    /* =========================================================================
+       PUBLIC METHODS
+       ========================================================================= */
+    /**
+     * Validates the current address.
+     * NL: a Kadaster address must be selected. Other countries: schema rules.
+     * @returns {{isValid: boolean, errorMessage: ?string}}
+     */
+    @api
+    validate() {
+        if (this.isNl) {
+            if (
+                this.addressList.length > 1 &&
+                (this.selectedAddressIndex === null || this.selectedAddressIndex === undefined)
+            ) {
+                return { isValid: false, errorMessage: LABELS.selectFirst };
+            }
+            const ok = !!(this.address.street && this.address.bagId);
+            return { isValid: ok, errorMessage: ok ? null : LABELS.selectionIncomplete };
+        }
+        return this.validateManual();
+    }
+
+    /**
+     * Validates the manual (non-NL) address against the selected country's schema:
+     * required fields first, then postcode and house-number format.
+     */
+    validateManual() {
+        const schema = this.addressSchema;
+        const countryLabel = getCountryLabel(this.country);
+
+        const missing = this.manualFields
+            .filter((f) => f.required && !String(this.manual[f.name] || '').trim())
+            .map((f) => f.label.toLowerCase());
+        if (missing.length) {
+            return { isValid: false, errorMessage: formatLabel(LABELS.fillRequired, formatList(missing)) };
+        }
+
+        const postalCode = normalizePostalCode(this.manual.postalCode);
+        if (postalCode && !matchesPattern(schema.postalCode.pattern, postalCode)) {
+            return {
+                isValid: false,
+                errorMessage: withExample(formatLabel(LABELS.invalidPostalCode, countryLabel), schema.postalCode.example)
+            };
+        }
+
+        const houseNumber = String(this.manual.houseNumber || '').trim();
+        if (houseNumber && !matchesPattern(schema.houseNumber.pattern, houseNumber)) {
+            return {
+                isValid: false,
+                errorMessage: withExample(formatLabel(LABELS.invalidHouseNumber, countryLabel), schema.houseNumber.example)
+            };
+        }
+
+        return { isValid: true, errorMessage: null };
+    }
+
+    /* =========================================================================
+       RESTORE (value passed in, e.g. Flow Back navigation)
+       ========================================================================= */
+    applyValue(v) {
+        const iso = String(v.countryIso || DEFAULT_COUNTRY).toUpperCase();
+        const known = this.countryOptions.some((o) => o.value === iso);
+        this.country = known && (this.allowInternational || iso === DEFAULT_COUNTRY) ? iso : DEFAULT_COUNTRY;
+        this.address = { ...emptyAddress(this.country), ...v, countryIso: this.country, country: getCountryLabel(this.country) };
+
+        if (this.isNl) {
+            this.manual = { ...EMPTY_MANUAL };
+            if (v.street && v.postalCode) this.restoreNlSelection(this.address);
+            return;
+        }
+
+        this.manual = {
+            street: v.street || '',
+            houseNumber: v.houseNumber || '',
+            addition: v.houseNumberAddition || '',
+            postalCode: v.postalCode || '',
+            city: v.city || '',
+            state: v.state || ''
+        };
+    }
+
+    /**
+     * Shows the restored Kadaster address as the selected option straight away, then re-runs the
+     * postcode lookup (usually a cache hit) so the full options list is available again.
+     */
+    async restoreNlSelection(restored) {
+        this.searchMode = MODE_POSTCODE;
+        this.postalCodeInput = String(restored.postalCode).replace(/\s+/g, '').toUpperCase();
+        this.postalCodeValid = /^[0-9]{4}[A-Z]{2}$/.test(this.postalCodeInput);
+        this.houseNumberInput = String(parseInt(restored.houseNumber, 10) || '');
+        this.addressList = [
+            {
+                streetName: restored.street,
+                houseNumber: restored.houseNumber,
+                houseLetter: restored.houseLetter,
+                houseNumberAddition: restored.houseNumberAddition,
+                postalCode: restored.postalCode,
+                city: restored.city,
+                addressableObjectIdentification: restored.bagId,
+                addressLabel: formatStreetLine(restored)
+            }
+        ];
+        this.addressOptions = this.buildAddressOptions(this.addressList, false);
+        this.selectedAddressIndex = '0';
+
+        if (!this.postalCodeValid || !this.houseNumberInput) return;
+
+        const ticket = this.addressLookups.next();
+        try {
+            const data = await lookupAddresses(this.postalCodeInput, this.houseNumberInput);
+            if (!this.addressLookups.isCurrent(ticket) || !Array.isArray(data)) return;
+
+            const index = data.findIndex((a) => isSameAddress(fromKadaster(a), restored));
+            if (index >= 0) {
+                this.addressList = data;
+                this.addressOptions = this.buildAddressOptions(data, false);
+                this.selectedAddressIndex = String(index);
+            }
+        } catch {
+            // Keep the restored address; the user can still search again
+        }
+    }
+
+    /* =========================================================================
+       EVENT HANDLERS
+       ========================================================================= */
+    handleCountryChange(e) {
+        this.country = e.detail.value;
+        this.clearOutputsAndSelection();
+        this.manual = { ...EMPTY_MANUAL };
+        this.error = null;
+        this.setAddress(emptyAddress(this.country));
+    }
+
+    handleSearchModeChange(e) {
+        this.searchMode = e.detail.value;
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        if (this.suggestTimer) clearTimeout(this.suggestTimer);
+
+        this.addressList = [];
+        this.streetSuggestions = [];
+        this.error = null;
+        this.clearOutputsAndSelection();
+    }
+
+    handlePostalCodeChange(e) {
+        const v = String(e.detail.value || '').trim().toUpperCase();
+        this.postalCodeInput = v;
+        this.postalCodeValid = /^[0-9]{4}[A-Z]{2}$/.test(v);
+
+        this.clearOutputsAndSelection();
+        if (this.postalCodeValid) this.scheduleDebouncedFetch();
+    }
+
+    handleHouseNumberChange(e) {
+        this.houseNumberInput = String(e.detail.value || '').trim();
+        this.clearOutputsAndSelection();
+        this.scheduleDebouncedFetch();
+    }
+
+    handleStreetQueryChange(e) {
+        this.streetQuery = String(e.detail.value || '').trimStart();
+        this.clearOutputsAndSelection();
+        this.scheduleStreetSuggest();
+    }
+
+    handleCityQueryChange(e) {
+        this.cityQuery = String(e.detail.value || '').trimStart();
+        this.clearOutputsAndSelection();
+        this.scheduleStreetSuggest();
+    }
+
+    handleStreetSuggestionSelect(e) {
+        const index = parseInt(e.currentTarget.dataset.index, 10);
+        const suggestion = this.streetSuggestions[index];
+        if (!suggestion) return;
+
+        this.streetQuery = suggestion.streetName;
+        this.cityQuery = suggestion.city;
+        this.streetSuggestions = [];
+        this.fetchStreetAddresses(suggestion.streetName, suggestion.city);
+    }
+
+    handleStreetSuggestionKeydown(e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.handleStreetSuggestionSelect(e);
+        }
+    }
+
+    handleBagIdChange(e) {
+        this.bagIdInput = String(e.detail.value || '').replace(/\s+/g, '');
+        this.clearOutputsAndSelection();
+        if (/^[0-9]{16}$/.test(this.bagIdInput)) this.fetchAddressesByObjectId();
+    }
+
+    handleAddressSelect(e) {
+        const index = parseInt(e.detail.value, 10);
+        if (Number.isNaN(index) || !this.addressList[index]) {
+            this.selectedAddressIndex = null;
+            this.clearAddress();
+            return;
+        }
+
+        this.selectedAddressIndex = e.detail.value;
+        this.setAddress(fromKadaster(this.addressList[index]));
+        this.error = null;
+    }
+
+    handleManualChange(e) {
+        const { name, value } = e.target;
+        this.manual = { ...this.manual, [name]: value ?? '' };
+        this.error = null;
+
+        this.setAddress({
+            ...emptyAddress(this.country),
+            street: this.manual.street || '',
+            houseNumber: this.manual.houseNumber || '',
+            houseNumberAddition: this.manual.addition || '',
+            postalCode: normalizePostalCode(this.manual.postalCode),
+            city: this.manual.city || '',
+            state: this.manual.state || '',
+            source: SOURCE_MANUAL
+        });
+    }
+
+    /* =========================================================================
+       KADASTER FETCH METHODS
+       ========================================================================= */
+    scheduleDebouncedFetch() {
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+
+        const ready =
+            this.isNl &&
+            this.isPostcodeMode &&
+            this.postalCodeInput &&
+            this.houseNumberInput &&
+            this.postalCodeValid;
+
+        if (ready) this.debounceTimer = setTimeout(() => this.fetchAddressData(), 600);
+    }
+
+    async fetchAddressData() {
+        await this.runAddressLookup(
+            () => lookupAddresses(this.postalCodeInput, this.houseNumberInput),
+            false,
+            LABELS.lookupError
+        );
+    }
+
+    /**
+     * Runs one sequenced address lookup; results of superseded lookups are ignored.
+     * @param {Function} loader  () => Promise<Array>
+     * @param {boolean} withPostalCode  see applyAddressResults
+     * @param {string} errorMessage  banner text on failure
+     */
+    async runAddressLookup(loader, withPostalCode, errorMessage) {
+        const ticket = this.addressLookups.next();
+        this.loading = true;
+        this.error = null;
+        this.addressOptions = [];
+        this.selectedAddressIndex = null;
+
+        try {
+            const data = await loader();
+            if (!this.addressLookups.isCurrent(ticket)) return;
+            this.applyAddressResults(data, withPostalCode);
+        } catch {
+            if (!this.addressLookups.isCurrent(ticket)) return;
+            this.error = errorMessage;
+            this.clearAddress();
+        } finally {
+            if (this.addressLookups.isCurrent(ticket)) this.loading = false;
+        }
+    }
+
+    /* =========================================================================
+       STREET + CITY SEARCH / REVERSE LOOKUP
+       ========================================================================= */
+    scheduleStreetSuggest() {
+        if (this.suggestTimer) clearTimeout(this.suggestTimer);
+        this.suggestLookups.cancel();
+        this.streetSuggestions = [];
+
+        const ready = this.isNl && this.streetQuery.trim().length >= 2 && this.cityQuery.trim().length >= 2;
+        if (ready) this.suggestTimer = setTimeout(() => this.fetchStreetSuggestions(), 400);
+    }
+
+    async fetchStreetSuggestions() {
+        const ticket = this.suggestLookups.next();
+        this.error = null;
+        try {
+            const data = await lookupStreetSuggestions(this.streetQuery, this.cityQuery);
+            if (!this.suggestLookups.isCurrent(ticket)) return;
+            const list = Array.isArray(data) ? data : [];
+            this.streetSuggestions = list.map((s, idx) => ({
+                ...s,
+                key: `${s.streetName}|${s.city}`,
+                index: idx,
+                postalCodeLabel: (s.postalCodes || []).join(', ')
+            }));
+            if (this.streetSuggestions.length === 0) {
+                this.error = LABELS.noStreetFound;
+            }
+        } catch {
+            if (!this.suggestLookups.isCurrent(ticket)) return;
+            this.streetSuggestions = [];
+            this.error = LABELS.streetError;
+        }
+    }
+
+    async fetchStreetAddresses(streetName, city) {
+        await this.runAddressLookup(
+            async () => {
+                const data = await lookupAddressesByStreet(streetName, city);
+                return Array.isArray(data) ? [...data].sort(compareHouseNumbers) : [];
+            },
+            true,
+            LABELS.houseNumbersError
+        );
+    }
+
+    async fetchAddressesByObjectId() {
+        await this.runAddressLookup(
+            () => lookupAddressByObjectId(this.bagIdInput),
+            true,
+            LABELS.lookupError
+        );
+    }
+
+    /**
+     * Shared result handling for all NL search modes:
+     * none -> error, one -> auto-select, many -> options list.
+     * @param {Array} data  simplified Kadaster addresses
+     * @param {boolean} withPostalCode  append postcode to the option label (street / BAG-ID mode)
+     */
+    applyAddressResults(data, withPostalCode) {
+        this.addressList = Array.isArray(data) ? data : [];
+
+        if (this.addressList.length === 0) {
+            this.error = LABELS.noAddressFound;
+            this.clearAddress();
+            return;
+        }
+
+        this.addressOptions = this.buildAddressOptions(this.addressList, withPostalCode);
+
+        if (this.addressList.length === 1) {
+            this.selectedAddressIndex = '0';
+            this.setAddress(fromKadaster(this.addressList[0]));
+        }
+    }
+
+    buildAddressOptions(list, withPostalCode) {
+        return list.map((addr, idx) => ({
+            label: withPostalCode ? [addr.addressLabel, addr.postalCode].filter(Boolean).join(', ') : addr.addressLabel,
+            value: String(idx)
+        }));
+    }
+
+    /* =========================================================================
+       HELPER METHODS
+       ========================================================================= */
+    /** Stores the address and notifies the wrapper */
+    setAddress(address) {
+        this.address = address;
+        this.dispatchEvent(
+            new CustomEvent('addresschange', {
+                detail: { address: { ...address }, complete: isCompleteAddress(address) }
+            })
+        );
+    }
+
+    clearAddress() {
+        if (!hasAddress(this.address) && this.address.countryIso === this.country) return;
+        this.setAddress(emptyAddress(this.country));
+    }
+
+    clearOutputsAndSelection() {
+        // Input changed: any pending lookup is now stale
+        this.addressLookups.cancel();
+        this.loading = false;
+        this.selectedAddressIndex = null;
+        this.addressOptions = [];
+        this.clearAddress();
+    }
+}
+
+/* =========================================================================
+   HELPER: Sort Kadaster addresses on house number, letter, addition
+   ========================================================================= */
+function compareHouseNumbers(a, b) {
+    const numA = parseInt(a.houseNumber, 10) || 0;
+    const numB = parseInt(b.houseNumber, 10) || 0;
+    if (numA !== numB) return numA - numB;
+
+    const letter = (a.houseLetter || '').localeCompare(b.houseLetter || '');
+    if (letter !== 0) return letter;
+
+    return (a.houseNumberAddition || '').localeCompare(b.houseNumberAddition || '', 'nl', { numeric: true });
+}
+
+/* =========================================================================
+   HELPER: Append "Bijvoorbeeld: <example>." to a validation message
+   ========================================================================= */
+function withExample(message, example) {
+    return example ? `${message} ${formatLabel(LABELS.example, example)}.` : message;
+}
@@ -0,0 +1,64 @@
+/*************************************************************************************************
+ * Module          : woonstadAddressTimeline/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadAddressTimeline (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import title from '@salesforce/label/c.Woonstad_Address_Timeline_Title';
+import loading from '@salesforce/label/c.Woonstad_Address_Timeline_Loading';
+import empty from '@salesforce/label/c.Woonstad_Address_Timeline_Empty';
+import addAddress from '@salesforce/label/c.Woonstad_Address_Timeline_Add_Address';
+import changeAddress from '@salesforce/label/c.Woonstad_Address_Timeline_Change_Address';
+import changeAddressOf from '@salesforce/label/c.Woonstad_Address_Timeline_Change_Address_Of';
+import residentialAddress from '@salesforce/label/c.Woonstad_Address_Timeline_Residential_Address';
+import historyLoadError from '@salesforce/label/c.Woonstad_Address_Timeline_Load_Error';
+import gapOne from '@salesforce/label/c.Woonstad_Address_Timeline_Gap_One';
+import gapOther from '@salesforce/label/c.Woonstad_Address_Timeline_Gap_Other';
+import overlapOne from '@salesforce/label/c.Woonstad_Address_Timeline_Overlap_One';
+import overlapOther from '@salesforce/label/c.Woonstad_Address_Timeline_Overlap_Other';
+import noAddress from '@salesforce/label/c.Woonstad_Address_Timeline_No_Address';
+import noStartDate from '@salesforce/label/c.Woonstad_Address_Timeline_No_Start_Date';
+import gapBeforeOne from '@salesforce/label/c.Woonstad_Address_Timeline_Gap_Before_One';
+import gapBeforeOther from '@salesforce/label/c.Woonstad_Address_Timeline_Gap_Before_Other';
+import overlapsWith from '@salesforce/label/c.Woonstad_Address_Timeline_Overlaps_With';
+import overlapsEarlier from '@salesforce/label/c.Woonstad_Address_Timeline_Overlaps_Earlier';
+import active from '@salesforce/label/c.Woonstad_Address_Timeline_Active';
+import future from '@salesforce/label/c.Woonstad_Address_Timeline_Future';
+import primary from '@salesforce/label/c.Woonstad_Address_Timeline_Primary';
+import incorrect from '@salesforce/label/c.Woonstad_Address_Timeline_Incorrect';
+import present from '@salesforce/label/c.Woonstad_Address_Timeline_Present';
+
+export const LABELS = {
+    title,
+    loading,
+    empty,
+    addAddress,
+    changeAddress,
+    changeAddressOf,
+    residentialAddress,
+    historyLoadError,
+    gapOne,
+    gapOther,
+    overlapOne,
+    overlapOther,
+    noAddress,
+    noStartDate,
+    gapBeforeOne,
+    gapBeforeOther,
+    overlapsWith,
+    overlapsEarlier,
+    active,
+    future,
+    primary,
+    incorrect,
+    present
+};
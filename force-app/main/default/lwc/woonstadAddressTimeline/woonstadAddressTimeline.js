@@ -0,0 +1,288 @@
+/*************************************************************************************************
+ * Component       : woonstadAddressTimeline (JS)
+ * Layer           : Lightning Web Component Controller
+ * Purpose         : Address history of an Account on the record page: one timeline per address type
+ *                   (Woonadres, Postadres, ...) with gaps and overlaps flagged.
+ *
+ * Responsibilities:
+ *  - Load the periods via WoonstadAddressHistoryController.getAddressHistory (gap/overlap analysis in Apex)
+ *  - Timeline bar per type (periods positioned between the first start date and today / last end date)
+ *  - Period list, newest first, with status badges and gap/overlap warnings
+ *  - "Adres wijzigen": runs Screen_Flow_Account_Address_Change in a modal; kadasterLookupFlow is prefilled
+ *    with the current address of that type (c/addressFormat toFlowFields) and the rules context
+ *    (accountId + addressType); the history is refreshed when the Flow finishes
+ *
+ * Security        : Read via Apex (with sharing, CRUD/FLS guard); changes run in the Flow.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via ./labels.
+ *************************************************************************************************/
+
+import { LightningElement, api, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import getAddressHistory from '@salesforce/apex/WoonstadAddressHistoryController.getAddressHistory';
+import { fromAddressRecord, toFlowFields, formatSingleLine } from 'c/addressFormat';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { formatLabel, formatCount } from 'c/labelFormat';
+import { LABELS } from './labels';
+
+const CHANGE_FLOW = 'Screen_Flow_Account_Address_Change';
+const DEFAULT_TYPE = 'WOO';
+
+/** kadasterLookupFlow variables the change Flow accepts as prefill */
+const PREFILL_VARIABLES = [
+    'streetName',
+    'houseNumberOutput',
+    'houseLetter',
+    'houseNumberAddition',
+    'postalCodeOutput',
+    'city',
+    'addressableObjectIdentification',
+    'countryOutput',
+    'countryIsoOutput',
+    'intlState',
+    'intlCountry'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default class WoonstadAddressTimeline extends LightningElement {
+    @api recordId;
+
+    label = { ...COMMON, ...LABELS };
+
+    histories = [];
+    error = null;
+    isLoading = true;
+
+    /* Address change modal */
+    showChangeFlow = false;
+    changeTypeLabel = '';
+    flowInputs = [];
+
+    wiredHistory;
+
+    @wire(getAddressHistory, { accountId: '$recordId' })
+    wiredAddressHistory(result) {
+        this.wiredHistory = result;
+        const { data, error } = result;
+        if (data) {
+            this.histories = data;
+            this.error = null;
+            this.isLoading = false;
+        } else if (error) {
+            this.histories = [];
+            this.error = error?.body?.message || LABELS.historyLoadError;
+            this.isLoading = false;
+        }
+    }
+
+    /* =========================================================================
+       VIEW MODEL
+       ========================================================================= */
+    get hasHistory() {
+        return this.histories.length > 0;
+    }
+
+    get showEmpty() {
+        return !this.isLoading && !this.error && !this.hasHistory;
+    }
+
+    /** One entry per address type, ready for the template */
+    get types() {
+        const today = todayIso();
+        const range = timelineRange(this.histories, today);
+
+        return this.histories.map((h) => {
+            const periods = h.periods || [];
+            return {
+                key: h.type || 'none',
+                type: h.type || DEFAULT_TYPE,
+                typeLabel: h.typeLabel,
+                gapLabel: h.gapCount ? formatCount(h.gapCount, LABELS.gapOne, LABELS.gapOther) : null,
+                overlapLabel: h.overlapCount ? formatCount(h.overlapCount, LABELS.overlapOne, LABELS.overlapOther) : null,
+                segments: buildSegments(periods, range, today),
+                rangeStartLabel: range ? formatDate(range.start) : '',
+                rangeEndLabel: range ? formatDate(range.end) : '',
+                rows: periods
+                    .map((p) => buildRow(p, today))
+                    .reverse()
+            };
+        });
+    }
+
+    /* =========================================================================
+       ADDRESS CHANGE (Flow modal)
+       ========================================================================= */
+    handleChangeAddress(event) {
+        const type = event.currentTarget.dataset.type || DEFAULT_TYPE;
+        const history = this.histories.find((h) => h.type === type);
+
+        const inputs = [
+            { name: 'recordId', type: 'String', value: this.recordId },
+            { name: 'addressType', type: 'String', value: type }
+        ];
+        if (history?.current?.address) {
+            Object.entries(toFlowFields(fromAddressRecord(history.current.address)))
+                .filter(([name, value]) => value && PREFILL_VARIABLES.includes(name))
+                .forEach(([name, value]) => inputs.push({ name, type: 'String', value }));
+        }
+
+        this.flowInputs = inputs;
+        this.changeTypeLabel = history?.typeLabel || LABELS.residentialAddress;
+        this.showChangeFlow = true;
+    }
+
+    get changeFlowName() {
+        return CHANGE_FLOW;
+    }
+
+    get changeFlowTitle() {
+        return formatLabel(LABELS.changeAddressOf, this.changeTypeLabel);
+    }
+
+    handleFlowStatusChange(event) {
+        if (event.detail.status === 'FINISHED' || event.detail.status === 'FINISHED_SCREEN') {
+            this.closeChangeFlow();
+            refreshApex(this.wiredHistory);
+        }
+    }
+
+    closeChangeFlow() {
+        this.showChangeFlow = false;
+        this.flowInputs = [];
+    }
+}
+
+/* =========================================================================
+   HELPERS
+   ========================================================================= */
+function toTime(isoDate) {
+    const [y, m, d] = String(isoDate).split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+function todayIso() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/** yyyy-MM-dd -> dd-mm-jjjj */
+function formatDate(isoDate) {
+    if (!isoDate) return '';
+    const [y, m, d] = String(isoDate).split('-');
+    return `${d}-${m}-${y}`;
+}
+
+/** First start date to the later of today and the last end/start date over all types */
+function timelineRange(histories, today) {
+    let start = null;
+    let end = today;
+    histories.forEach((h) =>
+        (h.periods || []).forEach((p) => {
+            if (!p.startDate || p.incorrect) return;
+            if (!start || p.startDate < start) start = p.startDate;
+            if (p.startDate > end) end = p.startDate;
+            if (p.endDate && p.endDate > end) end = p.endDate;
+        })
+    );
+    if (!start) return null;
+    return { start, end, span: Math.max(toTime(end) - toTime(start) + DAY_MS, DAY_MS) };
+}
+
+/** Bar segments (periods + gaps) as percentages of the range */
+function buildSegments(periods, range, today) {
+    if (!range) return [];
+    const position = (from, to) => {
+        const left = ((toTime(from) - toTime(range.start)) / range.span) * 100;
+        const width = Math.max(((toTime(to) - toTime(from) + DAY_MS) / range.span) * 100, 0.5);
+        return `left: ${left}%; width: ${Math.min(width, 100 - left)}%;`;
+    };
+
+    const segments = [];
+    periods.forEach((p) => {
+        if (!p.startDate || p.incorrect) return;
+        const status = periodStatus(p, today);
+        const end = p.endDate || range.end;
+        const classes = ['segment', `segment-${status}`];
+        if (p.overlapsPrevious) classes.push('segment-overlap');
+        segments.push({
+            key: p.id,
+            className: classes.join(' '),
+            style: position(p.startDate, end),
+            title: `${p.fullAddress || ''} (${formatDateRange(p)})`
+        });
+        if (p.gapDaysBefore) {
+            segments.push({
+                key: `${p.id}-gap`,
+                className: 'segment segment-gap',
+                style: position(p.gapStart, p.gapEnd),
+                title: formatLabel(LABELS.noAddress, formatDate(p.gapStart), formatDate(p.gapEnd))
+            });
+        }
+    });
+    return segments;
+}
+
+function buildRow(p, today) {
+    const status = periodStatus(p, today);
+    const warnings = [];
+    if (!p.startDate) {
+        warnings.push({ key: 'nostart', text: LABELS.noStartDate });
+    }
+    if (p.gapDaysBefore) {
+        warnings.push({
+            key: 'gap',
+            text: formatLabel(
+                p.gapDaysBefore === 1 ? LABELS.gapBeforeOne : LABELS.gapBeforeOther,
+                p.gapDaysBefore,
+                formatDate(p.gapStart),
+                formatDate(p.gapEnd)
+            )
+        });
+    }
+    if (p.overlapsPrevious) {
+        warnings.push({
+            key: 'overlap',
+            text: p.overlapsWith ? formatLabel(LABELS.overlapsWith, p.overlapsWith) : LABELS.overlapsEarlier
+        });
+    }
+
+    const badges = [];
+    if (status === 'active') badges.push({ key: 'active', label: LABELS.active, className: 'slds-badge slds-theme_success' });
+    if (status === 'future') badges.push({ key: 'future', label: LABELS.future, className: 'slds-badge slds-badge_lightest' });
+    if (p.primary) badges.push({ key: 'primary', label: LABELS.primary, className: 'slds-badge' });
+    if (p.incorrect) badges.push({ key: 'incorrect', label: LABELS.incorrect, className: 'slds-badge slds-theme_warning' });
+
+    return {
+        key: p.id,
+        dateRange: formatDateRange(p),
+        addressLine: formatSingleLine(fromAddressRecord(p.address)) || p.fullAddress || '',
+        badges,
+        warnings,
+        hasWarnings: warnings.length > 0,
+        className: `period period-${status}`
+    };
+}
+
+/** active | future | ended | incorrect | undated */
+function periodStatus(p, today) {
+    if (p.incorrect) return 'incorrect';
+    if (!p.startDate) return 'undated';
+    if (p.active) return 'active';
+    return p.startDate > today ? 'future' : 'ended';
+}
+
+function formatDateRange(p) {
+    const from = p.startDate ? formatDate(p.startDate) : '?';
+    const to = p.endDate ? formatDate(p.endDate) : LABELS.present;
+    return `${from} – ${to}`;
+}
@@ -0,0 +1,67 @@
+/*************************************************************************************************
+ * Module          : woonstadCommonLabels (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Custom labels used by several Woonstad components (buttons, paging, standard
+ *                   messages); en_US master, nl_NL translation.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import error from '@salesforce/label/c.Woonstad_Common_Error';
+import success from '@salesforce/label/c.Woonstad_Common_Success';
+import unknownError from '@salesforce/label/c.Woonstad_Common_Unknown_Error';
+import loadError from '@salesforce/label/c.Woonstad_Common_Load_Error';
+import saveError from '@salesforce/label/c.Woonstad_Common_Save_Error';
+import required from '@salesforce/label/c.Woonstad_Common_Required';
+import requiredField from '@salesforce/label/c.Woonstad_Common_Required_Field';
+import requiredFields from '@salesforce/label/c.Woonstad_Common_Required_Fields';
+import requiredAll from '@salesforce/label/c.Woonstad_Common_Required_All';
+import save from '@salesforce/label/c.Woonstad_Common_Save';
+import busy from '@salesforce/label/c.Woonstad_Common_Busy';
+import next from '@salesforce/label/c.Woonstad_Common_Next';
+import previous from '@salesforce/label/c.Woonstad_Common_Previous';
+import confirm from '@salesforce/label/c.Woonstad_Common_Confirm';
+import cancel from '@salesforce/label/c.Woonstad_Common_Cancel';
+import close from '@salesforce/label/c.Woonstad_Common_Close';
+import remove from '@salesforce/label/c.Woonstad_Common_Remove';
+import pagination from '@salesforce/label/c.Woonstad_Common_Pagination';
+import pageOf from '@salesforce/label/c.Woonstad_Common_Page_Of';
+import previousPage from '@salesforce/label/c.Woonstad_Common_Previous_Page';
+import nextPage from '@salesforce/label/c.Woonstad_Common_Next_Page';
+import back from '@salesforce/label/c.Woonstad_Common_Back';
+import invalidFields from '@salesforce/label/c.Woonstad_Common_Invalid_Fields';
+import invalidValue from '@salesforce/label/c.Woonstad_Common_Invalid_Value';
+
+export const COMMON = {
+    error,
+    success,
+    unknownError,
+    loadError,
+    saveError,
+    required,
+    requiredField,
+    requiredFields,
+    requiredAll,
+    save,
+    busy,
+    next,
+    previous,
+    confirm,
+    cancel,
+    close,
+    remove,
+    pagination,
+    pageOf,
+    previousPage,
+    nextPage,
+    back,
+    invalidFields,
+    invalidValue
+};
@@ -0,0 +1,46 @@
+/*************************************************************************************************
+ * Module          : woonstadConfirmationForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadConfirmationForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import validation from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Validation';
+import nameAddressMissing from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Name_Address_Missing';
+import title from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Title';
+import nameplateMissing from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Nameplate_Missing';
+import name from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Name';
+import address from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Address';
+import reasonNote from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Reason_Note';
+import contractParty from '@salesforce/label/c.Woonstad_Nameplate_Confirmation_Contract_Party';
+import nameplateName from '@salesforce/label/c.Woonstad_Nameplate_Name';
+import supplier from '@salesforce/label/c.Woonstad_Nameplate_Supplier';
+import reasonVandalism from '@salesforce/label/c.Woonstad_Nameplate_Reason_Vandalism';
+import reasonNewTenant from '@salesforce/label/c.Woonstad_Nameplate_Reason_New_Tenant';
+import reasonComposition from '@salesforce/label/c.Woonstad_Nameplate_Reason_Composition';
+import reasonSpelling from '@salesforce/label/c.Woonstad_Nameplate_Reason_Spelling';
+
+export const LABELS = {
+    validation,
+    nameAddressMissing,
+    title,
+    nameplateMissing,
+    name,
+    address,
+    reasonNote,
+    contractParty,
+    nameplateName,
+    supplier,
+    reasonVandalism,
+    reasonNewTenant,
+    reasonComposition,
+    reasonSpelling
+};
@@ -14,10 +14,11 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-06
- * Last Modified   : 2025-08-25
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * ===============================================================================================
+ * 2026-10-19 | DvM | Texts and reason labels from custom labels (NL/EN), shared with woonstadNameplateForm.
  * 2025-08-25 | DvM | Added validation logic for Name/Address; introduced error banner; standardized header.
  * 2025-08-06 | DvM | Initial creation for Flow confirmation.
  *************************************************************************************************/
@@ -25,6 +26,8 @@
 import { LightningElement, api, wire, track } from 'lwc';
 import { FlowNavigationNextEvent, FlowNavigationBackEvent } from 'lightning/flowSupport';
 import getFirstSupplier from '@salesforce/apex/RealEstateSupplierFlowController.getFirstSupplier';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { LABELS } from './labels';
 
 export default class WoonstadConfirmationForm extends LightningElement {
     // ===== Flow Inputs =====
@@ -34,6 +37,9 @@ export default class WoonstadConfirmationForm extends LightningElement {
     @api flowInputReason;
     @api flowInputSupplierName;
 
+    // ===== Custom labels =====
+    label = { ...COMMON, ...LABELS };
+
     // ===== Apex Outputs =====
     @track klantNaam;
     @track fullStreet;
@@ -46,10 +52,10 @@ export default class WoonstadConfirmationForm extends LightningElement {
 
     // Mapping API value → label
     reasonOptions = [
-        { label: 'Vernield / gestolen', value: 'Vandalism/stolen' },
-        { label: 'Nieuwe woning', value: 'New tenant' },
-        { label: 'Veranderde Samenstelling', value: 'New composition of residency' },
-        { label: 'Verkeerde Spelling', value: 'Incorrect name spelling' }
+        { label: LABELS.reasonVandalism, value: 'Vandalism/stolen' },
+        { label: LABELS.reasonNewTenant, value: 'New tenant' },
+        { label: LABELS.reasonComposition, value: 'New composition of residency' },
+        { label: LABELS.reasonSpelling, value: 'Incorrect name spelling' }
     ];
 
     @wire(getFirstSupplier, { accountId: '$recordId' })
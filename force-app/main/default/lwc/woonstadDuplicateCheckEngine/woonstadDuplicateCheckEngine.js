@@ -0,0 +1,277 @@
+/*************************************************************************************************
+ * Component       : woonstadDuplicateCheckEngine (JS)
+ * Layer           : Lightning Web Component Controller (child of the duplicate-check Flow screens)
+ * Purpose         : One duplicate-check engine for every search profile (c/duplicateCheckProfiles):
+ *                   search, result list or empty countdown, compare view, "new record" checkbox + pill.
+ *
+ * Responsibilities:
+ *  - Criteria from the parent; a fetch is scheduled only when the criteria signature changes
+ *  - Debounce + prevent overlapping fetches; refetch when criteria change mid-flight
+ *  - Profile adapter (Apex) -> rows; columns, texts and grid layout from the profile
+ *  - Loading spinner, results rendering, robust empty-state countdown (only after real fetch)
+ *  - "Vergelijken" per row: c-woonstad-duplicate-compare with the entered values
+ *  - Events (the parent owns the Flow outputs and navigation):
+ *      select    { accountId }  row clicked or continued from the compare view
+ *      createnew { checked }    "new record" checkbox toggled
+ *      next                     pill clicked or countdown finished
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * -----------------------------------------------------------------------------------------------
+ * 2026-10-19 | DvM | Fixed texts (compare, found on, countdown) from custom labels (NL/EN).
+ * 2026-10-19 | DvM | Initial version (merged from woonstadDuplicateCheck + woonstadBussDuplicateCheck).
+ *************************************************************************************************/
+
+import { LightningElement, api, track } from 'lwc';
+import { getProfile } from 'c/duplicateCheckProfiles';
+import { splitLabel } from 'c/labelFormat';
+
+import FOUND_ON from '@salesforce/label/c.Woonstad_Duplicate_Check_Found_On';
+import COMPARE from '@salesforce/label/c.Woonstad_Duplicate_Check_Compare';
+import SEARCHING from '@salesforce/label/c.Woonstad_Duplicate_Check_Searching';
+import COUNTDOWN from '@salesforce/label/c.Woonstad_Duplicate_Check_Countdown';
+import SEARCH_ERROR from '@salesforce/label/c.Woonstad_Duplicate_Check_Person_Error';
+
+const COUNTDOWN_SECONDS = 5;
+
+export default class WoonstadDuplicateCheckEngine extends LightningElement {
+    /** Profile name ('person', 'business', ...) or a profile object */
+    @api
+    get profile() { return this._profile; }
+    set profile(v) {
+        this._profile = getProfile(v);
+        this._scheduleFetch();
+    }
+
+    /** Criteria values keyed as in profile.criteria */
+    @api
+    get criteria() { return this._criteria; }
+    set criteria(v) {
+        const next = {};
+        Object.entries(v || {}).forEach(([k, val]) => { next[k] = (val || '').toString().trim(); });
+        this._criteria = next;
+        this._scheduleFetch();
+    }
+
+    /** Entered values for the compare view ({ email, phone, mobile, address }) */
+    @api entered = {};
+
+    /** Countdown + auto-next only run when the Flow offers NEXT */
+    @api canNavigateNext = false;
+
+    /** Texts that do not differ per profile; the countdown label is split around its {0} */
+    label = {
+        foundOn: FOUND_ON,
+        compare: COMPARE,
+        searching: SEARCHING,
+        countdown: splitLabel(COUNTDOWN)
+    };
+
+    // ---- UI state
+    @track rows = [];
+    @track message = '';
+    @track secondsRemaining = COUNTDOWN_SECONDS;
+    @track loading = false;
+    @track newRecordChecked = false;
+    compareAccountId = null;
+
+    _profile = getProfile();
+    _criteria = {};
+
+    // lifecycle/control
+    _debounceId;
+    _fetchInFlight = false;
+    _intervalId;
+    _timeoutId;
+    _lastSig = null;
+
+    // gating for countdown
+    _hasCompletedFetchWithInputs = false;
+
+    // if inputs change during fetch, refetch right after
+    _needsRefetch = false;
+
+    disconnectedCallback() {
+        this._clearTimers();
+        if (this._debounceId) clearTimeout(this._debounceId);
+    }
+
+    /* =========================
+       Computed
+       ========================= */
+    get texts() { return this._profile.texts || {}; }
+    get hasRows() { return Array.isArray(this.rows) && this.rows.length > 0; }
+    get showEmptyState() { return !this.hasRows && !this.loading && this._hasCompletedFetchWithInputs && !this._needsRefetch; }
+    get isCreateBtnDisabled() { return !this.newRecordChecked; }
+    get isComparing() { return !!this.compareAccountId; }
+
+    /** Same grid for the header and every row, from the profile column widths */
+    get gridStyle() {
+        const widths = this._profile.columns.map((c) => c.width || '1fr').join(' ');
+        return `grid-template-columns: ${widths};`;
+    }
+
+    get columns() {
+        return this._profile.columns.map((c) => ({ key: c.key, label: c.label }));
+    }
+
+    /** Rows with one cell per profile column */
+    get viewRows() {
+        return this.rows.map((r) => ({
+            id: r.Id,
+            cells: this._profile.columns.map((c) => ({
+                key: `${r.Id}-${c.key}`,
+                value: r[c.key],
+                sub: c.subKey ? r[c.subKey] : null,
+                valueClass: c.classKey ? r[c.classKey] : null
+            })),
+            reasons: Array.isArray(r.reasons) ? r.reasons : [],
+            hasReasons: Array.isArray(r.reasons) && r.reasons.length > 0
+        }));
+    }
+
+    /* =========================
+       UI Handlers
+       ========================= */
+    handleRowClick = (evt) => {
+        const id = evt?.currentTarget?.dataset?.id;
+        if (!id) return;
+        this._clearTimers();
+        this._select(id);
+    };
+
+    handleRowKeydown = (evt) => {
+        const key = evt?.key;
+        if (key === 'Enter' || key === ' ') {
+            evt.preventDefault();
+            this.handleRowClick(evt);
+        }
+    };
+
+    handleCompare = (evt) => {
+        const id = evt?.currentTarget?.dataset?.id;
+        if (!id) return;
+        this._clearTimers();
+        this.compareAccountId = id;
+    };
+
+    handleCompareCancel = () => {
+        this.compareAccountId = null;
+    };
+
+    /** Agent continues with the compared Account (values copied or not) */
+    handleCompareSelect = (evt) => {
+        const id = evt?.detail?.accountId;
+        if (id) this._select(id);
+    };
+
+    handleNewRecordCheckbox = (evt) => {
+        this.newRecordChecked = !!evt?.target?.checked;
+        this.dispatchEvent(new CustomEvent('createnew', { detail: { checked: this.newRecordChecked } }));
+    };
+
+    handleNext = () => {
+        if (this.isCreateBtnDisabled) return;
+        this._clearTimers();
+        this.dispatchEvent(new CustomEvent('next'));
+    };
+
+    _select(accountId) {
+        this.dispatchEvent(new CustomEvent('select', { detail: { accountId } }));
+    }
+
+    /* =========================
+       Fetch control
+       ========================= */
+    _hasAnyInput() {
+        return (this._profile.searchKeys || this._profile.criteria).some((k) => !!this._criteria[k]);
+    }
+    _signature() {
+        return [this._profile.name, ...this._profile.criteria.map((k) => this._criteria[k] || '')].join('|');
+    }
+
+    _scheduleFetch(delayMs = 100) {
+        if (!this._hasAnyInput()) return;
+
+        // Parents rebuild the criteria object on every render; only real changes refetch
+        const sig = this._signature();
+        if (sig === this._lastSig) return;
+        this._lastSig = sig;
+
+        if (this._fetchInFlight) {
+            // refetch with the latest criteria once the current fetch finishes
+            this._needsRefetch = true;
+            return;
+        }
+
+        if (this._debounceId) clearTimeout(this._debounceId);
+        this._debounceId = setTimeout(() => this._fetch(), delayMs);
+    }
+
+    async _fetch() {
+        if (this._fetchInFlight) return;
+
+        this._fetchInFlight = true;
+        this.loading = true;
+        this._clearTimers();
+
+        try {
+            const { rows, message } = await this._profile.search({ ...this._criteria });
+            this.rows = Array.isArray(rows) ? rows : [];
+            this.message = message || '';
+        } catch {
+            this.rows = [];
+            this.message = this.texts.error || SEARCH_ERROR;
+        }
+
+        this._hasCompletedFetchWithInputs = true;
+        this.loading = false;
+        this._fetchInFlight = false;
+
+        // If criteria changed mid-flight, refetch right away
+        if (this._needsRefetch) {
+            this._needsRefetch = false;
+            this._fetch();
+            return;
+        }
+
+        if (this.hasRows) {
+            // Do nothing; user can click a row
+            this._clearTimers();
+        } else {
+            this._startCountdownAndAutoNext(COUNTDOWN_SECONDS);
+        }
+    }
+
+    /* =========================
+       Countdown + timers
+       ========================= */
+    _startCountdownAndAutoNext(seconds) {
+        if (!this._hasCompletedFetchWithInputs || this._needsRefetch) return;
+
+        this._clearTimers();
+        if (!this.canNavigateNext) return;
+
+        this.secondsRemaining = seconds;
+
+        this._intervalId = window.setInterval(() => {
+            if (this.secondsRemaining > 0) this.secondsRemaining -= 1;
+        }, 1000);
+
+        this._timeoutId = window.setTimeout(() => {
+            this._clearTimers();
+            this.dispatchEvent(new CustomEvent('next'));
+        }, seconds * 1000);
+    }
+
+    _clearTimers() {
+        if (this._intervalId) window.clearInterval(this._intervalId);
+        if (this._timeoutId) window.clearTimeout(this._timeoutId);
+        this._intervalId = undefined;
+        this._timeoutId = undefined;
+    }
+}
@@ -0,0 +1,64 @@
+/*************************************************************************************************
+ * Module          : woonstadDuplicateCompare/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadDuplicateCompare (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import customerLoadError from '@salesforce/label/c.Woonstad_Duplicate_Compare_Customer_Load_Error';
+import updateError from '@salesforce/label/c.Woonstad_Duplicate_Compare_Update_Error';
+import compare from '@salesforce/label/c.Woonstad_Duplicate_Check_Compare';
+import compareWith from '@salesforce/label/c.Woonstad_Duplicate_Compare_Compare_With';
+import email from '@salesforce/label/c.Woonstad_Duplicate_Compare_Email';
+import phone from '@salesforce/label/c.Woonstad_Duplicate_Compare_Phone';
+import mobile from '@salesforce/label/c.Woonstad_Duplicate_Compare_Mobile';
+import address from '@salesforce/label/c.Woonstad_Duplicate_Compare_Address';
+import addressIncomplete from '@salesforce/label/c.Woonstad_Duplicate_Compare_Address_Incomplete';
+import empty from '@salesforce/label/c.Woonstad_Duplicate_Compare_Empty';
+import differs from '@salesforce/label/c.Woonstad_Duplicate_Compare_Differs';
+import same from '@salesforce/label/c.Woonstad_Duplicate_Compare_Same';
+import reviewAndCopy from '@salesforce/label/c.Woonstad_Duplicate_Compare_Review_And_Copy';
+import continueWithCustomer from '@salesforce/label/c.Woonstad_Duplicate_Compare_Continue_With_Customer';
+import loading from '@salesforce/label/c.Woonstad_Duplicate_Compare_Loading';
+import intro from '@salesforce/label/c.Woonstad_Duplicate_Compare_Intro';
+import field from '@salesforce/label/c.Woonstad_Duplicate_Compare_Field';
+import entered from '@salesforce/label/c.Woonstad_Duplicate_Compare_Entered';
+import existing from '@salesforce/label/c.Woonstad_Duplicate_Compare_Existing';
+import copy from '@salesforce/label/c.Woonstad_Duplicate_Compare_Copy';
+import confirmIntro from '@salesforce/label/c.Woonstad_Duplicate_Compare_Confirm_Intro';
+import auditNote from '@salesforce/label/c.Woonstad_Duplicate_Compare_Audit_Note';
+import confirmAndContinue from '@salesforce/label/c.Woonstad_Duplicate_Compare_Confirm_And_Continue';
+
+export const LABELS = {
+    customerLoadError,
+    updateError,
+    compare,
+    compareWith,
+    email,
+    phone,
+    mobile,
+    address,
+    addressIncomplete,
+    empty,
+    differs,
+    same,
+    reviewAndCopy,
+    continueWithCustomer,
+    loading,
+    intro,
+    field,
+    entered,
+    existing,
+    copy,
+    confirmIntro,
+    auditNote,
+    confirmAndContinue
+};
@@ -0,0 +1,239 @@
+/*************************************************************************************************
+ * Component       : woonstadDuplicateCompare (JS)
+ * Layer           : Lightning Web Component Controller (child of the duplicate checks)
+ * Purpose         : Side-by-side compare of the values entered in the Flow with one duplicate candidate;
+ *                   optionally copy updated email / phone / mobile / address onto the existing Account.
+ *
+ * Responsibilities:
+ *  - Load the candidate via WoonstadDuplicateCompareController.getCompareRecord
+ *  - Field-by-field rows (Ingevoerd | Bestaand) with a "Overnemen" checkbox where the values differ
+ *  - Confirmation step listing old -> new, then applyUpdates (Account update + address change + audit log)
+ *  - Events: "select" { accountId, updated } when the agent continues with this Account,
+ *            "cancel" to return to the result list
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ * 2026-10-19 | DvM | Phone compare via toE164 from c/dutchValidators.
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via ./labels.
+ *************************************************************************************************/
+
+import { LightningElement, api } from 'lwc';
+import getCompareRecord from '@salesforce/apex/WoonstadDuplicateCompareController.getCompareRecord';
+import applyUpdates from '@salesforce/apex/WoonstadDuplicateCompareController.applyUpdates';
+import { fromAddressRecord, hasAddress, isCompleteAddress, isSameAddress, formatSingleLine } from 'c/addressFormat';
+import { toE164 } from 'c/dutchValidators';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { formatLabel } from 'c/labelFormat';
+import { LABELS } from './labels';
+
+const STEP_COMPARE = 'compare';
+const STEP_CONFIRM = 'confirm';
+
+export default class WoonstadDuplicateCompare extends LightningElement {
+    /** Candidate Account */
+    @api accountId;
+
+    /**
+     * Values entered in the Flow: { email, phone, mobile, address } where address is a
+     * canonical c/addressFormat address (or null).
+     */
+    @api entered = {};
+
+    label = { ...COMMON, ...LABELS };
+
+    record = null;
+    error = null;
+    isLoading = true;
+    isSaving = false;
+    step = STEP_COMPARE;
+
+    /** field key -> true when the entered value should be copied */
+    selection = {};
+
+    connectedCallback() {
+        this.load();
+    }
+
+    async load() {
+        this.isLoading = true;
+        this.error = null;
+        try {
+            this.record = await getCompareRecord({ accountId: this.accountId });
+        } catch (e) {
+            this.record = null;
+            this.error = e?.body?.message || LABELS.customerLoadError;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /* =========================================================================
+       VIEW MODEL
+       ========================================================================= */
+    get isCompareStep() {
+        return this.step === STEP_COMPARE && !!this.record;
+    }
+
+    get isConfirmStep() {
+        return this.step === STEP_CONFIRM;
+    }
+
+    get title() {
+        return this.record ? formatLabel(LABELS.compareWith, this.record.name) : LABELS.compare;
+    }
+
+    get enteredAddress() {
+        const address = this.entered?.address;
+        return hasAddress(address) ? address : null;
+    }
+
+    get existingAddress() {
+        return this.record?.address ? fromAddressRecord(this.record.address) : null;
+    }
+
+    /** One row per comparable field */
+    get rows() {
+        if (!this.record) return [];
+        const e = this.entered || {};
+        const r = this.record;
+
+        const rows = [
+            contactRow('email', LABELS.email, e.email, r.email, sameEmail),
+            contactRow('phone', LABELS.phone, e.phone, r.phone, samePhone),
+            contactRow('mobile', LABELS.mobile, e.mobile, r.mobile, samePhone)
+        ];
+
+        const entered = this.enteredAddress;
+        const existing = this.existingAddress;
+        const differs = !!entered && !(existing && isSameAddress(entered, existing));
+        rows.push({
+            key: 'address',
+            label: LABELS.address,
+            entered: entered ? formatSingleLine(entered) : '',
+            existing: existing ? formatSingleLine(existing) : '',
+            differs,
+            // An incomplete address cannot be saved; show the difference but do not offer to copy it
+            canCopy: differs && isCompleteAddress(entered),
+            note: differs && !isCompleteAddress(entered) ? LABELS.addressIncomplete : ''
+        });
+
+        return rows.map((row) => ({
+            ...row,
+            checked: !!this.selection[row.key] && row.canCopy,
+            existingDisplay: row.existing || LABELS.empty,
+            rowClass: `cmp-row${row.differs ? ' cmp-row--differs' : ''}`,
+            statusLabel: !row.entered ? '' : row.differs ? LABELS.differs : LABELS.same
+        }));
+    }
+
+    get selectedRows() {
+        return this.rows.filter((row) => row.checked);
+    }
+
+    get hasSelection() {
+        return this.selectedRows.length > 0;
+    }
+
+    get continueLabel() {
+        return this.hasSelection ? LABELS.reviewAndCopy : LABELS.continueWithCustomer;
+    }
+
+    /* =========================================================================
+       HANDLERS
+       ========================================================================= */
+    handleToggle(event) {
+        const key = event.target.dataset.key;
+        this.selection = { ...this.selection, [key]: event.target.checked };
+    }
+
+    handleBack() {
+        if (this.step === STEP_CONFIRM) {
+            this.step = STEP_COMPARE;
+            this.error = null;
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    handleContinue() {
+        if (!this.hasSelection) {
+            this._select(false);
+            return;
+        }
+        this.step = STEP_CONFIRM;
+    }
+
+    async handleConfirm() {
+        if (this.isSaving) return;
+        this.isSaving = true;
+        this.error = null;
+
+        try {
+            const result = await applyUpdates({ request: this._buildRequest() });
+            if (result?.success) {
+                this._select(true);
+            } else {
+                this.error = result?.message || LABELS.updateError;
+            }
+        } catch (e) {
+            this.error = e?.body?.message || LABELS.updateError;
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    _buildRequest() {
+        const copy = (key) => this.selectedRows.some((row) => row.key === key);
+        const e = this.entered || {};
+        const request = {
+            accountId: this.accountId,
+            email: copy('email') ? e.email : null,
+            phone: copy('phone') ? e.phone : null,
+            mobile: copy('mobile') ? e.mobile : null
+        };
+
+        if (copy('address')) {
+            const a = this.enteredAddress;
+            Object.assign(request, {
+                street: a.street,
+                houseNumber: a.houseNumber,
+                houseLetter: a.houseLetter,
+                houseNumberAddition: a.houseNumberAddition,
+                postalCode: a.postalCode,
+                city: a.city,
+                country: a.countryIso || a.country,
+                bagId: a.bagId
+            });
+        }
+        return request;
+    }
+
+    _select(updated) {
+        this.dispatchEvent(new CustomEvent('select', { detail: { accountId: this.accountId, updated } }));
+    }
+}
+
+/* =========================================================================
+   HELPERS
+   ========================================================================= */
+function contactRow(key, label, entered, existing, isSame) {
+    const value = (entered || '').trim();
+    const differs = !!value && !isSame(value, existing);
+    return { key, label, entered: value, existing: existing || '', differs, canCopy: differs, note: '' };
+}
+
+function sameEmail(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/** Same number regardless of formatting (06… / +31 6… / 0031 6…), as in WoonstadDuplicateMatchScorer */
+function samePhone(a, b) {
+    return toE164(a) === toE164(b);
+}
+
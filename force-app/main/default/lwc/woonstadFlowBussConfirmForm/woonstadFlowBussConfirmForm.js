@@ -6,26 +6,98 @@
  * Responsibilities:
  *  - Accept all values via Flow inputs and provide outputs for business data
  *  - Render two-column summary: business (left) and address (right)
- *  - Toggle between confirmation view and edit mode for business data only
+ *  - Toggle between confirmation view and edit mode for business and address data
  *  - Show top banner with instructions based on current mode
- *  - Validate in both confirmation and edit modes
- *  - Navigate Back/Next via Flow events
- *  - Address fields are read-only (users must go back to change address)
+ *  - Validate in both confirmation and edit modes (required + KVK/BTW/phone/e-mail formats via
+ *    c/dutchValidators, message per field); canonical values to the outputs
+ *  - Change set of inputs vs outputs (c/confirmChangeSet): "Gewijzigd" badge + old value per
+ *    field, JSON in changeSetJson; wasModified only when something actually changed
+ *  - Navigate Back/Next via Flow events (Alt+B / Alt+N; "?" shows the shortcut help, c/keyboardShortcuts)
+ *  - Intake draft (c/intakeDraft): corrections made here are autosaved and, after "Hervat concept",
+ *    re-applied to fields the agent did not change since; the draft is discarded by woonstadCreateBussWithAddressAction
+ *    once the Account exists
+ *  - Edit mode: address via c-woonstad-address-capture (Kadaster lookup or manual international
+ *    entry); the corrected address goes to the *Out address outputs and sets wasModified
  *
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-29
- * Last Modified   : 2025-09-02
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * ===============================================================================================
+ * 2026-10-19 | DvM | Keyboard: Alt+N = Volgende / Opslaan, Alt+B = Terug, "?" shortcut help (c/keyboardShortcuts).
  * 2025-08-29 | DvM | Created business confirmation form based on customer confirmation form.
  * 2025-08-29 | DvM | Modified for business-specific data display and validation logic.
  * 2025-09-02 | DvM | Added edit mode toggle, business data editing, address read-only with notice.
+ * 2026-10-19 | DvM | Address display + completeness via c-woonstad-address-capture / c/addressFormat.
+ * 2026-10-19 | DvM | Field formats via c/dutchValidators (message per row, E.164 phones in the outputs).
+ * 2026-10-19 | DvM | Address editable in edit mode; *Out address outputs are now filled.
+ * 2026-10-19 | DvM | changeSetJson output + "Gewijzigd" badges; wasModified reflects the change set.
+ * 2026-10-19 | DvM | Draft autosave / resume (draftKey, c/intakeDraft); woonstadCreateBussWithAddressAction discards the draft.
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via c/woonstadIntakeLabels; change-set labels stay Dutch.
  *************************************************************************************************/
 
 import { LightningElement, api } from 'lwc';
 import { FlowNavigationNextEvent, FlowNavigationBackEvent } from 'lightning/flowSupport';
+import { fromFlowFields, toFlowFields, isCompleteAddress, formatSingleLine, isSameAddress } from 'c/addressFormat';
+import { loadDraft, resumedStepValues, saveDraftStep, flushDraftStep, dropDraftSaves } from 'c/intakeDraft';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { INTAKE } from 'c/woonstadIntakeLabels';
+import { snapshot, diffFields, diffAddress, byField, hasAddressChange, toChangeSetJson } from 'c/confirmChangeSet';
+import {
+    normalizeKvk,
+    validateKvk,
+    normalizeVat,
+    validateVat,
+    normalizePhone,
+    validatePhone,
+    normalizeEmail,
+    validateEmail
+} from 'c/dutchValidators';
+
+/** Format check per business field (c/dutchValidators); empty optional fields are valid */
+const FIELD_VALIDATORS = {
+    kvkNumber: validateKvk,
+    vatNumber: validateVat,
+    phone1: (v) => validatePhone(v),
+    phone2: (v) => validatePhone(v, { mobile: true }),
+    email: validateEmail
+};
+
+/**
+ * Fields in the change set (c/confirmChangeSet), compared the way they are sent to the Flow.
+ * The labels end up in the Automation_Log__c entry and stay Dutch whatever the agent's language.
+ */
+const CHANGE_FIELDS = [
+    { name: 'companyName', label: 'Bedrijfsnaam' },
+    { name: 'kvkNumber', label: 'KVK nummer', normalize: normalizeKvk },
+    { name: 'vatNumber', label: 'BTW nummer', normalize: normalizeVat },
+    { name: 'phone1', label: 'Telefoonnummer', normalize: (v) => normalizePhone(v) },
+    { name: 'phone2', label: 'Mobielnummer', normalize: (v) => normalizePhone(v, { mobile: true }) },
+    { name: 'email', label: 'E-mail', normalize: normalizeEmail }
+];
+
+/** Step name of this screen in the intake draft */
+const DRAFT_STEP = 'bussConfirm';
+
+/** Address fields (c/addressFormat toFlowFields names) that have a "<name>Out" output on this screen */
+const ADDRESS_OUTPUTS = [
+    'streetName',
+    'houseNumberOutput',
+    'houseLetter',
+    'houseNumberAddition',
+    'postalCodeOutput',
+    'city',
+    'intlStreet',
+    'intlHouseNumber',
+    'intlHouseAddition',
+    'intlPostalCode',
+    'intlCity',
+    'intlState',
+    'intlCountry'
+];
 
 export default class WoonstadFlowBussConfirmForm extends LightningElement {
     /* =========================================================================
@@ -49,8 +121,8 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
     @api emailOut;
 
     /* =========================================================================
-       FLOW INPUT PROPERTIES: Address Data (READ-ONLY in UI)
-       These fields display address information but are not editable
+       FLOW INPUT PROPERTIES: Address Data
+       Address as captured by kadasterLookupFlow; corrections go to the *Out outputs
        ========================================================================= */
     @api streetName;                       // NL street name
     @api houseNumberOutput;                // NL house number
@@ -68,8 +140,8 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
     @api intlCountry;      // International country
 
     /* =========================================================================
-       FLOW OUTPUT PROPERTIES: Address Data (for metadata compatibility only)
-       These properties exist to match metadata but are not used in UI logic
+       FLOW OUTPUT PROPERTIES: Address Data
+       Always filled on Back/Next: the corrected address, or the input address when unchanged
        ========================================================================= */
     @api streetNameOut;
     @api houseNumberOutputOut;
@@ -91,15 +163,69 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
        ========================================================================= */
     @api wasModified;
 
+    /* =========================================================================
+       FLOW INPUT PROPERTIES: Intake draft
+       ========================================================================= */
+    /** Draft key (Flow API name); empty disables autosave */
+    @api draftKey = 'Screen_Flow_Create_New_Business_Account';
+
+    /**
+     * Change set as JSON: [{ field, label, oldValue, newValue }], "[]" when nothing changed.
+     * Computed from the current values, so it is always in sync with the other outputs.
+     */
+    @api
+    get changeSetJson() {
+        return toChangeSetJson(this.changes);
+    }
+
     /* =========================================================================
        COMPONENT STATE
        ========================================================================= */
+    // Custom labels used by the template
+    label = { ...COMMON, ...INTAKE };
+
     // Controls whether the component is in edit mode or confirmation mode
     isEditMode = false;
     
     // Controls visibility of validation error banner
     showValidationBanner = false;
 
+    // Format message per field (shown under the row in both modes)
+    fieldErrors = {};
+
+    // Address chosen in edit mode (canonical, c/addressFormat); null = address from the Flow inputs
+    editedAddress = null;
+
+    // Message from the address capture when the edited address is not usable
+    addressError = null;
+
+    // Inputs as received from the Flow (baseline of the change set)
+    _originalValues = {};
+    _originalAddress = null;
+
+    /* =========================================================================
+       LIFECYCLE
+       ========================================================================= */
+    /** Unregisters the keyboard shortcuts (c/keyboardShortcuts) */
+    _unregisterShortcuts;
+
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...SHORTCUT.NEXT, label: INTAKE.nextOrSave, handler: () => this.handleNext() },
+            { ...SHORTCUT.BACK, label: COMMON.back, handler: () => this.handleBack() }
+        ]);
+
+        this._originalValues = snapshot(this, CHANGE_FIELDS);
+        this._originalAddress = fromFlowFields(this);
+
+        loadDraft(this.draftKey).then(() => this._restoreDraft());
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+        flushDraftStep(this.draftKey, DRAFT_STEP);
+    }
+
     /* =========================================================================
        GETTERS: Business Data Display
        These getters format business data for display in confirmation mode
@@ -135,82 +261,31 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
     }
 
     /* =========================================================================
-       GETTERS: Address Detection Logic
-       These determine which address type (NL vs International) to display
+       GETTERS: Address (canonical shape from c/addressFormat)
+       Read-only in confirmation mode, editable in edit mode (c-woonstad-address-capture)
        ========================================================================= */
-    get hasNlAddress() {
-        // Determines if Dutch address data is present by checking key fields
-        return !!(this.streetName || this.postalCodeOutput || this.city);
-    }
-
-    get hasIntlAddress() {
-        // Determines if international address data is present by checking key fields
-        return !!(this.intlStreet || this.intlPostalCode || this.intlCity || this.intlCountry);
+    get address() {
+        return this.editedAddress || fromFlowFields(this);
     }
 
     /* =========================================================================
-       GETTERS: Dutch Address Display Formatting
+       GETTERS: Change set (inputs vs current values)
        ========================================================================= */
-    get nlStreetLine() {
-        if (!this.hasNlAddress) return '—';
-        
-        // Combines house number and letter (if present)
-        const num = [this.houseNumberOutput, this.houseLetter].filter(Boolean).join('');
-        
-        // Adds house number addition with space if present
-        const add = this.houseNumberAddition ? ` ${this.houseNumberAddition}` : '';
-        
-        // Creates the complete house number suffix
-        const suffix = (num ? `${num}${add}` : '').trim();
-        
-        // Combines street name with house number information
-        return [this.streetName, suffix].filter(Boolean).join(' ');
+    get changes() {
+        const changes = diffFields(CHANGE_FIELDS, this._originalValues, this);
+        return this._originalAddress ? changes.concat(diffAddress(this._originalAddress, this.address)) : changes;
     }
 
-    get nlCityLine() {
-        if (!this.hasNlAddress) return '';
-        // Combines postal code and city with space
-        return [this.postalCodeOutput, this.city].filter(Boolean).join(' ');
+    get changedFields() {
+        return byField(this.changes);
     }
 
-    get nlCountryLabel() {
-        // Use the country from Flow input if provided, otherwise default to Nederland
-        // This allows Flow to override the country even for Dutch-format addresses
-        return this.intlCountry || 'Nederland';
+    get addressChanged() {
+        return hasAddressChange(this.changes);
     }
 
-    /* =========================================================================
-       GETTERS: International Address Display Formatting
-       ========================================================================= */
-    get intlStreetLine() {
-        if (!this.hasIntlAddress) return '—';
-        
-        // Combines international house number (simpler than Dutch format)
-        const num = [this.intlHouseNumber].filter(Boolean).join('');
-        
-        // Adds house addition with space if present
-        const add = this.intlHouseAddition ? ` ${this.intlHouseAddition}` : '';
-        
-        // Creates the complete house number suffix
-        const suffix = (num ? `${num}${add}` : '').trim();
-        
-        // Combines street with house number information
-        return [this.intlStreet, suffix].filter(Boolean).join(' ');
-    }
-
-    get intlCityLine() {
-        if (!this.hasIntlAddress) return '';
-        
-        // Combines city and state (common for US/Australia/Canada)
-        const cityState = [this.intlCity, this.intlState].filter(Boolean).join(', ');
-        
-        // Combines postal code with city/state information
-        return [this.intlPostalCode, cityState].filter(Boolean).join(' ');
-    }
-
-    get intlCountryLabel() {
-        // Shows the country as provided by Flow (could be ISO code or full name)
-        return this.intlCountry || '—';
+    get originalAddressLine() {
+        return formatSingleLine(this._originalAddress) || '—';
     }
 
     /* =========================================================================
@@ -219,18 +294,26 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
     get bannerMessage() {
         // Changes instruction message based on current mode
         return this.isEditMode 
-            ? 'Wijzig de bedrijfsgegevens en klik op "Opslaan" om door te gaan.'
-            : 'Controleer de bedrijfsgegevens voordat u doorgaat.';
+            ? INTAKE.businessConfirmEdit
+            : INTAKE.businessConfirmCheck;
     }
 
     get nextButtonLabel() {
         // Changes button label based on current mode
-        return this.isEditMode ? 'Opslaan' : 'Volgende';
+        return this.isEditMode ? COMMON.save : COMMON.next;
+    }
+
+    get nextButtonTitle() {
+        return `${this.nextButtonLabel} (Alt+N)`;
+    }
+
+    get backTitle() {
+        return `${COMMON.back} (Alt+B)`;
     }
 
     get editButtonTitle() {
         // Changes button tooltip based on current mode
-        return this.isEditMode ? 'Annuleren' : 'Bewerken';
+        return this.isEditMode ? COMMON.cancel : INTAKE.edit;
     }
 
     /* =========================================================================
@@ -242,28 +325,100 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
         return !!(this.companyName && this.kvkNumber && this.phone1 && this.email);
     }
 
+    /**
+     * Checks the formats of all business fields and stores the messages per field
+     * @returns {boolean} true when every filled-in field has a valid format
+     */
+    _validateFormats() {
+        const errors = {};
+        Object.entries(FIELD_VALIDATORS).forEach(([field, validate]) => {
+            const message = validate(this[field]);
+            if (message) errors[field] = message;
+        });
+        this.fieldErrors = errors;
+        return Object.keys(errors).length === 0;
+    }
+
+    _clearFieldError(field) {
+        if (this.fieldErrors[field]) {
+            this.fieldErrors = { ...this.fieldErrors, [field]: undefined };
+        }
+    }
+
+    /**
+     * In edit mode the address capture checks the lookup selection / country rules itself
+     * @returns {boolean} true when the address can be used
+     */
+    _validateAddress() {
+        const capture = this.isEditMode ? this.template.querySelector('c-woonstad-address-capture') : null;
+        const result = capture ? capture.validate() : { isValid: true };
+        this.addressError = result.isValid ? null : result.errorMessage;
+        return result.isValid;
+    }
+
     get _hasRequiredAddress() {
-        // Validates that either Dutch OR international address is complete
-        const nlOk = !!(this.streetName && this.postalCodeOutput && this.city);
-        const intlOk = !!(this.intlStreet && this.intlPostalCode && this.intlCity && this.intlCountry);
-        return nlOk || intlOk;
+        // Validates that the address (NL or international) is complete
+        return isCompleteAddress(this.address);
+    }
+
+    /* =========================================================================
+       PRIVATE METHODS: Intake draft
+       ========================================================================= */
+    /**
+     * Resumed draft: re-applies the corrections of this screen, but only where the Flow input is
+     * still the value the correction was made on (a newer change on an earlier screen wins).
+     */
+    _restoreDraft() {
+        const saved = resumedStepValues(this.draftKey, DRAFT_STEP);
+        if (!saved) return;
+
+        CHANGE_FIELDS.forEach(({ name }) => {
+            const original = saved.originalValues?.[name];
+            if ((this[name] || null) === (original || null) && saved.values?.[name] !== undefined) {
+                this[name] = saved.values[name];
+            }
+        });
+        if (saved.editedAddress && isSameAddress(this._originalAddress, saved.originalAddress)) {
+            this.editedAddress = saved.editedAddress;
+        }
+        this._syncOutputValues();
+    }
+
+    _autosave() {
+        saveDraftStep(this.draftKey, DRAFT_STEP, {
+            originalValues: this._originalValues,
+            values: snapshot(this, CHANGE_FIELDS),
+            originalAddress: this._originalAddress,
+            editedAddress: this.editedAddress
+        });
     }
 
     /* =========================================================================
        PRIVATE METHODS: Data Synchronization
        ========================================================================= */
     _syncOutputValues() {
-        // Sync only business data to output properties for Flow
-        // Address data is read-only in UI, so no output sync needed
+        // Sync business data and the (possibly corrected) address to the output properties for Flow
+        // Canonical values (c/dutchValidators); invalid input is passed on as typed
         this.companyNameOut = this.companyName;
-        this.kvkNumberOut = this.kvkNumber;
-        this.vatNumberOut = this.vatNumber;
-        this.phone1Out = this.phone1;
-        this.phone2Out = this.phone2;
-        this.emailOut = this.email;
+        this.kvkNumberOut = normalizeKvk(this.kvkNumber);
+        this.vatNumberOut = normalizeVat(this.vatNumber);
+        this.phone1Out = normalizePhone(this.phone1);
+        this.phone2Out = normalizePhone(this.phone2, { mobile: true });
+        this.emailOut = normalizeEmail(this.email);
 
-        // Set modification flag
-        this.wasModified = true;
+        this._syncAddressOutputs();
+
+        // Set modification flag: only when the change set is not empty
+        this.wasModified = this.changes.length > 0;
+        this._autosave();
+    }
+
+    /** Current address -> *Out address outputs (same field contract as kadasterLookupFlow) */
+    _syncAddressOutputs() {
+        const fields = toFlowFields(this.address);
+        ADDRESS_OUTPUTS.forEach((name) => {
+            this[`${name}Out`] = fields[name];
+        });
     }
 
     /* =========================================================================
@@ -272,6 +427,13 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
     handleEditToggle() {
         // Toggles between edit and confirmation modes
         this.isEditMode = !this.isEditMode;
+
+        // Cancel: an address that was only half entered falls back to the Flow address
+        if (!this.isEditMode && this.editedAddress && !isCompleteAddress(this.editedAddress)) {
+            this.editedAddress = null;
+            this._syncAddressOutputs();
+        }
+        this.addressError = null;
         
         // Hide validation banner when switching modes
         this.showValidationBanner = false;
@@ -289,42 +451,64 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
 
     /* =========================================================================
        EVENT HANDLERS: Business Data Input Changes
-       Only business fields are editable - address fields are read-only
+       Address changes: see handleAddressChange
        ========================================================================= */
     handleCompanyNameChange(event) {
         this.companyName = event.target.value;
         this.companyNameOut = event.target.value;
         this.wasModified = true;
+        this._autosave();
     }
 
     handleKvkNumberChange(event) {
         this.kvkNumber = event.target.value;
         this.kvkNumberOut = event.target.value;
         this.wasModified = true;
+        this._autosave();
+        this._clearFieldError('kvkNumber');
     }
 
     handleVatNumberChange(event) {
         this.vatNumber = event.target.value;
         this.vatNumberOut = event.target.value;
         this.wasModified = true;
+        this._autosave();
+        this._clearFieldError('vatNumber');
     }
 
     handlePhone1Change(event) {
         this.phone1 = event.target.value;
         this.phone1Out = event.target.value;
         this.wasModified = true;
+        this._autosave();
+        this._clearFieldError('phone1');
     }
 
     handlePhone2Change(event) {
         this.phone2 = event.target.value;
         this.phone2Out = event.target.value;
         this.wasModified = true;
+        this._autosave();
+        this._clearFieldError('phone2');
     }
 
     handleEmailChange(event) {
         this.email = event.target.value;
         this.emailOut = event.target.value;
         this.wasModified = true;
+        this._autosave();
+        this._clearFieldError('email');
+    }
+
+    /* =========================================================================
+       EVENT HANDLERS: Address (edit mode)
+       ========================================================================= */
+    handleAddressChange(event) {
+        // wasModified is set by _syncOutputValues on Opslaan / Volgende / Terug
+        this.editedAddress = event.detail.address;
+        this.addressError = null;
+        this._syncAddressOutputs();
+        this._autosave();
     }
 
     /* =========================================================================
@@ -337,8 +521,10 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
     }
 
     handleNext() {
-        // Validate required fields regardless of mode
-        const valid = this._hasRequiredBusiness && this._hasRequiredAddress;
+        // Validate required fields and formats regardless of mode
+        const formatsValid = this._validateFormats();
+        const addressValid = this._validateAddress();
+        const valid = addressValid && this._hasRequiredBusiness && this._hasRequiredAddress && formatsValid;
         this.showValidationBanner = !valid;
 
         if (!valid) {
@@ -361,6 +547,8 @@ export default class WoonstadFlowBussConfirmForm extends LightningElement {
         } else {
             // If in confirmation mode, sync output values and proceed to next Flow screen
             this._syncOutputValues();
+            // No autosave after this point: it would recreate the draft the create action discards
+            dropDraftSaves(this.draftKey);
             this.dispatchEvent(new FlowNavigationNextEvent());
         }
     }
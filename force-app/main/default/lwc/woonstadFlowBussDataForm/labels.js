@@ -0,0 +1,50 @@
+/*************************************************************************************************
+ * Module          : woonstadFlowBussDataForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadFlowBussDataForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import accountType from '@salesforce/label/c.Woonstad_Business_Data_Account_Type';
+import loadingAccountTypes from '@salesforce/label/c.Woonstad_Business_Data_Loading_Account_Types';
+import kvkNumberDigits from '@salesforce/label/c.Woonstad_Business_Data_KvK_Number_Digits';
+import kvkLoading from '@salesforce/label/c.Woonstad_Business_Data_KvK_Loading';
+import legalForm from '@salesforce/label/c.Woonstad_Business_Data_Legal_Form';
+import sbiActivity from '@salesforce/label/c.Woonstad_Business_Data_SBI_Activity';
+import registeredAddress from '@salesforce/label/c.Woonstad_Business_Data_Registered_Address';
+import branch from '@salesforce/label/c.Woonstad_Business_Data_Branch';
+import mainBranch from '@salesforce/label/c.Woonstad_Business_Data_Main_Branch';
+import addressShielded from '@salesforce/label/c.Woonstad_Business_Data_Address_Shielded';
+import kvkNotFound from '@salesforce/label/c.Woonstad_Business_Data_KvK_Not_Found';
+import kvkBranches from '@salesforce/label/c.Woonstad_Business_Data_KvK_Branches';
+import kvkPrefilled from '@salesforce/label/c.Woonstad_Business_Data_KvK_Prefilled';
+import kvkUnavailable from '@salesforce/label/c.Woonstad_Business_Data_KvK_Unavailable';
+import branchPrefilled from '@salesforce/label/c.Woonstad_Business_Data_Branch_Prefilled';
+import branchError from '@salesforce/label/c.Woonstad_Business_Data_Branch_Error';
+
+export const LABELS = {
+    accountType,
+    loadingAccountTypes,
+    kvkNumberDigits,
+    kvkLoading,
+    legalForm,
+    sbiActivity,
+    registeredAddress,
+    branch,
+    mainBranch,
+    addressShielded,
+    kvkNotFound,
+    kvkBranches,
+    kvkPrefilled,
+    kvkUnavailable,
+    branchPrefilled,
+    branchError
+};
@@ -7,24 +7,115 @@
  *  - Collect required business data: Account Type, Company Name, KVK Number, Email, Phone
  *  - Collect optional business data: VAT Number, Mobile Phone
  *  - Fetch Account Type picklist values from Salesforce
- *  - Validate required fields on form submission
+ *  - Validate required fields and formats on Volgende and in Flow validate() (c/formValidation, RULES;
+ *    formats from c/dutchValidators: KVK, BTW-id, phones, e-mail); phones to E.164 for the Flow
+ *  - KvK Handelsregister lookup on a complete KVK number (KvkLookupController): prefill company name,
+ *    legal form, main SBI activity and the registered address (outputs for the address step);
+ *    branch (vestiging) choice when the KVK number has several branches
  *  - Output all field values to Flow for further processing
+ *  - Autosave the entered values per user and offer to resume them (c/intakeDraft, draftKey = Flow API name)
  *  - Handle loading states and error scenarios
+ *  - Alt+N = Volgende; "?" shows the shortcut help (c/keyboardShortcuts)
  *
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-29
- * Last Modified   : 2025-09-01
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * ===============================================================================================
+ * 2026-10-19 | DvM | Validation via c/formValidation (RULES, validation banner, focus on first error, Flow validate()).
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via ./labels and c/woonstadIntakeLabels.
+ * 2026-10-19 | DvM | Keyboard: Alt+N = Volgende, "?" shortcut help (c/keyboardShortcuts).
+ * 2026-10-19 | DvM | Draft autosave + "Hervat concept" / "Nieuw beginnen" banner (c/intakeDraft).
+ * 2026-10-19 | DvM | Field formats via c/dutchValidators; canonical outputs (E.164 phones, compact KVK/BTW).
+ * 2026-10-19 | DvM | KvK lookup: validation, prefill, registered address outputs and branch choice.
+ * 2026-10-19 | DvM | Branch choice: stale fetchBranch responses are dropped (createRequestSequencer).
  * 2025-08-29 | DvM | Created business data form for Flow integration.
  * 2025-09-01 | DvM | Added Account Type field with picklist integration and Apex controller.
  *************************************************************************************************/
 
 import { LightningElement, api, wire } from 'lwc';
-import { FlowNavigationNextEvent } from 'lightning/flowSupport';
+import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flowSupport';
 import getAccountTypeOptions from '@salesforce/apex/WoonstadFlowBussDataFormController.getAccountTypeOptions';
+import lookupCompany from '@salesforce/apex/KvkLookupController.lookupCompany';
+import fetchBranch from '@salesforce/apex/KvkLookupController.fetchBranch';
+import { fromKadaster, findCountryIso, getCountryLabel, toFlowFields, formatSingleLine, DEFAULT_COUNTRY } from 'c/addressFormat';
+import { createRequestSequencer } from 'c/kadasterLookupService';
+import {
+    MESSAGES,
+    isValidKvk,
+    normalizeKvk,
+    validateKvk,
+    normalizeVat,
+    validateVat,
+    normalizePhone,
+    validatePhone,
+    normalizeEmail,
+    validateEmail
+} from 'c/dutchValidators';
+import {
+    DRAFT_STATE,
+    beginDraftSession,
+    loadDraft,
+    draftState,
+    resumeDraft,
+    startFresh,
+    resumedStepValues,
+    saveDraftStep,
+    flushDraftStep
+} from 'c/intakeDraft';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { createFormValidator, toFlowResult } from 'c/formValidation';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { INTAKE } from 'c/woonstadIntakeLabels';
+import { formatLabel, splitLabel } from 'c/labelFormat';
+import { LABELS } from './labels';
+
+/**
+ * Checked on Volgende and by Flow validate() (c/formValidation), in screen order.
+ * The KVK number is checked on format only: the lookup is optional (the register may be unreachable).
+ */
+const RULES = [
+    { field: 'accountType', label: LABELS.accountType, required: true, requiredMessage: MESSAGES.required },
+    { field: 'companyName', label: INTAKE.companyName, required: true, requiredMessage: MESSAGES.required },
+    { field: 'kvkNumber', label: INTAKE.kvkNumber, required: true, requiredMessage: MESSAGES.required, validate: validateKvk },
+    { field: 'vatNumber', label: INTAKE.vatNumber, validate: validateVat },
+    { field: 'phone1', label: INTAKE.phone, required: true, requiredMessage: MESSAGES.required, validate: (v) => validatePhone(v) },
+    { field: 'phone2', label: INTAKE.mobile, validate: (v) => validatePhone(v, { mobile: true }) },
+    { field: 'email', label: INTAKE.email, required: true, requiredMessage: MESSAGES.required, validate: validateEmail }
+];
+
+/** Canonical Flow value per field (c/dutchValidators); applied once the form is valid */
+const NORMALIZERS = {
+    kvkNumber: normalizeKvk,
+    vatNumber: normalizeVat,
+    phone1: (v) => normalizePhone(v),
+    phone2: (v) => normalizePhone(v, { mobile: true }),
+    email: normalizeEmail
+};
+
+/** kadasterLookupFlow field (toFlowFields) -> registered address output of this form */
+const REGISTERED_ADDRESS_OUTPUTS = {
+    streetName: 'registeredStreet',
+    houseNumberOutput: 'registeredHouseNumber',
+    houseLetter: 'registeredHouseLetter',
+    houseNumberAddition: 'registeredHouseNumberAddition',
+    postalCodeOutput: 'registeredPostalCode',
+    city: 'registeredCity',
+    countryOutput: 'registeredCountry',
+    countryIsoOutput: 'registeredCountryIso'
+};
+
+/** Step name of this screen in the intake draft */
+const DRAFT_STEP = 'bussData';
+
+/** Outputs kept in the draft (KvK data and registered address included, so no new lookup is needed) */
+const DRAFT_FIELDS = [
+    'accountType', 'companyName', 'kvkNumber', 'vatNumber', 'phone1', 'phone2', 'email',
+    'legalForm', 'sbiCode', 'sbiDescription', 'branchNumber',
+    ...Object.values(REGISTERED_ADDRESS_OUTPUTS)
+];
 
 export default class WoonstadFlowBussDataForm extends LightningElement {
     /* =========================================================================
@@ -81,10 +172,45 @@ export default class WoonstadFlowBussDataForm extends LightningElement {
      */
     @api email = '';
 
+    /* =========================================================================
+       FLOW OUTPUT VARIABLES: KvK Handelsregister
+       Filled by the KvK lookup; the registered address is meant for the address step
+       (map to the kadasterLookupFlow inputs streetName, houseNumberOutput, ...)
+       ========================================================================= */
+
+    /** Legal form (rechtsvorm), e.g. "Besloten Vennootschap" */
+    @api legalForm = '';
+
+    /** Main SBI activity code and description */
+    @api sbiCode = '';
+    @api sbiDescription = '';
+
+    /** Chosen branch (vestigingsnummer, 12 digits) */
+    @api branchNumber = '';
+
+    /** Registered address of the chosen branch */
+    @api registeredStreet = '';
+    @api registeredHouseNumber = '';
+    @api registeredHouseLetter = '';
+    @api registeredHouseNumberAddition = '';
+    @api registeredPostalCode = '';
+    @api registeredCity = '';
+    @api registeredCountry = '';
+    @api registeredCountryIso = '';
+
+    /** Draft key (Flow API name); empty disables autosave */
+    @api draftKey = 'Screen_Flow_Create_New_Business_Account';
+
     /* =========================================================================
        COMPONENT STATE PROPERTIES
        ========================================================================= */
     
+    /**
+     * Custom labels used by the template
+     * @type {Object}
+     */
+    label = { ...COMMON, ...INTAKE, ...LABELS, draftFound: splitLabel(INTAKE.draftFound) };
+
     /**
      * Loading state for Account Type picklist
      * @type {Boolean}
@@ -98,10 +224,62 @@ export default class WoonstadFlowBussDataForm extends LightningElement {
     accountTypeOptions = [];
 
     /**
-     * Flag to show/hide validation banner
-     * @type {Boolean}
+     * Result of the last validation (c-woonstad-validation-banner); null until Volgende
+     * @type {?Object}
      */
-    showValidationBanner = false;
+    validation = null;
+
+    _validator = createFormValidator(this, RULES, {
+        onResult: (result) => {
+            this.validation = result;
+        }
+    });
+
+    /**
+     * KvK lookup state: spinner, message, result and branch choice
+     */
+    kvkLoading = false;
+    kvkMessage = '';
+    kvkMessageIsError = false;
+    kvkResult = null;
+    kvkBranches = [];
+    registeredAddressLabel = '';
+    _lastKvkLookup = '';
+    _prefilledCompanyName = '';
+
+    /** Only the latest branch fetch may apply its result (c/kadasterLookupService) */
+    branchLookups = createRequestSequencer();
+
+    /** Open draft offered for resume ({ lastSaved, steps }); null hides the banner */
+    draftOffer = null;
+
+    /* =========================================================================
+       LIFECYCLE
+       ========================================================================= */
+    /** Unregisters the keyboard shortcuts (c/keyboardShortcuts) */
+    _unregisterShortcuts;
+
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...SHORTCUT.NEXT, label: COMMON.next, handler: () => this.handleNext() }
+        ]);
+
+        // First screen of the intake: a new interview, so the draft is queried again
+        beginDraftSession(this.draftKey);
+        loadDraft(this.draftKey).then(draft => {
+            if (draftState(this.draftKey) === DRAFT_STATE.PENDING) {
+                this.draftOffer = draft;
+            } else {
+                this.restoreDraft();
+            }
+        });
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+        this.branchLookups.cancel();
+        flushDraftStep(this.draftKey, DRAFT_STEP);
+    }
 
     /* =========================================================================
        APEX WIRE SERVICE: Fetch Account Type Picklist Values
@@ -144,12 +322,13 @@ export default class WoonstadFlowBussDataForm extends LightningElement {
     handleAccountTypeChange(event) {
         // Extract the selected value from the combobox event
         this.accountType = event.detail.value;
-        
-        // Clear validation banner when user makes changes
-        this.showValidationBanner = false;
+
+        // Clear the field message of the previous "Volgende" (also drops it from the banner)
+        this._validator.clearField(event.target);
         
         // Debug logging to help with troubleshooting
         console.log('Account Type changed to:', this.accountType);
+        this.autosave();
     }
 
     /**
@@ -167,40 +346,277 @@ export default class WoonstadFlowBussDataForm extends LightningElement {
         // Update the corresponding property using bracket notation
         this[fieldName] = fieldValue;
 
-        // Clear validation banner when user makes changes
-        this.showValidationBanner = false;
+        // Clear the field message of the previous "Volgende" (also drops it from the banner)
+        this._validator.clearField(event.target);
 
         // Debug logging to help with troubleshooting
         console.log(`${fieldName} changed to:`, fieldValue);
+        this.autosave();
     }
 
     /* =========================================================================
-       VALIDATION LOGIC
+       KVK HANDELSREGISTER LOOKUP
        ========================================================================= */
-    
+
+    get hasKvkResult() {
+        return !!this.kvkResult;
+    }
+
+    get hasMultipleBranches() {
+        return this.kvkBranches.length > 1;
+    }
+
     /**
-     * Validates all required fields before allowing navigation to next step
-     * Required fields: accountType, companyName, kvkNumber, phone1, email
-     * 
-     * @returns {Boolean} True if all required fields have values, false otherwise
+     * Options for the branch (vestiging) radio group
+     * @returns {Array<Object>} label/value pairs; the main branch is marked
      */
-    validateRequiredFields() {
-        // List of required field names for easy maintenance
-        const requiredFields = ['accountType', 'companyName', 'kvkNumber', 'phone1', 'email'];
-        
-        // Check if all required fields have non-empty values
-        const allFieldsValid = requiredFields.every(fieldName => {
-            const fieldValue = this[fieldName];
-            const isValid = fieldValue && fieldValue.trim().length > 0;
-            
-            if (!isValid) {
-                console.log(`Validation failed for required field: ${fieldName}`);
+    get branchOptions() {
+        return this.kvkBranches.map((b) => ({
+            label: `${b.name || this.companyName}${b.isMain ? ` ${LABELS.mainBranch}` : ''} - ${b.addressLabel || LABELS.addressShielded}`,
+            value: b.branchNumber
+        }));
+    }
+
+    get sbiLabel() {
+        return this.sbiCode ? `${this.sbiCode} ${this.sbiDescription || ''}`.trim() : '';
+    }
+
+    get kvkMessageClass() {
+        return this.kvkMessageIsError ? 'kvk-message kvk-message_error' : 'kvk-message';
+    }
+
+    /**
+     * Handles changes to the KVK number: validates the format and looks the number up
+     * as soon as it has 8 digits (once per number)
+     *
+     * @param {Event} event - Change event from lightning-input
+     */
+    handleKvkChange(event) {
+        const input = event.target;
+        this.setOutput('kvkNumber', input.value);
+        this._validator.clearField(input);
+
+        const normalized = normalizeKvk(input.value);
+        const complete = isValidKvk(normalized);
+
+        // Only complain once the agent typed 8 or more characters; shorter is still in progress
+        input.setCustomValidity(!complete && normalized.length >= 8 ? MESSAGES.kvk : '');
+        input.reportValidity();
+
+        // Number no longer complete: the data of the previous number does not apply anymore
+        if (!complete && this._lastKvkLookup) {
+            this._lastKvkLookup = '';
+            this.clearKvkResult();
+            this.kvkMessage = '';
+            this.kvkLoading = false;
+            return;
+        }
+
+        if (complete && normalized !== this._lastKvkLookup) {
+            this._lastKvkLookup = normalized;
+            this.lookupKvk(normalized);
+        }
+    }
+
+    /**
+     * Looks up the company and prefills the form and the KvK outputs
+     * @param {String} kvkNumber - 8 digits
+     */
+    async lookupKvk(kvkNumber) {
+        this.branchLookups.cancel();
+        this.kvkLoading = true;
+        this.kvkMessage = '';
+        this.kvkMessageIsError = false;
+
+        try {
+            const result = await lookupCompany({ kvkNumber });
+
+            // Agent changed the number while we were waiting
+            if (kvkNumber !== this._lastKvkLookup) return;
+
+            if (!result?.found) {
+                this.clearKvkResult();
+                this.kvkMessage = result?.message || LABELS.kvkNotFound;
+                this.kvkMessageIsError = true;
+                return;
             }
-            
-            return isValid;
+
+            this.kvkResult = result;
+            this.kvkBranches = Array.isArray(result.branches) ? result.branches : [];
+            this.setOutput('kvkNumber', result.kvkNumber);
+            this.setOutput('legalForm', result.legalForm || '');
+
+            // Never overwrite a name the agent typed; a name we prefilled ourselves may be replaced
+            if (!this.companyName || this.companyName === this._prefilledCompanyName) {
+                this._prefilledCompanyName = result.companyName || '';
+                this.setOutput('companyName', this._prefilledCompanyName);
+            }
+
+            this.applyBranch(result.branch);
+            this.kvkMessage = this.hasMultipleBranches
+                ? formatLabel(LABELS.kvkBranches, this.kvkBranches.length)
+                : LABELS.kvkPrefilled;
+        } catch (error) {
+            if (kvkNumber !== this._lastKvkLookup) return;
+            this.clearKvkResult();
+            this.kvkMessage = error?.body?.message || LABELS.kvkUnavailable;
+            this.kvkMessageIsError = true;
+        } finally {
+            this.kvkLoading = false;
+        }
+    }
+
+    /**
+     * Branch chosen in the radio group: fetch its registered address and activity
+     * @param {Event} event - Change event from lightning-radio-group
+     */
+    async handleBranchChange(event) {
+        const branchNumber = event.detail.value;
+        if (!branchNumber || branchNumber === this.branchNumber) return;
+
+        const ticket = this.branchLookups.next();
+        this.kvkLoading = true;
+        try {
+            const branch = await fetchBranch({ branchNumber });
+
+            // Agent picked another branch (or another KVK number) while we were waiting
+            if (!this.branchLookups.isCurrent(ticket)) return;
+
+            this.applyBranch(branch);
+            this.kvkMessage = LABELS.branchPrefilled;
+            this.kvkMessageIsError = false;
+        } catch (error) {
+            if (!this.branchLookups.isCurrent(ticket)) return;
+            this.kvkMessage = error?.body?.message || LABELS.branchError;
+            this.kvkMessageIsError = true;
+        } finally {
+            if (this.branchLookups.isCurrent(ticket)) this.kvkLoading = false;
+        }
+    }
+
+    /**
+     * Branch (KvkLookupController shape) -> branch, SBI and registered address outputs
+     * @param {Object} branch - { branchNumber, sbiCode, sbiDescription, address }
+     */
+    applyBranch(branch) {
+        this.setOutput('branchNumber', branch?.branchNumber || '');
+        if (branch?.sbiCode) {
+            this.setOutput('sbiCode', branch.sbiCode);
+            this.setOutput('sbiDescription', branch.sbiDescription || '');
+        } else {
+            this.setOutput('sbiCode', this.kvkResult?.sbiCode || '');
+            this.setOutput('sbiDescription', this.kvkResult?.sbiDescription || '');
+        }
+
+        let address = null;
+        if (branch?.address) {
+            const countryIso = findCountryIso(branch.address.country) || DEFAULT_COUNTRY;
+            address = { ...fromKadaster(branch.address), countryIso, country: getCountryLabel(countryIso) };
+        }
+        this.setRegisteredAddress(address);
+    }
+
+    setRegisteredAddress(address) {
+        const fields = address ? toFlowFields(address) : {};
+        Object.entries(REGISTERED_ADDRESS_OUTPUTS).forEach(([field, output]) => {
+            this.setOutput(output, fields[field] || '');
         });
+        this.registeredAddressLabel = address ? formatSingleLine(address) : '';
+    }
 
-        return allFieldsValid;
+    clearKvkResult() {
+        this.branchLookups.cancel();
+        this.kvkResult = null;
+        this.kvkBranches = [];
+        this.setOutput('legalForm', '');
+        this.setOutput('sbiCode', '');
+        this.setOutput('sbiDescription', '');
+        this.setOutput('branchNumber', '');
+        this.setRegisteredAddress(null);
+    }
+
+    /**
+     * Updates an output property and tells the Flow about it
+     * @param {String} name - @api property name
+     * @param {String} value - new value
+     */
+    setOutput(name, value) {
+        this[name] = value;
+        this.dispatchEvent(new FlowAttributeChangeEvent(name, value));
+        this.autosave();
+    }
+
+    /* =========================================================================
+       DRAFT (autosave / resume)
+       ========================================================================= */
+    get draftSavedAt() {
+        return this.draftOffer?.lastSaved;
+    }
+
+    get nextTitle() {
+        return `${COMMON.next} (Alt+N)`;
+    }
+
+    handleResumeDraft() {
+        resumeDraft(this.draftKey);
+        this.draftOffer = null;
+        this.restoreDraft();
+    }
+
+    handleStartFresh() {
+        this.draftOffer = null;
+        startFresh(this.draftKey);
+    }
+
+    /**
+     * Fills the empty outputs from the draft, only after the agent chose to resume.
+     * The KvK number counts as looked up, so the restored KvK data is not fetched again.
+     */
+    restoreDraft() {
+        const values = resumedStepValues(this.draftKey, DRAFT_STEP);
+        if (!values) return;
+        DRAFT_FIELDS.forEach(name => {
+            if (!this[name] && values[name]) {
+                this.setOutput(name, values[name]);
+            }
+        });
+        if (isValidKvk(normalizeKvk(this.kvkNumber))) {
+            this._lastKvkLookup = normalizeKvk(this.kvkNumber);
+        }
+        this.registeredAddressLabel = values.registeredAddressLabel || this.registeredAddressLabel;
+    }
+
+    autosave() {
+        const values = { registeredAddressLabel: this.registeredAddressLabel };
+        DRAFT_FIELDS.forEach(name => {
+            values[name] = this[name];
+        });
+        saveDraftStep(this.draftKey, DRAFT_STEP, values);
+    }
+
+    /* =========================================================================
+       VALIDATION (c/formValidation)
+       ========================================================================= */
+
+    /**
+     * Flow validate() contract: the same RULES as Volgende, so the Flow's own navigation shows
+     * the same field messages and banner
+     * @returns {{isValid: Boolean, errorMessage?: String}}
+     */
+    @api
+    validate() {
+        return toFlowResult(this._validator.validate());
+    }
+
+    /**
+     * Hands the canonical values (E.164 phones, compact KVK/BTW, e-mail domain in lowercase) to the Flow
+     */
+    normalizeOutputs() {
+        Object.entries(NORMALIZERS).forEach(([fieldName, normalize]) => {
+            if (this[fieldName]) {
+                this.setOutput(fieldName, normalize(this[fieldName]));
+            }
+        });
     }
 
     /* =========================================================================
@@ -209,33 +625,20 @@ export default class WoonstadFlowBussDataForm extends LightningElement {
     
     /**
      * Handles the "Volgende" (Next) button click
-     * Validates all required fields before proceeding to next Flow screen
-     * Shows validation banner if required fields are missing
+     * Validates all fields before proceeding to next Flow screen
+     * Shows validation banner if required fields are missing or invalid
      */
     handleNext() {
-        // Perform validation check
-        const isValid = this.validateRequiredFields();
-
-        if (!isValid) {
-            // Show validation banner to inform user about missing fields
-            this.showValidationBanner = true;
-            
-            // Scroll to top of form so user can see the validation message
-            // Using requestAnimationFrame to ensure DOM has updated
-            requestAnimationFrame(() => {
-                const banner = this.template.querySelector('[data-id="validationBanner"]');
-                if (banner) {
-                    banner.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
-            });
-
-            // Stop processing - don't navigate to next screen
-            return;
+        // Continuing without a choice on the draft banner starts a new intake
+        if (this.draftOffer) {
+            this.handleStartFresh();
         }
 
+        // Required fields and formats (RULES): field messages, banner and focus on the first error
+        if (!this._validator.validate().isValid) return;
+
+        this.normalizeOutputs();
+
         // All validations passed - proceed to next Flow screen
         // The @api properties will automatically be available as Flow variables
         console.log('Form validation passed. Proceeding to next step with data:', {
@@ -245,10 +648,14 @@ export default class WoonstadFlowBussDataForm extends LightningElement {
             vatNumber: this.vatNumber,
             phone1: this.phone1,
             phone2: this.phone2,
-            email: this.email
+            email: this.email,
+            legalForm: this.legalForm,
+            sbiCode: this.sbiCode,
+            branchNumber: this.branchNumber
         });
 
         // Dispatch Flow navigation event to move to next screen
+        flushDraftStep(this.draftKey, DRAFT_STEP);
         this.dispatchEvent(new FlowNavigationNextEvent());
     }
 }
\ No newline at end of file
@@ -3,63 +3,70 @@
  * Component       : WoonstadFlowChoiceButtons
  * Layer           : Controller (LWC JS)
  * Purpose         : Display configurable Woonstad-style choice cards in a Flow screen.
- *                   Cards can represent actions like "Informatie vraag", "Naamplaatje aanvragen",
- *                   "Knowledge Goedkeuring" and "Knowledge Afwijzing".
+ *                   The cards come from Choice_Card__mdt (WoonstadChoiceCards): label, value, icon
+ *                   static resource, group, order, visibility by permission set / profile and tooltip.
+ *                   A new request type is a new metadata record, not a code change.
  *
  * Behavior        :
- *   - Input  : availableChoices (String, comma-separated labels)
- *              Example: "Knowledge Goedkeuring, Knowledge Afwijzing, Naamplaatje aanvragen"
- *              Controls which cards are visible.
+ *   - Input  : choiceGroup (String)
+ *              Group__c of the cards to show, e.g. "Knowledge". Empty = all active cards.
+ *
+ *   - Input  : availableChoices (String, comma-separated values or labels)
+ *              Example: "Goedkeuring, Afwijzing"
+ *              Optional filter on the configured cards; empty = show every card of the group.
  *
  *   - Output : selectedChoice (String)
- *              The exact label of the selected card.
+ *              The Value__c of the selected card.
  *
  *   - Input  : autoNext (Boolean)
  *              Default true. If true, selection triggers FlowNavigationNextEvent (advances flow).
  *              If false, stays on the same screen — use for in-screen logic or conditional visibility.
  *
- *   - Input  : layout (String)
- *              "horizontal" or "vertical" card layout.
+ *   - Input  : align (String)
+ *              "center" (default) or "left" card alignment.
  *
- *   - Deprecated outputs: var_aanvraag, var_vraag (kept for backward compatibility)
+ *   - Keyboard: Enter/Space on a focused card, number keys 1-9 for the visible cards in order,
+ *              "?" for the shortcut help (c/keyboardShortcuts)
  *
  * Author          : Woonstad KC
  * Created         : 2025-08-07
- * Last Modified   : 2025-11-06
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN).
+ * 2026-10-19 | DvM | Cards from Choice_Card__mdt (choiceGroup input); removed the hardcoded labels/icons
+ *                    and the deprecated var_vraag / var_aanvraag outputs.
+ * 2026-10-19 | DvM | Keyboard: number keys per card, Enter/Space, "?" help.
  * ===============================================================================================
  */
 
-import { LightningElement, api } from 'lwc';
+import { LightningElement, api, wire } from 'lwc';
 import {
     FlowNavigationNextEvent,
     FlowAttributeChangeEvent
 } from 'lightning/flowSupport';
 import { loadStyle } from 'lightning/platformResourceLoader';
+import { registerShortcuts, choiceShortcut } from 'c/keyboardShortcuts';
+import { formatLabel } from 'c/labelFormat';
+
+// Apex
+import getCards from '@salesforce/apex/WoonstadChoiceCards.getCards';
+
+// Custom labels
+import LOAD_ERROR from '@salesforce/label/c.Woonstad_Choice_Cards_Load_Error';
+import EMPTY from '@salesforce/label/c.Woonstad_Choice_Cards_Empty';
+import ICON_ALT from '@salesforce/label/c.Woonstad_Choice_Cards_Icon_Alt';
+import CHOOSE from '@salesforce/label/c.Woonstad_Choice_Cards_Choose';
 
 // Static resources
-import ICON_VRAAG from '@salesforce/resourceUrl/WSRinfo';
-import ICON_AANVRAAG from '@salesforce/resourceUrl/WSRcard';
-import ICON_GOEDKEURING from '@salesforce/resourceUrl/wsrIconCheck';
-import ICON_AFWIJZING from '@salesforce/resourceUrl/wsrIconChatten';
 import GLOBAL_CSS from '@salesforce/resourceUrl/WoonstadGlobalCSS';
 
 // =================================================================================================
 // Constants
 // =================================================================================================
-const LABELS = Object.freeze({
-    INFO_VRAAG: 'Informatie vraag',
-    NAAMPLAATJE: 'Naamplaatje aanvragen',
-    GOEDKEURING: 'Goedkeuring',
-    AFWIJZING: 'Afwijzing'
-});
-
-// Lowercased lookup map for forgiving input
-const NORMALIZED = new Map([
-    [LABELS.INFO_VRAAG.toLowerCase(), LABELS.INFO_VRAAG],
-    [LABELS.NAAMPLAATJE.toLowerCase(), LABELS.NAAMPLAATJE],
-    [LABELS.GOEDKEURING.toLowerCase(), LABELS.GOEDKEURING],
-    [LABELS.AFWIJZING.toLowerCase(), LABELS.AFWIJZING]
-]);
+/** Number keys 1-9 choose the first nine visible cards */
+const MAX_SHORTCUT_CARDS = 9;
 
 // =================================================================================================
 // Class
@@ -72,34 +79,65 @@ export default class WoonstadFlowChoiceButtons extends LightningElement {
     /** Available flow actions (NEXT, FINISH, etc.) */
     @api availableActions;
 
-    /** Comma-separated list of visible choice labels */
+    /** Choice_Card__mdt.Group__c to show; empty = all active cards */
+    @api choiceGroup = '';
+
+    /** Comma-separated list of card values (or labels) to show; empty = all cards of the group */
     @api availableChoices;
 
-    /** Output: selected card label */
+    /** Output: selected card value */
     @api selectedChoice;
 
     /** Input: determines if a click triggers FlowNavigationNextEvent */
     @api autoNext = false;
 
-    /** Deprecated outputs kept for backward compatibility */
-    @api var_aanvraag;
-    @api var_vraag;
-
     /** Alignment of cards, default center other option left **/
-    @api align = 'center' 
+    @api align = 'center'
 
     // ===============================================================================================
     // Internal State
     // ===============================================================================================
-    iconVraag = ICON_VRAAG;
-    iconAanvraag = ICON_AANVRAAG;
-    iconGoedkeuring = ICON_GOEDKEURING;
-    iconAfwijzing = ICON_AFWIJZING;
+    /** Configured cards (WoonstadChoiceCards.Card) visible to the user, in sort order */
+    _cards = [];
+    label = { empty: EMPTY };
+    cardsLoaded = false;
+    errorMessage;
     stylesLoaded = false;
+    _unregisterShortcuts;
+
+    // ===============================================================================================
+    // Wire
+    // ===============================================================================================
+    @wire(getCards, { groupName: '$choiceGroup' })
+    wiredCards({ data, error }) {
+        if (data) {
+            this._cards = data;
+            this.errorMessage = undefined;
+            this.cardsLoaded = true;
+            this._registerShortcuts();
+        } else if (error) {
+            this._cards = [];
+            this.errorMessage = error?.body?.message || LOAD_ERROR;
+            this.cardsLoaded = true;
+            this._registerShortcuts();
+        }
+    }
 
     // ===============================================================================================
     // Lifecycle Hooks
     // ===============================================================================================
+    connectedCallback() {
+        // Reconnected with cards already loaded: the wire does not fire again
+        if (this.cardsLoaded) {
+            this._registerShortcuts();
+        }
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+        this._unregisterShortcuts = undefined;
+    }
+
     renderedCallback() {
         if (this.stylesLoaded) return;
 
@@ -118,20 +156,28 @@ export default class WoonstadFlowChoiceButtons extends LightningElement {
     // Computed Properties
     // ===============================================================================================
 
-    get showInfoVraag() {
-        return this._isAllowed(LABELS.INFO_VRAAG);
+    /** Visible cards in display order, with their number key and selected state */
+    get cards() {
+        return this._visibleCards.map((card, index) => ({
+            ...card,
+            key: card.name,
+            altText: formatLabel(ICON_ALT, card.label),
+            shortcutKey: index < MAX_SHORTCUT_CARDS ? String(index + 1) : null,
+            cardClass: `choice-card${card.value === this.selectedChoice ? ' selected' : ''}`
+        }));
     }
 
-    get showNaamplaatje() {
-        return this._isAllowed(LABELS.NAAMPLAATJE);
+    get hasCards() {
+        return this._visibleCards.length > 0;
     }
 
-    get showGoedkeuring() {
-        return this._isAllowed(LABELS.GOEDKEURING);
+    get showEmpty() {
+        return this.cardsLoaded && !this.errorMessage && !this.hasCards;
     }
 
-    get showAfwijzing() {
-        return this._isAllowed(LABELS.AFWIJZING);
+    get containerClass() {
+        // adds a modifier the CSS can target
+        return `button-container ${this.align === 'left' ? 'align-left' : 'align-center'}`;
     }
 
     // ===============================================================================================
@@ -139,78 +185,67 @@ export default class WoonstadFlowChoiceButtons extends LightningElement {
     // ===============================================================================================
     /**
      * Handles click on any choice card.
-     * Updates Flow outputs and optionally advances the Flow.
+     * Updates the Flow output and optionally advances the Flow.
      */
-    // === Add this new helper ===
-getCardClass = (event) => {
-    const label = event?.target?.dataset?.label;
-    return `choice-card ${this.selectedChoice === label ? 'selected' : ''}`;
-};
-
-get containerClass() {
-    // adds a modifier the CSS can target
-    return `button-container ${this.align === 'left' ? 'align-left' : 'align-center'}`;
-}
+    handleClick(event) {
+        const value = event?.currentTarget?.dataset?.value;
+        if (!value) return;
+        this._select(value);
+    }
 
-// === Update your handleClick() (only small addition) ===
-handleClick(event) {
-    const label = event?.currentTarget?.dataset?.label;
-    if (!label) return;
-
-    // set the selected label
-    this.selectedChoice = label;
-
-    // Update visual selection immediately
-    this.template.querySelectorAll('.choice-card').forEach((card) => {
-        const cardLabel = card.dataset.label;
-        card.classList.toggle('selected', cardLabel === this.selectedChoice);
-    });
-
-    // --- Set Flow Outputs ---
-    const isVraagGroup =
-        label === LABELS.INFO_VRAAG;
-    const isAanvraagGroup =
-        label === LABELS.NAAMPLAATJE;
-
-    this.var_vraag = String(isVraagGroup);
-    this.var_aanvraag = String(isAanvraagGroup);
-
-    this.dispatchEvent(
-        new FlowAttributeChangeEvent('selectedChoice', this.selectedChoice)
-    );
-    this.dispatchEvent(
-        new FlowAttributeChangeEvent('var_vraag', this.var_vraag)
-    );
-    this.dispatchEvent(
-        new FlowAttributeChangeEvent('var_aanvraag', this.var_aanvraag)
-    );
-
-    // --- Conditional Navigation ---
-    if (this.autoNext && this.availableActions?.includes('NEXT')) {
-        this.dispatchEvent(new FlowNavigationNextEvent());
+    /** Enter / Space on a focused card */
+    handleKeydown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleClick(event);
+        }
+    }
+
+    _select(value) {
+        this.selectedChoice = value;
+
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('selectedChoice', this.selectedChoice)
+        );
+
+        // --- Conditional Navigation ---
+        if (this.autoNext && this.availableActions?.includes('NEXT')) {
+            this.dispatchEvent(new FlowNavigationNextEvent());
+        }
     }
-}
 
     // ===============================================================================================
     // Helpers
     // ===============================================================================================
-    /**
-     * Determines if a given card label should be displayed,
-     * based on the comma-separated availableChoices input.
-     */
-    _isAllowed(label) {
-        const list = this._normalizedChoices;
-        if (!list || list.length === 0) return true; // show all by default
-        return list.includes(label);
+    /** Number key n chooses the n-th visible card; re-registered when the cards change */
+    _registerShortcuts() {
+        this._unregisterShortcuts?.();
+        this._unregisterShortcuts = registerShortcuts(
+            this._visibleCards.slice(0, MAX_SHORTCUT_CARDS).map((card, index) => ({
+                ...choiceShortcut(index),
+                label: formatLabel(CHOOSE, card.label),
+                handler: () => this._select(card.value)
+            }))
+        );
     }
 
-    /** Parses and normalizes availableChoices once per render */
+    /** Configured cards filtered by availableChoices (matched on value or label, case-insensitive) */
+    get _visibleCards() {
+        const allowed = this._normalizedChoices;
+        if (allowed.length === 0) return this._cards;
+        return this._cards.filter(
+            (card) =>
+                allowed.includes((card.value || '').toLowerCase()) ||
+                allowed.includes((card.label || '').toLowerCase())
+        );
+    }
+
+    /** Parses and normalizes availableChoices */
     get _normalizedChoices() {
         if (!this.availableChoices || !this.availableChoices.trim()) return [];
         return this.availableChoices
             .split(',')
             .map((s) => s.trim().toLowerCase())
-            .map((k) => NORMALIZED.get(k))
-            .filter(Boolean); // filter unknown labels
+            .filter(Boolean);
     }
-}
\ No newline at end of file
+}
@@ -19,16 +19,22 @@
  * and loads custom Woonstad styling. When a choice is made, it sets the
  * appropriate boolean flag, clears the other option, and triggers Flow navigation.
  * 
+ * KEYBOARD:
+ * Cards are focusable (Enter/Space); number keys 1 (Bedrijf) and 2 (Persoon) choose
+ * directly and "?" shows the shortcut help (c/keyboardShortcuts).
+ * 
  * CHANGELOG:
  * v1.0.0 - Initial version with Record ID output
  * v1.1.0 - Modified to output boolean true values instead of hardcoded Record IDs
  *        - Simplified click handlers to use boolean logic
  *        - Maintained all existing visual and functional behavior
  *        - Added comprehensive JSDoc documentation
+ * v1.2.0 - Keyboard operation: focusable cards, number keys 1/2, focus ring, "?" help
+ * v1.3.0 - Card texts from custom labels (NL/EN)
  * 
  * AUTHOR: Dennis van Musschenbroek
  * CREATED: August 25, 2025
- * MODIFIED: August 29, 2025
+ * MODIFIED: October 19, 2026
  * ============================================================================
  */
 
@@ -36,10 +42,16 @@ import { LightningElement, api } from 'lwc';
 import { FlowNavigationNextEvent } from 'lightning/flowSupport';
 import { loadStyle } from 'lightning/platformResourceLoader';
 import WOONSTAD_STYLES from '@salesforce/resourceUrl/WoonstadGlobalCSS';
+import { registerShortcuts, choiceShortcut } from 'c/keyboardShortcuts';
 
 import ICON_COMPANY from '@salesforce/resourceUrl/wsrIconCompany';
 import ICON_PERSON from '@salesforce/resourceUrl/wsrIconPerson';
 
+import COMPANY from '@salesforce/label/c.Woonstad_Customer_Choice_Company';
+import PERSON from '@salesforce/label/c.Woonstad_Customer_Choice_Person';
+import COMPANY_ALT from '@salesforce/label/c.Woonstad_Customer_Choice_Company_Alt';
+import PERSON_ALT from '@salesforce/label/c.Woonstad_Customer_Choice_Person_Alt';
+
 export default class WoonstadFlowCustChoice extends LightningElement {
     // API properties that Flow can read - these will now be boolean values
     @api var_company;
@@ -50,9 +62,29 @@ export default class WoonstadFlowCustChoice extends LightningElement {
     iconCompany = ICON_COMPANY;
     iconPerson = ICON_PERSON;
 
+    // Custom labels (NL/EN)
+    label = { company: COMPANY, person: PERSON, companyAlt: COMPANY_ALT, personAlt: PERSON_ALT };
+
     // Flag to prevent multiple CSS loads
     cssLoaded = false;
 
+    // Unregisters the number key shortcuts
+    _unregisterShortcuts;
+
+    /**
+     * Lifecycle hook - registers number keys 1 (Bedrijf) and 2 (Persoon), in template order
+     */
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...choiceShortcut(0), label: COMPANY, handler: () => this.handleCompanyClick() },
+            { ...choiceShortcut(1), label: PERSON, handler: () => this.handlePersonClick() }
+        ]);
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+    }
+
     /**
      * Lifecycle hook - runs after component renders
      * Loads custom CSS and equalizes card widths for consistent appearance
@@ -114,4 +146,14 @@ export default class WoonstadFlowCustChoice extends LightningElement {
         this.var_company = null;  // Clear company choice
         this.dispatchEvent(new FlowNavigationNextEvent()); // Proceed to next flow step
     }
+
+    /**
+     * Enter / Space on a focused card acts as a click
+     */
+    handleCardKeydown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            event.currentTarget.click();
+        }
+    }
 }
\ No newline at end of file
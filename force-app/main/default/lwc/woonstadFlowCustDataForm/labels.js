@@ -0,0 +1,40 @@
+/*************************************************************************************************
+ * Module          : woonstadFlowCustDataForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadFlowCustDataForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import birthdatePlaceholder from '@salesforce/label/c.Woonstad_Customer_Data_Birthdate_Placeholder';
+import ageOverrideReason from '@salesforce/label/c.Woonstad_Customer_Data_Age_Override_Reason';
+import fieldRequired from '@salesforce/label/c.Woonstad_Customer_Data_Field_Required';
+import birthdateMissing from '@salesforce/label/c.Woonstad_Customer_Data_Birthdate_Missing';
+import birthdateFuture from '@salesforce/label/c.Woonstad_Customer_Data_Birthdate_Future';
+import birthYearInvalid from '@salesforce/label/c.Woonstad_Customer_Data_Birth_Year_Invalid';
+import maxAge from '@salesforce/label/c.Woonstad_Customer_Data_Max_Age';
+import minAge from '@salesforce/label/c.Woonstad_Customer_Data_Min_Age';
+import minAgeOverride from '@salesforce/label/c.Woonstad_Customer_Data_Min_Age_Override';
+import bornOn from '@salesforce/label/c.Woonstad_Customer_Data_Born_On';
+import birthdateConflict from '@salesforce/label/c.Woonstad_Customer_Data_Birthdate_Conflict';
+
+export const LABELS = {
+    birthdatePlaceholder,
+    ageOverrideReason,
+    fieldRequired,
+    birthdateMissing,
+    birthdateFuture,
+    birthYearInvalid,
+    maxAge,
+    minAge,
+    minAgeOverride,
+    bornOn,
+    birthdateConflict
+};
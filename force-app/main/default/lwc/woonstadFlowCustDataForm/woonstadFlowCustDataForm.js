@@ -7,13 +7,22 @@
  *                   - Display value converted to ISO (yyyy-MM-dd) for Flow
  *                   - Dynamic salutation options fetched from Account.Salutation field
  *                   - Validation only triggered on "Volgende" button click
- *                   - Required fields show red asterisk without premature validation
+ *                   - Required fields: standard asterisk; rules and messages in c/formValidation
+ *                   - Birthdate rules from Birthdate_Rule__mdt (minimum age with override reason,
+ *                     maximum age, never in the future); a birthdate that differs from a duplicate
+ *                     with the same e-mail / phone is a warning (second click on Volgende continues)
+ *                   - Alt+N = Volgende; "?" shows the shortcut help (c/keyboardShortcuts)
+ *                   - Autosaved draft (c/intakeDraft); "Hervat concept" when an open draft is found
  *
  * Responsibilities:
  *  - Collect customer personal and contact data
- *  - Validate required fields using native Lightning input validation
+ *  - Validate required fields and formats with c/formValidation (RULES below): messages per field,
+ *    summary in c-woonstad-validation-banner, focus on the first error; same rules for Flow validate()
  *  - Format birthdate from Dutch display to ISO for Flow compatibility
+ *  - Check phone / mobile / e-mail formats (c/dutchValidators); phones to E.164 for the Flow
+ *  - Check the birthdate against WoonstadBirthdateRules and pass the override reason to the Flow
  *  - Fetch salutation picklist values dynamically from Salesforce
+ *  - Autosave the entered values per user and offer to resume them (draftKey = Flow API name)
  *  - Navigate to next Flow step on successful validation
  *
  * Required Fields : Voornaam, Achternaam, Telefoonnummer, E-mail, Geboortedatum
@@ -21,10 +30,16 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-07
- * Last Modified   : 2025-09-03
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * ===============================================================================================
+ * 2026-10-19 | DvM | Validation via c/formValidation (RULES, validation banner, Flow validate()); asterisk DOM hack removed.
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via ./labels and c/woonstadIntakeLabels.
+ * 2026-10-19 | DvM | Keyboard: Alt+N = Volgende, "?" shortcut help (c/keyboardShortcuts).
+ * 2026-10-19 | DvM | Draft autosave + "Hervat concept" / "Nieuw beginnen" banner (c/intakeDraft).
+ * 2026-10-19 | DvM | Birthdate age rules + override reason output; duplicate birthdate conflict warning.
+ * 2026-10-19 | DvM | Phone/mobile/e-mail format checks + date helpers from c/dutchValidators.
  * 2025-09-03 | DvM | Updated validation handling to prevent premature validation while keeping red asterisk styling.
  * 2025-09-02 | DvM | Added dynamic salutation fetch from Account.Salutation via WoonstadFlowCustDataController.
  * 2025-08-26 | DvM | Birthdate Dutch typing (dd-mm-jjjj) + ISO conversion for Flow; deferred validation.
@@ -34,6 +49,63 @@
 import { LightningElement, api, wire } from 'lwc';
 import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flowSupport';
 import getSalutationPicklistValues from '@salesforce/apex/WoonstadFlowCustDataController.getSalutationPicklistValues';
+import getBirthdateRules from '@salesforce/apex/WoonstadBirthdateRules.getRules';
+import searchByEmailPhone from '@salesforce/apex/WoonstadDuplicateSearchController.searchByEmailPhone';
+import {
+    MESSAGES,
+    isDutchDate,
+    dutchToIso,
+    isoToDutch,
+    validateDutchDate,
+    normalizePhone,
+    validatePhone,
+    normalizeEmail,
+    validateEmail,
+    ageInYears
+} from 'c/dutchValidators';
+import {
+    DRAFT_STATE,
+    beginDraftSession,
+    loadDraft,
+    draftState,
+    resumeDraft,
+    startFresh,
+    resumedStepValues,
+    saveDraftStep,
+    flushDraftStep
+} from 'c/intakeDraft';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { createFormValidator, toFlowResult } from 'c/formValidation';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { INTAKE } from 'c/woonstadIntakeLabels';
+import { formatLabel, formatList, splitLabel } from 'c/labelFormat';
+import { LABELS } from './labels';
+
+/** Checked on Volgende and by Flow validate() (c/formValidation), in screen order */
+const RULES = [
+    { field: 'firstName', label: INTAKE.firstName, required: true, requiredMessage: LABELS.fieldRequired },
+    { field: 'lastName', label: INTAKE.lastName, required: true, requiredMessage: LABELS.fieldRequired },
+    {
+        field: 'birthdate',
+        label: INTAKE.birthdate,
+        value: (cmp) => cmp.birthdateDisplay,
+        required: true,
+        requiredMessage: LABELS.birthdateMissing,
+        validate: [validateDutchDate, (value, cmp) => cmp.birthdateProblem(dutchToIso(String(value).trim()))]
+    },
+    { field: 'phone1', label: INTAKE.phone, required: true, requiredMessage: LABELS.fieldRequired, validate: (v) => validatePhone(v) },
+    { field: 'phone2', label: INTAKE.mobile, validate: (v) => validatePhone(v, { mobile: true }) },
+    { field: 'email', label: INTAKE.email, required: true, requiredMessage: LABELS.fieldRequired, validate: validateEmail }
+];
+
+/** Step name of this screen in the intake draft */
+const DRAFT_STEP = 'custData';
+
+/** Values kept in the draft (also the display birthdate, so an unfinished date is kept as typed) */
+const DRAFT_FIELDS = [
+    'salutation', 'firstName', 'middleName', 'lastName', 'birthdate', 'birthdateDisplay',
+    'phone1', 'phone2', 'email', 'overrideReason'
+];
 
 export default class WoonstadFlowCustDataForm extends LightningElement {
     /* =========================================================================
@@ -51,11 +123,25 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
     @api phone2;
     @api email;
 
+    /** Reason to accept a customer below the minimum age (e.g. Voogd, Bewindvoerder) */
+    @api ageOverrideReason;
+
+    /** Draft key (Flow API name); empty disables autosave */
+    @api draftKey = 'Screen_Flow_Create_New_Person_Account';
+
     /* =========================================================================
        LOCAL UI STATE
        ========================================================================= */
-    /** Controls visibility of validation error banner */
-    showValidationBanner = false;
+    label = { ...COMMON, ...INTAKE, ...LABELS, draftFound: splitLabel(INTAKE.draftFound) };
+
+    /** Result of the last validation (c-woonstad-validation-banner); null until Volgende */
+    validation = null;
+
+    _validator = createFormValidator(this, RULES, {
+        onResult: (result) => {
+            this.validation = result;
+        }
+    });
 
     /** Dutch display value (dd-mm-jjjj) for user input */
     birthdateDisplay;
@@ -63,6 +149,21 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
     /** Dynamic salutation options from Account.Salutation field */
     salutationOptions = [];
 
+    /** Merged Birthdate_Rule__mdt rules (WoonstadBirthdateRules.RuleSet); null = only "not in the future" */
+    birthdateRules;
+
+    /** Chosen override reason; sent to Flow as ageOverrideReason */
+    overrideReason;
+
+    /** Warning when a duplicate with the same e-mail / phone has another birthdate */
+    birthdateConflictWarning = '';
+
+    /** Input combination for which the agent already saw the conflict warning */
+    _acknowledgedConflictKey;
+
+    /** Open draft offered for resume ({ lastSaved, steps }); null hides the banner */
+    draftOffer = null;
+
     /* =========================================================================
        WIRE METHOD: Fetch Salutation Options
        ========================================================================= */
@@ -86,31 +187,55 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
         }
     }
 
+    /* =========================================================================
+       WIRE METHOD: Birthdate rules
+       ========================================================================= */
+    @wire(getBirthdateRules)
+    wiredBirthdateRules({ error, data }) {
+        if (data) {
+            this.birthdateRules = data;
+        } else if (error) {
+            // Without rules only future dates and years before 1900 are blocked
+            console.error('Error fetching birthdate rules:', error);
+            this.birthdateRules = null;
+        }
+    }
+
     /* =========================================================================
        LIFECYCLE METHODS
        ========================================================================= */
+    /** Unregisters the keyboard shortcuts (c/keyboardShortcuts) */
+    _unregisterShortcuts;
+
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...SHORTCUT.NEXT, label: COMMON.next, handler: () => this.handleNext() }
+        ]);
+
+        this.overrideReason = this.ageOverrideReason;
+
+        // First screen of the intake: a new interview, so the draft is queried again
+        beginDraftSession(this.draftKey);
+        loadDraft(this.draftKey).then(draft => {
+            if (draftState(this.draftKey) === DRAFT_STATE.PENDING) {
+                this.draftOffer = draft;
+            } else {
+                this.restoreDraft();
+            }
+        });
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+        flushDraftStep(this.draftKey, DRAFT_STEP);
+    }
+
     renderedCallback() {
         // If Flow prefilled an ISO date, reflect it in the display field once
         if (this.birthdate && !this.birthdateDisplay) {
             this.birthdateDisplay = this.isoToDutch(this.birthdate);
         }
 
-        // Add red asterisks to required field labels manually
-        this.addRequiredAsterisks();
-    }
-
-    /**
-     * Manually add red asterisks to required field labels
-     * This is needed since we removed the 'required' attribute to prevent premature validation
-     */
-    addRequiredAsterisks() {
-        const requiredFields = this.template.querySelectorAll('.required-field');
-        requiredFields.forEach(fieldContainer => {
-            const label = fieldContainer.querySelector('label');
-            if (label && !label.textContent.includes('*')) {
-                label.innerHTML = label.innerHTML + ' <span style="color: #d02c2c;">*</span>';
-            }
-        });
     }
 
     /* =========================================================================
@@ -120,18 +245,53 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
         const { name, value } = event.target;
         this[name] = value;
         
-        // Clear any previous validation styling when user starts typing
-        const fieldElement = event.target;
-        if (fieldElement) {
-            fieldElement.setCustomValidity('');
-            fieldElement.removeAttribute('data-validation-error');
-        }
-        
-        // No pre-validation per request - validation only on "Volgende" click
+        // Clear the message of the previous "Volgende"; no new checks until the next click
+        this._validator.clearField(event.target);
+        this.autosave();
     }
 
     handleSalutationChange(event) {
         this.salutation = event.detail.value;
+        this.autosave();
+    }
+
+    handleOverrideReasonChange(event) {
+        this.overrideReason = event.detail.value;
+        this._validator.clearField('birthdate');
+        this.autosave();
+    }
+
+    /* =========================================================================
+       DRAFT (autosave / resume)
+       ========================================================================= */
+    handleResumeDraft() {
+        resumeDraft(this.draftKey);
+        this.draftOffer = null;
+        this.restoreDraft();
+    }
+
+    handleStartFresh() {
+        this.draftOffer = null;
+        startFresh(this.draftKey);
+    }
+
+    /** Fills the empty fields from the draft, only after the agent chose to resume */
+    restoreDraft() {
+        const values = resumedStepValues(this.draftKey, DRAFT_STEP);
+        if (!values) return;
+        DRAFT_FIELDS.forEach(name => {
+            if (!this[name] && values[name]) {
+                this[name] = values[name];
+            }
+        });
+    }
+
+    autosave() {
+        const values = {};
+        DRAFT_FIELDS.forEach(name => {
+            values[name] = this[name];
+        });
+        saveDraftStep(this.draftKey, DRAFT_STEP, values);
     }
 
     /* =========================================================================
@@ -148,13 +308,8 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
         
         this.birthdateDisplay = formatted;
         
-        // Clear any previous validation styling when user starts typing
-        const fieldElement = event.target;
-        if (fieldElement) {
-            fieldElement.setCustomValidity('');
-            fieldElement.removeAttribute('data-validation-error');
-        }
-        
+        this._validator.clearField(event.target);
+
         // Do not set @api birthdate yet; conversion happens on change or submit
     }
 
@@ -166,130 +321,63 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
         const isoValue = this.dutchToIso(displayValue);
         this.birthdate = isoValue || undefined; // undefined if invalid; validate on Next
         
-        // Clear any previous validation styling when user changes value
-        const fieldElement = event.target;
-        if (fieldElement) {
-            fieldElement.setCustomValidity('');
-            fieldElement.removeAttribute('data-validation-error');
+        this._validator.clearField(event.target);
+
+        // Early, non-blocking hint; Volgende checks again with the final contact details
+        if (isoValue) {
+            this.checkBirthdateConflict(isoValue);
+        } else {
+            this.birthdateConflictWarning = '';
         }
+        this.autosave();
     }
 
     /* =========================================================================
        VALIDATION AND NAVIGATION (Single point of validation)
        ========================================================================= */
-    handleNext() {
+    async handleNext() {
+        // Continuing without a choice on the draft banner starts a new intake
+        if (this.draftOffer) {
+            this.handleStartFresh();
+        }
+
         // Try converting current display value to ISO before validation
         if (this.birthdateDisplay && !this.birthdate) {
             const isoValue = this.dutchToIso(this.birthdateDisplay);
             this.birthdate = isoValue || undefined;
         }
 
-        // Get required field elements for validation
-        const firstNameEl = this.template.querySelector('[data-field="firstName"]');
-        const lastNameEl  = this.template.querySelector('[data-field="lastName"]');
-        const birthEl     = this.template.querySelector('[data-field="birthdate"]');
-        const phoneEl     = this.template.querySelector('[data-field="phone1"]');
-        const emailEl     = this.template.querySelector('[data-field="email"]');
-
-        // Reset any previous custom validation messages and styling
-        [firstNameEl, lastNameEl, birthEl, phoneEl, emailEl].forEach(el => {
-            if (el) {
-                el.setCustomValidity('');
-                el.removeAttribute('data-validation-error');
-            }
-        });
-
-        let isValid = true;
-
-        // Validate required text fields and add validation styling
-        if (firstNameEl && !this.firstName) { 
-            firstNameEl.setCustomValidity('Verplicht veld');
-            firstNameEl.setAttribute('data-validation-error', 'true');
-            isValid = false; 
-        }
-        if (lastNameEl && !this.lastName) { 
-            lastNameEl.setCustomValidity('Verplicht veld');
-            lastNameEl.setAttribute('data-validation-error', 'true');
-            isValid = false; 
-        }
-        if (phoneEl && !this.phone1) { 
-            phoneEl.setCustomValidity('Verplicht veld');
-            phoneEl.setAttribute('data-validation-error', 'true');
-            isValid = false; 
-        }
-        if (emailEl && !this.email) { 
-            emailEl.setCustomValidity('Verplicht veld');
-            emailEl.setAttribute('data-validation-error', 'true');
-            isValid = false; 
-        }
-
-        // Validate birthdate with Dutch format and date logic
-        if (!this.birthdateDisplay || this.birthdateDisplay.trim() === '') {
-            if (birthEl) {
-                birthEl.setCustomValidity('Vul de geboortedatum in (dd-mm-jjjj).');
-                birthEl.setAttribute('data-validation-error', 'true');
-                isValid = false;
-            }
-        } else if (!this.isDutchDate(this.birthdateDisplay)) {
-            if (birthEl) {
-                birthEl.setCustomValidity('Gebruik notatie dd-mm-jjjj (bijv. 31-12-1990).');
-                birthEl.setAttribute('data-validation-error', 'true');
-                isValid = false;
-            }
-        } else {
-            const isoValue = this.dutchToIso(this.birthdateDisplay);
-            if (!isoValue) {
-                if (birthEl) {
-                    birthEl.setCustomValidity('Ongeldige datum. Controleer dag en maand (bijv. 29-02 alleen in schrikkeljaar).');
-                    birthEl.setAttribute('data-validation-error', 'true');
-                    isValid = false;
-                }
-            } else if (!this.isPlausibleBirthYear(isoValue)) {
-                if (birthEl) {
-                    birthEl.setCustomValidity('Ongeldig geboortejaar. Gebruik een jaar tussen 1900 en vandaag.');
-                    birthEl.setAttribute('data-validation-error', 'true');
-                    isValid = false;
-                }
-            } else {
-                this.birthdate = isoValue; // Commit ISO value for Flow output
-            }
+        // Required fields and formats (RULES); the banner and field messages come from the validator
+        if (!this._validator.validate().isValid) return;
+        this.birthdate = dutchToIso(this.birthdateDisplay.trim()); // Commit ISO value for Flow output
+
+        // Birthdate conflicts with a duplicate do not block, but the agent sees them once before leaving
+        await this.checkBirthdateConflict(this.birthdate);
+        const conflictKey = this.conflictKey();
+        if (this.birthdateConflictWarning && this._acknowledgedConflictKey !== conflictKey) {
+            this._acknowledgedConflictKey = conflictKey;
+            this.template.querySelector('[data-field="birthdate"]')?.focus();
+            return;
         }
 
-        // Trigger native Lightning input validation UI
-        const validationResults = [
-            firstNameEl?.reportValidity(),
-            lastNameEl?.reportValidity(),
-            birthEl?.reportValidity(),
-            phoneEl?.reportValidity(),
-            emailEl?.reportValidity()
-        ];
-
-        // Focus first invalid field for better UX
-        const firstInvalidIndex = validationResults.findIndex(result => result === false);
-        if (firstInvalidIndex !== -1) {
-            const invalidElements = [firstNameEl, lastNameEl, birthEl, phoneEl, emailEl];
-            invalidElements[firstInvalidIndex]?.focus();
-        }
-
-        // Show/hide validation banner
-        this.showValidationBanner = !isValid;
-        if (!isValid) return;
-
-        // Push all values back to Flow (birthdate is in ISO format)
+        // Push all values back to Flow (birthdate is in ISO format; phones E.164, e-mail domain in lowercase)
         [
             ['salutation', this.salutation],
             ['firstName',  this.firstName],
             ['middleName', this.middleName],
             ['lastName',   this.lastName],
             ['birthdate',  this.birthdate],   // ISO yyyy-MM-dd format
-            ['phone1',     this.phone1],
-            ['phone2',     this.phone2],
-            ['email',      this.email]
+            ['phone1',     normalizePhone(this.phone1)],
+            ['phone2',     normalizePhone(this.phone2, { mobile: true })],
+            ['email',      normalizeEmail(this.email)],
+            ['ageOverrideReason', this.needsOverrideReason ? this.overrideReason : null]
         ].forEach(([fieldName, fieldValue]) => {
             this.dispatchEvent(new FlowAttributeChangeEvent(fieldName, fieldValue));
         });
 
         // Navigate to next Flow step
+        this.autosave();
+        flushDraftStep(this.draftKey, DRAFT_STEP);
         this.dispatchEvent(new FlowNavigationNextEvent());
     }
 
@@ -297,52 +385,19 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
        DATE UTILITY METHODS
        ========================================================================= */
     
-    /**
-     * Validates Dutch date format (dd-mm-yyyy) and checks for valid day/month combinations
-     * @param {string} ddmmyyyy - Date string in dd-mm-yyyy format
-     * @returns {boolean} True if valid Dutch date format and logical date
-     */
+    /** @see c/dutchValidators isDutchDate */
     isDutchDate(ddmmyyyy) {
-        // Check strict format: dd-mm-yyyy
-        if (!/^\d{2}-\d{2}-\d{4}$/.test(ddmmyyyy)) return false;
-        
-        const [dd, mm, yyyy] = ddmmyyyy.split('-').map(n => parseInt(n, 10));
-        
-        // Basic range checks
-        if (mm < 1 || mm > 12 || dd < 1 || dd > 31) return false;
-
-        // Check if day is valid for the specific month
-        const lastDayOfMonth = new Date(yyyy, mm, 0).getDate();
-        return dd <= lastDayOfMonth;
+        return isDutchDate(ddmmyyyy);
     }
 
-    /**
-     * Converts Dutch date format (dd-mm-yyyy) to ISO format (yyyy-MM-dd)
-     * @param {string} ddmmyyyy - Date string in dd-mm-yyyy format
-     * @returns {string|null} ISO date string or null if invalid
-     */
+    /** @see c/dutchValidators dutchToIso (yyyy-MM-dd for Flow) */
     dutchToIso(ddmmyyyy) {
-        if (!this.isDutchDate(ddmmyyyy)) return null;
-        
-        const [dd, mm, yyyy] = ddmmyyyy.split('-');
-        return `${yyyy}-${mm}-${dd}`; // yyyy-MM-dd format for Flow
+        return dutchToIso(ddmmyyyy);
     }
 
-    /**
-     * Converts ISO date format (yyyy-MM-dd) to Dutch format (dd-mm-yyyy)
-     * @param {string} iso - Date string in yyyy-MM-dd format
-     * @returns {string} Dutch formatted date string
-     */
+    /** @see c/dutchValidators isoToDutch */
     isoToDutch(iso) {
-        // Handle both yyyy-MM-dd and yyyy-M-d formats
-        const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(iso);
-        if (!match) return iso;
-        
-        const yyyy = match[1];
-        const mm = match[2].padStart(2, '0');
-        const dd = match[3].padStart(2, '0');
-        
-        return `${dd}-${mm}-${yyyy}`;
+        return isoToDutch(iso);
     }
 
     /**
@@ -361,30 +416,110 @@ export default class WoonstadFlowCustDataForm extends LightningElement {
     }
 
     /* =========================================================================
-       COMPUTED PROPERTIES
+       BIRTHDATE RULES (mirror of WoonstadBirthdateRules.validate)
        ========================================================================= */
-    
+
     /**
-     * Computed property to check if all required fields have values
-     * @returns {boolean} True if all required fields are filled
+     * @param {string} iso - Date string in yyyy-MM-dd format
+     * @returns {string} message, or '' when the birthdate passes all rules
      */
-    get _hasRequiredFields() {
-        return !!(this.firstName && this.lastName && this.phone1 && this.email && this.birthdate);
+    birthdateProblem(iso) {
+        const age = ageInYears(iso);
+        if (age === null) return MESSAGES.dateInvalid;
+        if (age < 0) return LABELS.birthdateFuture;
+        if (!this.isPlausibleBirthYear(iso)) {
+            return LABELS.birthYearInvalid;
+        }
+
+        const rules = this.birthdateRules;
+        if (!rules) return '';
+        if (rules.maxAge != null && age > rules.maxAge) {
+            return formatLabel(LABELS.maxAge, rules.maxAge);
+        }
+        if (rules.minAge != null && age < rules.minAge) {
+            if (rules.allowMinAgeOverride && this.overrideReason) return '';
+            return formatLabel(rules.allowMinAgeOverride ? LABELS.minAgeOverride : LABELS.minAge, rules.minAge);
+        }
+        return '';
+    }
+
+    /**
+     * Looks up duplicates on e-mail / phone / mobile and warns when one of them has another birthdate.
+     * A failing search only logs: the check is advisory.
+     * @param {string} iso - entered birthdate (yyyy-MM-dd)
+     */
+    async checkBirthdateConflict(iso) {
+        if (!iso || !(this.email || this.phone1 || this.phone2)) {
+            this.birthdateConflictWarning = '';
+            return;
+        }
+        try {
+            const response = await searchByEmailPhone({
+                email: this.email,
+                phone: this.phone1,
+                mobile: this.phone2
+            });
+            const conflicts = (response?.results || []).filter(row =>
+                (row.matchedEmail || row.matchedPhone || row.matchedMobile)
+                && row.PersonBirthdate
+                && row.PersonBirthdate !== iso
+            );
+            this.birthdateConflictWarning = conflicts.length
+                ? formatLabel(
+                    LABELS.birthdateConflict,
+                    formatList(conflicts.map(row => formatLabel(LABELS.bornOn, row.Name, this.isoToDutch(row.PersonBirthdate))))
+                )
+                : '';
+        } catch (error) {
+            console.error('Error checking duplicates on birthdate:', error);
+            this.birthdateConflictWarning = '';
+        }
+    }
+
+    /** Combination the conflict warning was shown for; changing any of these shows it again */
+    conflictKey() {
+        return [this.birthdate, this.email, this.phone1, this.phone2].join('|');
+    }
+
+    /* =========================================================================
+       COMPUTED PROPERTIES
+       ========================================================================= */
+
+    /** Rules shown under the birthdate field */
+    get birthdateRuleHint() {
+        return (this.birthdateRules?.descriptions || []).join(' ');
+    }
+
+    /** The customer is below the minimum age and the rules allow an override with a reason */
+    get needsOverrideReason() {
+        const rules = this.birthdateRules;
+        if (!rules?.allowMinAgeOverride || rules.minAge == null) return false;
+        const age = ageInYears(this.dutchToIso(this.birthdateDisplay || '') || '');
+        return age !== null && age >= 0 && age < rules.minAge;
     }
 
+    get draftSavedAt() {
+        return this.draftOffer?.lastSaved;
+    }
+
+    get nextTitle() {
+        return `${COMMON.next} (Alt+N)`;
+    }
+
+    get overrideReasonOptions() {
+        return (this.birthdateRules?.overrideReasons || []).map(reason => ({ label: reason, value: reason }));
+    }
+    
     /* =========================================================================
        FLOW VALIDATE HOOK (Called by Flow if needed)
        ========================================================================= */
     @api
     validate() {
-        // Use same validation logic as handleNext but without UI side effects
-        const isoValue = this.dutchToIso(this.birthdateDisplay || '');
-        const isFormValid = this._hasRequiredFields && !!isoValue && this.isPlausibleBirthYear(isoValue);
-
-        if (isFormValid) {
-            this.birthdate = isoValue;
+        // Same rules as Volgende, so the Flow's own navigation shows the same messages
+        const result = this._validator.validate();
+        if (result.isValid) {
+            this.birthdate = dutchToIso(this.birthdateDisplay.trim());
         }
-        
-        return { isValid: isFormValid };
+        return toFlowResult(result);
     }
 }
\ No newline at end of file
@@ -0,0 +1,88 @@
+/*************************************************************************************************
+ * Module          : woonstadFlowKCCaseForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadFlowKCCaseForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import title from '@salesforce/label/c.Woonstad_KC_Case_Form_Title';
+import newCaseTitle from '@salesforce/label/c.Woonstad_KC_Case_Form_New_Case_Title';
+import newCaseButton from '@salesforce/label/c.Woonstad_KC_Case_Form_New_Case_Button';
+import newCase from '@salesforce/label/c.Woonstad_KC_Case_Form_New_Case';
+import cases from '@salesforce/label/c.Woonstad_KC_Case_Form_Cases';
+import warningLead from '@salesforce/label/c.Woonstad_KC_Case_Form_Warning_Lead';
+import warningText from '@salesforce/label/c.Woonstad_KC_Case_Form_Warning_Text';
+import openTab from '@salesforce/label/c.Woonstad_KC_Case_Form_Open_Tab';
+import closedTab from '@salesforce/label/c.Woonstad_KC_Case_Form_Closed_Tab';
+import searchLabel from '@salesforce/label/c.Woonstad_KC_Case_Form_Search_Label';
+import search from '@salesforce/label/c.Woonstad_KC_Case_Form_Search';
+import searchOpen from '@salesforce/label/c.Woonstad_KC_Case_Form_Search_Open';
+import searchClosed from '@salesforce/label/c.Woonstad_KC_Case_Form_Search_Closed';
+import pagerInfo from '@salesforce/label/c.Woonstad_KC_Case_Form_Pager_Info';
+import previousCasesPage from '@salesforce/label/c.Woonstad_KC_Case_Form_Previous_Cases_Page';
+import nextCasesPage from '@salesforce/label/c.Woonstad_KC_Case_Form_Next_Cases_Page';
+import columnNumber from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Number';
+import columnStatus from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Status';
+import columnType from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Type';
+import columnSubject from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Subject';
+import columnDescription from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Description';
+import columnCreated from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Created';
+import columnClosed from '@salesforce/label/c.Woonstad_KC_Case_Form_Column_Closed';
+import sortBy from '@salesforce/label/c.Woonstad_KC_Case_Form_Sort_By';
+import action from '@salesforce/label/c.Woonstad_KC_Case_Form_Action';
+import selectCase from '@salesforce/label/c.Woonstad_KC_Case_Form_Select_Case';
+import reopen from '@salesforce/label/c.Woonstad_KC_Case_Form_Reopen';
+import reopenTitle from '@salesforce/label/c.Woonstad_KC_Case_Form_Reopen_Title';
+import reopened from '@salesforce/label/c.Woonstad_KC_Case_Form_Reopened';
+import reopenedMessage from '@salesforce/label/c.Woonstad_KC_Case_Form_Reopened_Message';
+import reopenFailed from '@salesforce/label/c.Woonstad_KC_Case_Form_Reopen_Failed';
+import reopenError from '@salesforce/label/c.Woonstad_KC_Case_Form_Reopen_Error';
+import emptyOpen from '@salesforce/label/c.Woonstad_KC_Case_Form_Empty_Open';
+import emptyClosed from '@salesforce/label/c.Woonstad_KC_Case_Form_Empty_Closed';
+import fetchError from '@salesforce/label/c.Woonstad_KC_Case_Form_Fetch_Error';
+
+export const LABELS = {
+  title,
+  newCaseTitle,
+  newCaseButton,
+  newCase,
+  cases,
+  warningLead,
+  warningText,
+  openTab,
+  closedTab,
+  searchLabel,
+  search,
+  searchOpen,
+  searchClosed,
+  pagerInfo,
+  previousCasesPage,
+  nextCasesPage,
+  columnNumber,
+  columnStatus,
+  columnType,
+  columnSubject,
+  columnDescription,
+  columnCreated,
+  columnClosed,
+  sortBy,
+  action,
+  selectCase,
+  reopen,
+  reopenTitle,
+  reopened,
+  reopenedMessage,
+  reopenFailed,
+  reopenError,
+  emptyOpen,
+  emptyClosed,
+  fetchError
+};
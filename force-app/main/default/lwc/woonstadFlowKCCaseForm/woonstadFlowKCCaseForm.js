@@ -1,17 +1,20 @@
 /*************************************************************************************************
  * Component       : woonstadFlowKCCaseForm.js
  * Layer           : UI Controller (Lightning Web Component)
- * Purpose         : Displays and manages open Cases for an Account with legacy Woonstad styling.
+ * Purpose         : Displays and manages open and recently closed Cases for an Account with legacy
+ *                   Woonstad styling.
  *
  * Responsibilities:
- *  - Fetch open Cases (Apex controller)
- *  - Provide client-side search and pagination
+ *  - Fetch one page of Cases at a time (Apex getCasePage): server-side search over subject, case
+ *    number and description, sortable columns, cursor paging (no row cap)
+ *  - Tab "Recent gesloten" with a "Heropenen" action per Case (Apex reopenCase)
  *  - Render clickable, keyboard-accessible rows
  *  - Expose Flow outputs: selectedCaseId, newCaseRequested
  *  - Support optional auto-advance in Flow and in-modal Case creation Flow
  *
  * Accessibility   :
  *  - Keyboard support on rows (Enter/Space triggers select)
+ *  - PageUp / PageDown turn the result pages, "?" shows the shortcut help (c/keyboardShortcuts)
  *  - Search input has assistive label in HTML template
  *
  * Security        :
@@ -20,9 +23,12 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-14
- * Last Modified   : 2025-08-25
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log:
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN) via ./labels.
+ * 2026-10-19 | DvM | Server-side search/sort/cursor paging (getCasePage); closed tab with "Heropenen".
+ * 2026-10-19 | DvM | PageUp/PageDown paging shortcuts + "?" help; focus ring on rows and pager.
  * 2025-08-25 | DvM | Standardized header, added inline documentation, ensured Flow outputs dispatch.
  * 2025-08-15 | DvM | Added newCase warning getter and modal Flow handling.
  * 2025-08-14 | DvM | Initial version with legacy Woonstad look, search, pagination, Flow output.
@@ -30,14 +36,45 @@
 
 import { LightningElement, api, track } from 'lwc';
 import { FlowNavigationNextEvent, FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { loadStyle } from 'lightning/platformResourceLoader';
 import WoonstadGlobalCSS from '@salesforce/resourceUrl/WoonstadGlobalCSS';
-import getCases from '@salesforce/apex/WoonstadFlowKCCaseFormController.getCases';
+import getCasePage from '@salesforce/apex/WoonstadFlowKCCaseFormController.getCasePage';
+import reopenCase from '@salesforce/apex/WoonstadFlowKCCaseFormController.reopenCase';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { formatLabel } from 'c/labelFormat';
+import { LABELS } from './labels';
+
+const TAB_OPEN = 'open';
+const TAB_CLOSED = 'closed';
+
+/** Search waits until the agent stops typing */
+const SEARCH_DELAY_MS = 300;
+
+/** Default sort per tab (newest first) */
+const DEFAULT_SORT = {
+  [TAB_OPEN]: 'CreatedDate',
+  [TAB_CLOSED]: 'ClosedDate'
+};
+
+/** Grid columns; sortable ones carry the Apex sort field (see WoonstadFlowKCCaseFormController.SORTABLE) */
+const COLUMNS = [
+  { key: 'zaaknr', label: LABELS.columnNumber, cls: 'ws-c-zaaknr', field: 'CaseNumber' },
+  { key: 'status', label: LABELS.columnStatus, cls: 'ws-c-status' },
+  { key: 'type', label: LABELS.columnType, cls: 'ws-c-type' },
+  { key: 'subject', label: LABELS.columnSubject, cls: 'ws-c-subject', field: 'Subject' },
+  { key: 'desc', label: LABELS.columnDescription, cls: 'ws-c-desc' }
+];
+const DATE_COLUMN = {
+  [TAB_OPEN]: { key: 'created', label: LABELS.columnCreated, cls: 'ws-c-created', field: 'CreatedDate' },
+  [TAB_CLOSED]: { key: 'closed', label: LABELS.columnClosed, cls: 'ws-c-created', field: 'ClosedDate' }
+};
 
 export default class WoonstadFlowKCCaseForm extends LightningElement {
   /** Flow Inputs **/
   @api recordId;                 // Account Id context
-  @api limitSize = 300;          // Server fetch cap
+  @api limitSize = 300;          // [Deprecated] no longer used: Cases are paged on the server
   @api pageSize = 5;             // Rows per page
 
   // Boolean @api props default to false (per LWC1099 compliance)
@@ -52,12 +89,28 @@ export default class WoonstadFlowKCCaseForm extends LightningElement {
   @api newCaseRequested = false;
   @api selectedCaseId = '';
 
+  label = { ...COMMON, ...LABELS };
+
   /** Component State **/
-  @track openCases = [];
+  @track rows = [];
   @track showFlowModal = false;
 
-  openSearchTerm = '';
-  openPage = 1;
+  activeTab = TAB_OPEN;
+  searchTerm = '';
+  sortField = DEFAULT_SORT[TAB_OPEN];
+  sortDirection = 'desc';
+  page = 1;
+  totalCount = 0;
+  openTotal = 0;                 // Unfiltered open Cases (warning + tab badge)
+  isLoading = false;
+  errorMessage;
+  reopeningId;
+
+  _cursors = [null];             // Cursor per page (index = page - 1)
+  _nextCursor = null;
+  _requestSeq = 0;               // Only the latest request updates the grid
+  _searchTimer;
+  _unregisterShortcuts;
 
   // ===== Effective Booleans (restore intended defaults while remaining LWC1099-compliant) =====
   get showNewCaseButtonEffective() { return this.showNewCaseButton !== false; }
@@ -66,59 +119,164 @@ export default class WoonstadFlowKCCaseForm extends LightningElement {
   get enableModalFlowEffective() { return this.enableModalFlow === true; }
 
   // ===== Derived Data =====
-  get openCount() { return this.openFiltered.length; }
-  get hasOpenCases() { return this.openCount > 0; } // Show warning if >0
+  get hasOpenCases() { return this.openTotal > 0; } // Show warning if >0
+  get isClosedTab() { return this.activeTab === TAB_CLOSED; }
+  get openTabClass() { return this.tabClass(TAB_OPEN); }
+  get closedTabClass() { return this.tabClass(TAB_CLOSED); }
+  get openTabSelected() { return String(!this.isClosedTab); }
+  get closedTabSelected() { return String(this.isClosedTab); }
+  get headGridClass() { return this.isClosedTab ? 'ws-headgrid ws-grid--closed' : 'ws-headgrid'; }
+  get searchPlaceholder() {
+    return this.isClosedTab ? LABELS.searchClosed : LABELS.searchOpen;
+  }
+  get emptyMessage() {
+    return this.isClosedTab ? LABELS.emptyClosed : LABELS.emptyOpen;
+  }
 
-  /** Filtered + formatted open cases list */
-  get openFiltered() {
-    return this.filterAndFormat(this.openCases, this.openSearchTerm);
+  /** Header cells with sort state */
+  get columns() {
+    return [...COLUMNS, DATE_COLUMN[this.activeTab]].map(c => {
+      const sorted = c.field && c.field === this.sortField;
+      const asc = this.sortDirection === 'asc';
+      return {
+        ...c,
+        sortable: !!c.field,
+        cellClass: `ws-headcell ${c.cls}`,
+        ariaSort: sorted ? (asc ? 'ascending' : 'descending') : 'none',
+        indicator: sorted ? (asc ? '▲' : '▼') : '',
+        title: formatLabel(LABELS.sortBy, c.label.toLowerCase())
+      };
+    });
   }
 
-  /** Page slice with _isSelected marker for template */
-  get openPageRows() {
-    const start = (this.openPage - 1) * this.pageSize;
-    const page = this.openFiltered.slice(start, start + this.pageSize);
+  /** Current page with display values and _isSelected marker for template */
+  get pageRows() {
     const sel = this.selectedCaseId;
-    return page.map(r => ({ ...r, _isSelected: r.Id === sel }));
+    return this.rows.map(r => ({
+      ...r,
+      CreatedDateDisplay: this.formatDateTime(r.CreatedDate),
+      ClosedDateDisplay: this.formatDateTime(r.ClosedDate),
+      _isSelected: r.Id === sel,
+      _isReopening: r.Id === this.reopeningId
+    }));
   }
 
   /** Paging flags */
-  get openTotalPages() { return Math.max(1, Math.ceil(this.openFiltered.length / this.pageSize)); }
-  get openPageIsFirst() { return this.openPage <= 1; }
-  get openPageIsLast()  { return this.openPage >= this.openTotalPages; }
-  get openIsEmpty()     { return this.openFiltered.length === 0; }
+  get totalPages() { return Math.max(1, Math.ceil(this.totalCount / this.pageSize)); }
+  get pageIsFirst() { return this.page <= 1 || this.isLoading; }
+  get pageIsLast()  { return !this._nextCursor || this.isLoading; }
+  get showEmpty()   { return !this.isLoading && !this.errorMessage && this.rows.length === 0; }
+  get pagerInfo()   { return formatLabel(LABELS.pagerInfo, this.page, this.totalPages, this.totalCount); }
+  get previousPageTitle() { return `${COMMON.previousPage} (PageUp)`; }
+  get nextPageTitle()     { return `${COMMON.nextPage} (PageDown)`; }
 
   // ===== Lifecycle =====
   connectedCallback() {
     loadStyle(this, WoonstadGlobalCSS).catch(() => {});
-    this.fetchOpenCases();
+    this.reload();
+    this._unregisterShortcuts = registerShortcuts([
+      { ...SHORTCUT.PAGE_PREV, label: LABELS.previousCasesPage, enabled: () => !this.pageIsFirst, handler: this.prevPage },
+      { ...SHORTCUT.PAGE_NEXT, label: LABELS.nextCasesPage, enabled: () => !this.pageIsLast, handler: this.nextPage }
+    ]);
+  }
+
+  disconnectedCallback() {
+    this._unregisterShortcuts?.();
+    clearTimeout(this._searchTimer);
   }
 
   // ===== Data Fetch =====
-  async fetchOpenCases() {
+  /** Back to page 1 of the current tab/search/sort */
+  reload() {
+    this._cursors = [null];
+    this._nextCursor = null;
+    this.loadPage(1);
+  }
+
+  async loadPage(pageNo) {
+    if (!this.recordId) {
+      this.rows = [];
+      this.totalCount = 0;
+      return;
+    }
+    const seq = ++this._requestSeq;
+    this.isLoading = true;
     try {
-      if (!this.recordId) {
-        this.openCases = [];
-        return;
+      const resp = await getCasePage({
+        recordId: this.recordId,
+        closed: this.isClosedTab,
+        searchTerm: this.searchTerm,
+        sortField: this.sortField,
+        sortDirection: this.sortDirection,
+        cursor: this._cursors[pageNo - 1] || null,
+        pageSize: this.pageSize
+      });
+      if (seq !== this._requestSeq) return;
+
+      this.rows = resp?.records || [];
+      this.totalCount = resp?.totalCount || 0;
+      this._nextCursor = resp?.nextCursor || null;
+      this._cursors = [...this._cursors.slice(0, pageNo), this._nextCursor];
+      this.page = pageNo;
+      this.errorMessage = undefined;
+      if (!this.isClosedTab && !this.searchTerm.trim()) {
+        this.openTotal = this.totalCount;
       }
-      const resp = await getCases({ recordId: this.recordId, limitSize: this.limitSize });
-      const open = resp?.openCases || [];
-      this.openCases = this.sortByCreatedDesc(open);
-      this.openPage = 1;
     } catch (e) {
+      if (seq !== this._requestSeq) return;
       // eslint-disable-next-line no-console
-      console.error('[woonstadFlowKCCaseForm] getCases error', e);
-      this.openCases = [];
+      console.error('[woonstadFlowKCCaseForm] getCasePage error', e);
+      this.rows = [];
+      this.totalCount = 0;
+      this._nextCursor = null;
+      this.errorMessage = e?.body?.message || LABELS.fetchError;
+    } finally {
+      if (seq === this._requestSeq) this.isLoading = false;
     }
   }
 
-  // ===== Search & Pagination =====
-  handleOpenSearch = (e) => {
-    this.openSearchTerm = e.target.value || '';
-    this.openPage = 1;
+  /** Open count for the warning after a change on the closed tab */
+  async refreshOpenTotal() {
+    try {
+      const resp = await getCasePage({ recordId: this.recordId, closed: false, pageSize: 1 });
+      this.openTotal = resp?.totalCount || 0;
+    } catch {
+      // Keep the previous count; the grid itself shows load errors
+    }
+  }
+
+  // ===== Tabs, Search, Sort & Pagination =====
+  handleTabClick = (e) => {
+    const tab = e.currentTarget?.dataset?.tab;
+    if (!tab || tab === this.activeTab) return;
+    this.activeTab = tab;
+    this.searchTerm = '';
+    this.sortField = DEFAULT_SORT[tab];
+    this.sortDirection = 'desc';
+    this.reload();
+  };
+
+  handleSearch = (e) => {
+    this.searchTerm = e.target.value || '';
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(() => this.reload(), SEARCH_DELAY_MS);
+  };
+
+  /** Same column toggles the direction; a new column starts newest / A first */
+  handleSort = (e) => {
+    const field = e.currentTarget?.dataset?.field;
+    if (!field) return;
+    if (field === this.sortField) {
+      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.sortField = field;
+      this.sortDirection = field.endsWith('Date') ? 'desc' : 'asc';
+    }
+    this.reload();
   };
-  openPrev = () => { if (!this.openPageIsFirst) this.openPage -= 1; };
-  openNext = () => { if (!this.openPageIsLast)  this.openPage += 1; };
+
+  prevPage = () => { if (!this.pageIsFirst) this.loadPage(this.page - 1); };
+  nextPage = () => { if (!this.pageIsLast) this.loadPage(this.page + 1); };
 
   // ===== Row Selection =====
   handleRowClick = (e) => {
@@ -150,6 +308,33 @@ export default class WoonstadFlowKCCaseForm extends LightningElement {
     }
   }
 
+  // ===== Reopen (closed tab) =====
+  handleReopen = async (e) => {
+    const id = e.currentTarget?.dataset?.id;
+    const row = this.rows.find(r => r.Id === id);
+    if (!row || this.reopeningId) return;
+
+    this.reopeningId = id;
+    try {
+      await reopenCase({ caseId: id });
+      this.dispatchEvent(new ShowToastEvent({
+        title: LABELS.reopened,
+        message: formatLabel(LABELS.reopenedMessage, row.CaseNumber),
+        variant: 'success'
+      }));
+      this.loadPage(this.page);
+      this.refreshOpenTotal();
+    } catch (err) {
+      this.dispatchEvent(new ShowToastEvent({
+        title: LABELS.reopenFailed,
+        message: err?.body?.message || LABELS.reopenError,
+        variant: 'error'
+      }));
+    } finally {
+      this.reopeningId = undefined;
+    }
+  };
+
   // ===== New Case Actions =====
   handleNewCaseClick() {
     if (this.emitNextOnNewCaseEffective) {
@@ -165,35 +350,15 @@ export default class WoonstadFlowKCCaseForm extends LightningElement {
     const st = e?.detail?.status;
     if (st === 'FINISHED' || st === 'FINISHED_SCREEN') {
       this.closeFlowModal();
-      this.fetchOpenCases(); // Refresh list
+      this.reload(); // Refresh list
     }
   }
 
   closeFlowModal() { this.showFlowModal = false; }
 
   // ===== Utilities =====
-  filterAndFormat(list, term) {
-    const t = (term || '').toLowerCase();
-    const arr = Array.isArray(list) ? list : [];
-    const filtered = t
-      ? arr.filter(r =>
-          [r.CaseNumber, r.Status, r.Type, r.Subject, r.Description]
-            .some(v => (v || '').toString().toLowerCase().includes(t))
-        )
-      : arr;
-
-    return filtered.map(r => ({
-      ...r,
-      CreatedDateDisplay: this.formatDateTime(r.CreatedDate)
-    }));
-  }
-
-  sortByCreatedDesc(list) {
-    return [...(list || [])].sort((a, b) => {
-      const ta = new Date(a.CreatedDate).getTime();
-      const tb = new Date(b.CreatedDate).getTime();
-      return tb - ta;
-    });
+  tabClass(tab) {
+    return `ws-tab${this.activeTab === tab ? ' ws-tab--active' : ''}`;
   }
 
   formatDateTime(val) {
@@ -3,7 +3,7 @@
  * woonstadFlowNavigationButtons.js
  * =============================================
  * Date: 2025-08-05
- * Last Changed: 2025-08-05
+ * Last Changed: 2026-10-19
  * Description:
  * Custom navigation buttons for Flow.
  * - Supports Cancel, Back, Next, Bevestigen buttons.
@@ -12,6 +12,11 @@
  *   the form component's validate() for a real-time check.
  * - Prevents navigation if invalidVar is true or validate() fails.
  * - Includes DEBUG logs for traceability.
+ * - Keyboard (c/keyboardShortcuts): Alt+N = Next / Bevestigen, Alt+B = Back,
+ *   "?" shows the shortcut help. A form on the same screen that registers
+ *   Alt+N itself takes precedence.
+ * - Button texts are custom labels (c/woonstadCommonLabels) in the user's
+ *   language; nextLabel from Flow overrides "Volgende" when it is set.
  * =============================================
  */
 
@@ -21,22 +26,62 @@ import {
     FlowNavigationBackEvent,
     FlowNavigationFinishEvent
 } from 'lightning/flowSupport';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { COMMON } from 'c/woonstadCommonLabels';
 
 export default class WoonstadFlowNavigationButtons extends LightningElement {
     @api showCancel = false;
     @api showBack = false;
     @api showNext = false;
-    @api nextLabel = 'Volgende';
+    @api nextLabel;
     @api showBevestigen = false;
     @api invalidVar; // Flow Boolean variable from form
     @api alignment = 'right';
 
+    label = {
+        ...COMMON,
+        backTitle: `${COMMON.previous} (Alt+B)`,
+        confirmTitle: `${COMMON.confirm} (Alt+N)`
+    };
+
+    _unregisterShortcuts;
+
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            {
+                ...SHORTCUT.NEXT,
+                label: this.nextButtonLabel,
+                enabled: () => this.showNext,
+                handler: () => this.handleNext()
+            },
+            {
+                ...SHORTCUT.NEXT,
+                label: COMMON.confirm,
+                enabled: () => !this.showNext && this.showBevestigen,
+                handler: () => this.handleBevestigen()
+            },
+            { ...SHORTCUT.BACK, label: COMMON.previous, enabled: () => this.showBack, handler: () => this.handleBack() }
+        ]);
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+    }
+
     get containerClass() {
         return this.alignment === 'left'
             ? 'nav-container align-left'
             : 'nav-container align-right';
     }
 
+    get nextButtonLabel() {
+        return this.nextLabel || COMMON.next;
+    }
+
+    get nextTitle() {
+        return `${this.nextButtonLabel} (Alt+N)`;
+    }
+
     handleCancel() {
         console.log('[DEBUG] Cancel clicked. Ending flow.');
         this.dispatchEvent(new FlowNavigationFinishEvent());
@@ -108,4 +153,4 @@ export default class WoonstadFlowNavigationButtons extends LightningElement {
             this.dispatchEvent(new FlowNavigationNextEvent());
         }, 150);
     }
-}
\ No newline at end of file
+}
\ No newline at end of file
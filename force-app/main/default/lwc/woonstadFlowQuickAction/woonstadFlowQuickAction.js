@@ -17,10 +17,11 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-06
- * Last Modified   : 2025-08-25
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * ===============================================================================================
+ * 2026-10-19 | DvM | Header title and close button text from custom labels (NL/EN).
  * 2025-08-25 | DvM | Added standardized header, ensured Flow closes modal on completion.
  * 2025-08-06 | DvM | Initial creation with modal override and Flow integration.
  *************************************************************************************************/
@@ -29,10 +30,13 @@ import { LightningElement, api } from 'lwc';
 import { CloseActionScreenEvent } from 'lightning/actions';
 import { loadStyle } from 'lightning/platformResourceLoader';
 import ModalStyles from '@salesforce/resourceUrl/wsrModalOverride';
+import { COMMON } from 'c/woonstadCommonLabels';
+import NEW_CASE from '@salesforce/label/c.Woonstad_Quick_Action_New_Case';
 
 export default class WoonstadFlowQuickAction extends LightningElement {
     @api recordId;
-    headerTitle = 'Nieuwe Zaak';
+    headerTitle = NEW_CASE;
+    closeLabel = COMMON.close;
 
     connectedCallback() {
         loadStyle(this, ModalStyles).catch(error => {
@@ -0,0 +1,79 @@
+/*************************************************************************************************
+ * Module          : woonstadIntakeLabels (JS)
+ * Layer           : Lightning Web Component service module (no template)
+ * Purpose         : Custom labels shared by the intake screens (customer / business data and confirm
+ *                   forms); en_US master, nl_NL translation.
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import personalData from '@salesforce/label/c.Woonstad_Intake_Personal_Data';
+import companyData from '@salesforce/label/c.Woonstad_Intake_Company_Data';
+import contactData from '@salesforce/label/c.Woonstad_Intake_Contact_Data';
+import salutation from '@salesforce/label/c.Woonstad_Intake_Salutation';
+import firstName from '@salesforce/label/c.Woonstad_Intake_First_Name';
+import middleName from '@salesforce/label/c.Woonstad_Intake_Middle_Name';
+import lastName from '@salesforce/label/c.Woonstad_Intake_Last_Name';
+import birthdate from '@salesforce/label/c.Woonstad_Intake_Birthdate';
+import phone from '@salesforce/label/c.Woonstad_Intake_Phone';
+import mobile from '@salesforce/label/c.Woonstad_Intake_Mobile';
+import email from '@salesforce/label/c.Woonstad_Intake_Email';
+import address from '@salesforce/label/c.Woonstad_Intake_Address';
+import companyName from '@salesforce/label/c.Woonstad_Intake_Company_Name';
+import kvkNumber from '@salesforce/label/c.Woonstad_Intake_KvK_Number';
+import vatNumber from '@salesforce/label/c.Woonstad_Intake_VAT_Number';
+import chooseOption from '@salesforce/label/c.Woonstad_Intake_Choose_Option';
+import draftFound from '@salesforce/label/c.Woonstad_Intake_Draft_Found';
+import startFresh from '@salesforce/label/c.Woonstad_Intake_Start_Fresh';
+import resumeDraft from '@salesforce/label/c.Woonstad_Intake_Resume_Draft';
+import fillRequired from '@salesforce/label/c.Woonstad_Intake_Fill_Required';
+import validation from '@salesforce/label/c.Woonstad_Intake_Validation';
+import changed from '@salesforce/label/c.Woonstad_Intake_Changed';
+import was from '@salesforce/label/c.Woonstad_Intake_Was';
+import edit from '@salesforce/label/c.Woonstad_Intake_Edit';
+import nextOrSave from '@salesforce/label/c.Woonstad_Intake_Next_Or_Save';
+import selectSalutation from '@salesforce/label/c.Woonstad_Intake_Select_Salutation';
+import personConfirmCheck from '@salesforce/label/c.Woonstad_Intake_Person_Confirm_Check';
+import personConfirmEdit from '@salesforce/label/c.Woonstad_Intake_Person_Confirm_Edit';
+import businessConfirmCheck from '@salesforce/label/c.Woonstad_Intake_Business_Confirm_Check';
+import businessConfirmEdit from '@salesforce/label/c.Woonstad_Intake_Business_Confirm_Edit';
+
+export const INTAKE = {
+    personalData,
+    companyData,
+    contactData,
+    salutation,
+    firstName,
+    middleName,
+    lastName,
+    birthdate,
+    phone,
+    mobile,
+    email,
+    address,
+    companyName,
+    kvkNumber,
+    vatNumber,
+    chooseOption,
+    draftFound,
+    startFresh,
+    resumeDraft,
+    fillRequired,
+    validation,
+    changed,
+    was,
+    edit,
+    nextOrSave,
+    selectSalutation,
+    personConfirmCheck,
+    personConfirmEdit,
+    businessConfirmCheck,
+    businessConfirmEdit
+};
@@ -18,10 +18,11 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-25
- * Last Modified   : 2025-08-25
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * -----------------------------------------------------------------------------------------------
+ * 2026-10-19 | DvM | Header title and close text from custom labels (NL/EN).
  * 2025-08-25 | DvM | Added full header, Flow FINISHED handling, and style loading with error logging.
  *************************************************************************************************/
 
@@ -32,12 +33,19 @@ import { loadStyle } from 'lightning/platformResourceLoader';
 // Static resource for overriding Salesforce modal styles
 import ModalStyles from '@salesforce/resourceUrl/wsrModalOverride';
 
+// Custom labels
+import { COMMON } from 'c/woonstadCommonLabels';
+import TITLE from '@salesforce/label/c.Woonstad_KC_Case_Action_Title';
+
 export default class WoonstadKCCaseAction extends LightningElement {
     /** The record Id passed to the Flow. */
     @api recordId;
 
     /** The modal header title. */
-    headerTitle = 'KC Zaak';
+    headerTitle = TITLE;
+
+    /** Text of the close button. */
+    closeLabel = COMMON.close;
 
     /**
      * Load modal-specific styling on component initialization.
@@ -11,8 +11,8 @@
  *  - Navigate to next Flow step after a choice
  *
  * Accessibility   :
- *  - Actual focus & semantics should be handled in the HTML via <button> elements
- *    (instead of clickable <div>s) to ensure keyboard accessibility.
+ *  - Cards are <button> elements (focus ring in the CSS); number keys 1/2 choose them,
+ *    "?" shows the shortcut help (c/keyboardShortcuts).
  *
  * Security        :
  *  - UI-only; any data access must be secured in Apex/Flow.
@@ -20,10 +20,12 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-18
- * Last Modified   : 2025-08-25
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * -----------------------------------------------------------------------------------------------
+ * 2026-10-19 | DvM | Card texts from custom labels (NL/EN).
+ * 2026-10-19 | DvM | Number key shortcuts (1 = Contactmoment, 2 = Nieuwe zaak), focus ring, "?" help.
  * 2025-08-25 | DvM | Standardized header & inline docs; added FlowAttributeChangeEvent emissions.
  * 2025-08-18 | DvM | Initial version: loads global CSS, handles card clicks, navigates Flow.
  *************************************************************************************************/
@@ -31,12 +33,21 @@
 import { LightningElement, api } from 'lwc';
 import { FlowNavigationNextEvent, FlowAttributeChangeEvent } from 'lightning/flowSupport';
 import { loadStyle } from 'lightning/platformResourceLoader';
+import { registerShortcuts, choiceShortcut } from 'c/keyboardShortcuts';
 
 // Static resources (icons & global stylesheet)
 import ICON_CONTACTMOMENT from '@salesforce/resourceUrl/wsrIconPhone';
 import ICON_NIEUWE_ZAAK from '@salesforce/resourceUrl/wsrIconCase';
 import GLOBAL_CSS from '@salesforce/resourceUrl/WoonstadGlobalCSS';
 
+// Custom labels
+import CONTACT_MOMENT from '@salesforce/label/c.Woonstad_KC_Case_Choice_Contact_Moment';
+import CONTACT_MOMENT_TITLE from '@salesforce/label/c.Woonstad_KC_Case_Choice_Contact_Moment_Title';
+import CONTACT_MOMENT_ALT from '@salesforce/label/c.Woonstad_KC_Case_Choice_Contact_Moment_Alt';
+import NEW_CASE from '@salesforce/label/c.Woonstad_KC_Case_Choice_New_Case';
+import NEW_CASE_TITLE from '@salesforce/label/c.Woonstad_KC_Case_Choice_New_Case_Title';
+import NEW_CASE_ALT from '@salesforce/label/c.Woonstad_KC_Case_Choice_New_Case_Alt';
+
 export default class WoonstadKCCaseChoice extends LightningElement {
     // ===== Public API (Flow outputs & layout) ================================================
 
@@ -55,11 +66,38 @@ export default class WoonstadKCCaseChoice extends LightningElement {
     iconContactmoment = ICON_CONTACTMOMENT;
     iconNieuweZaak = ICON_NIEUWE_ZAAK;
 
+    /** Card texts (NL/EN); titles carry the number key. */
+    label = {
+        contactMoment: CONTACT_MOMENT,
+        contactMomentTitle: `${CONTACT_MOMENT_TITLE} (1)`,
+        contactMomentAlt: CONTACT_MOMENT_ALT,
+        newCase: NEW_CASE,
+        newCaseTitle: `${NEW_CASE_TITLE} (2)`,
+        newCaseAlt: NEW_CASE_ALT
+    };
+
     /** Ensure global CSS is loaded only once. */
     stylesLoaded = false;
 
+    /** Unregisters the number key shortcuts. */
+    _unregisterShortcuts;
+
     // ===== Lifecycle ==========================================================================
 
+    /**
+     * Registers the number keys for the cards (same order as in the template).
+     */
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...choiceShortcut(0), label: CONTACT_MOMENT, handler: () => this.handleContactmomentClick() },
+            { ...choiceShortcut(1), label: NEW_CASE, handler: () => this.handleNieuweZaakClick() }
+        ]);
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+    }
+
     /**
      * Loads shared Woonstad CSS once.
      */
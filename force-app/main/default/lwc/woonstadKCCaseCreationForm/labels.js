@@ -0,0 +1,100 @@
+/*************************************************************************************************
+ * Module          : woonstadKCCaseCreationForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadKCCaseCreationForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import similarFound from '@salesforce/label/c.Woonstad_KCCaseCreation_Similar_Found';
+import title from '@salesforce/label/c.Woonstad_KCCaseCreation_Title';
+import templateSearch from '@salesforce/label/c.Woonstad_KCCaseCreation_Template_Search';
+import templateSearchPlaceholder from '@salesforce/label/c.Woonstad_KCCaseCreation_Template_Search_Placeholder';
+import templates from '@salesforce/label/c.Woonstad_KCCaseCreation_Templates';
+import noTemplate from '@salesforce/label/c.Woonstad_KCCaseCreation_No_Template';
+import templateUsage from '@salesforce/label/c.Woonstad_KCCaseCreation_Template_Usage';
+import templatePartial from '@salesforce/label/c.Woonstad_KCCaseCreation_Template_Partial';
+import templateSkipped from '@salesforce/label/c.Woonstad_KCCaseCreation_Template_Skipped';
+import type from '@salesforce/label/c.Woonstad_KCCaseCreation_Type';
+import typePlaceholder from '@salesforce/label/c.Woonstad_KCCaseCreation_Type_Placeholder';
+import origin from '@salesforce/label/c.Woonstad_KCCaseCreation_Origin';
+import originPlaceholder from '@salesforce/label/c.Woonstad_KCCaseCreation_Origin_Placeholder';
+import contact from '@salesforce/label/c.Woonstad_KCCaseCreation_Contact';
+import contactPlaceholder from '@salesforce/label/c.Woonstad_KCCaseCreation_Contact_Placeholder';
+import subject from '@salesforce/label/c.Woonstad_KCCaseCreation_Subject';
+import subjectPlaceholder from '@salesforce/label/c.Woonstad_KCCaseCreation_Subject_Placeholder';
+import description from '@salesforce/label/c.Woonstad_KCCaseCreation_Description';
+import descriptionPlaceholder from '@salesforce/label/c.Woonstad_KCCaseCreation_Description_Placeholder';
+import attachments from '@salesforce/label/c.Woonstad_KCCaseCreation_Attachments';
+import addedFiles from '@salesforce/label/c.Woonstad_KCCaseCreation_Added_Files';
+import removeFile from '@salesforce/label/c.Woonstad_KCCaseCreation_Remove_File';
+import fileNotRemoved from '@salesforce/label/c.Woonstad_KCCaseCreation_File_Not_Removed';
+import filesNotLinked from '@salesforce/label/c.Woonstad_KCCaseCreation_Files_Not_Linked';
+import filesNotLinkedMessage from '@salesforce/label/c.Woonstad_KCCaseCreation_Files_Not_Linked_Message';
+import caseCreated from '@salesforce/label/c.Woonstad_KCCaseCreation_Case_Created';
+import caseNumber from '@salesforce/label/c.Woonstad_KCCaseCreation_Case_Number';
+import status from '@salesforce/label/c.Woonstad_KCCaseCreation_Status';
+import reason from '@salesforce/label/c.Woonstad_KCCaseCreation_Reason';
+import openCase from '@salesforce/label/c.Woonstad_KCCaseCreation_Open_Case';
+import noMatches from '@salesforce/label/c.Woonstad_KCCaseCreation_No_Matches';
+import similarError from '@salesforce/label/c.Woonstad_KCCaseCreation_Similar_Error';
+import previousSimilarPage from '@salesforce/label/c.Woonstad_KCCaseCreation_Previous_Similar_Page';
+import nextSimilarPage from '@salesforce/label/c.Woonstad_KCCaseCreation_Next_Similar_Page';
+import articles from '@salesforce/label/c.Woonstad_KCCaseCreation_Articles';
+import configError from '@salesforce/label/c.Woonstad_KCCaseCreation_Config_Error';
+import noRecordType from '@salesforce/label/c.Woonstad_KCCaseCreation_No_Record_Type';
+import recordTypeError from '@salesforce/label/c.Woonstad_KCCaseCreation_Record_Type_Error';
+import typeError from '@salesforce/label/c.Woonstad_KCCaseCreation_Type_Error';
+import originError from '@salesforce/label/c.Woonstad_KCCaseCreation_Origin_Error';
+import contactsError from '@salesforce/label/c.Woonstad_KCCaseCreation_Contacts_Error';
+
+export const LABELS = {
+  similarFound,
+  title,
+  templateSearch,
+  templateSearchPlaceholder,
+  templates,
+  noTemplate,
+  templateUsage,
+  templatePartial,
+  templateSkipped,
+  type,
+  typePlaceholder,
+  origin,
+  originPlaceholder,
+  contact,
+  contactPlaceholder,
+  subject,
+  subjectPlaceholder,
+  description,
+  descriptionPlaceholder,
+  attachments,
+  addedFiles,
+  removeFile,
+  fileNotRemoved,
+  filesNotLinked,
+  filesNotLinkedMessage,
+  caseCreated,
+  caseNumber,
+  status,
+  reason,
+  openCase,
+  noMatches,
+  similarError,
+  previousSimilarPage,
+  nextSimilarPage,
+  articles,
+  configError,
+  noRecordType,
+  recordTypeError,
+  typeError,
+  originError,
+  contactsError
+};
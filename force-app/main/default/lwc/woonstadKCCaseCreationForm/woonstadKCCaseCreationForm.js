@@ -8,9 +8,15 @@
  * Responsibilities:
  *  - Load picklists dynamically based on Question/Vraag Record Type
  *  - Manage form state for all Case creation fields
- *  - Perform comprehensive client-side validation before save
- *  - Filter and paginate related open Cases for context
+ *  - Case templates (WoonstadCaseTemplates): search by keyword, prefill subject, description,
+ *    Type and Origin (only values of the Question/Vraag Record Type), count uses on save
+ *  - Validate the required fields on Opslaan (c/formValidation); summary in c-woonstad-validation-banner
+ *  - Accept files and photos (drag-and-drop) before saving; link them to the new Case on save
+ *  - Show similar open Cases (same customer, address or complex) and Knowledge articles while
+ *    typing, ranked by WoonstadSimilarCaseService, with paging
  *  - Handle Flow navigation and toast notifications
+ *  - Keyboard shortcuts (c/keyboardShortcuts): Alt+N = Opslaan, PageUp/PageDown = paging
+ *  - All texts are custom labels (./labels, c/woonstadCommonLabels) in the user's language
  *
  * Security:
  *  - All data operations delegated to Apex with proper FLS/CRUD checks
@@ -19,10 +25,18 @@
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
  * Created         : 2025-08-18
- * Last Modified   : 2025-09-18
+ * Last Modified   : 2026-10-19
  * ===============================================================================================
  * Change Log
  * -----------------------------------------------------------------------------------------------
+ * 2026-10-19 | DvM | Validation via c/formValidation (RULES, one banner component); removed validateForm,
+ *                    clearAllValidationErrors and the DOM asterisk hack (standard 'required' asterisk).
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN); missing fields listed via c/labelFormat.
+ * 2026-10-19 | DvM | Files and photos before saving (lightning-file-upload); linked to the new Case on save.
+ * 2026-10-19 | DvM | Case template library (Case_Template__mdt): keyword search, team filter, most-used first.
+ * 2026-10-19 | DvM | Similar Cases via WoonstadSimilarCaseService (subject + description, address/complex,
+ *                    reason labels) and matching Knowledge articles; replaces the Subject-only filter.
+ * 2026-10-19 | DvM | Keyboard: Alt+N = Opslaan, PageUp/PageDown = open Cases paging, "?" help (c/keyboardShortcuts).
  * 2025-09-18 | DvM | Fixed validation state clearing - fields now return to white when valid content is entered
  * 2025-09-18 | DvM | Enhanced validation to include Contact and Description as required fields
  * 2025-08-27 | DvM | Resolve RT by DeveloperName 'Question' OR 'Vraag'; picklists from that RT only.
@@ -33,12 +47,22 @@
 
 import { LightningElement, api, wire, track } from 'lwc';
 import { FlowNavigationNextEvent } from 'lightning/flowSupport';
+import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { formatLabel, formatList } from 'c/labelFormat';
+import { createFormValidator } from 'c/formValidation';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { LABELS } from './labels';
 
 // Apex
 import getInitialData from '@salesforce/apex/woonstadKCCaseCreationFormController.getInitialData';
-import getOpenCases from '@salesforce/apex/woonstadKCCaseCreationFormController.getOpenCases';
 import createCase from '@salesforce/apex/woonstadKCCaseCreationFormController.createCase';
+import attachFiles from '@salesforce/apex/woonstadKCCaseCreationFormController.attachFiles';
+import removePendingFile from '@salesforce/apex/woonstadKCCaseCreationFormController.removePendingFile';
+import findSimilar from '@salesforce/apex/WoonstadSimilarCaseService.findSimilar';
+import getTemplates from '@salesforce/apex/WoonstadCaseTemplates.getTemplates';
+import recordTemplateUsage from '@salesforce/apex/WoonstadCaseTemplates.recordUsage';
 
 // UI API
 import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
@@ -46,7 +70,33 @@ import CASE_OBJECT from '@salesforce/schema/Case';
 import TYPE_FIELD from '@salesforce/schema/Case.Type';
 import ORIGIN_FIELD from '@salesforce/schema/Case.Origin';
 
+/** Minimum characters (subject or description) before similar Cases are searched */
+const MIN_SEARCH_LENGTH = 3;
+
+/** Debounce for the similar-case search while typing */
+const SEARCH_DELAY_MS = 300;
+
+/** Templates shown at once: the most-used without a search term, the best matches with one */
+const MAX_TEMPLATE_SUGGESTIONS = 6;
+
+/** File types accepted as attachment: photos, scans and common documents */
+const ACCEPTED_FILE_FORMATS = [
+  '.jpg', '.jpeg', '.png', '.gif', '.heic', '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.txt', '.eml', '.msg'
+];
+
+/** Required fields, checked on Opslaan (c/formValidation) in screen order */
+const RULES = [
+  { field: 'caseType', label: LABELS.type, required: true },
+  { field: 'caseOrigin', label: LABELS.origin, required: true },
+  { field: 'contactId', label: LABELS.contact, required: true, requiredMessage: formatLabel(COMMON.requiredField, LABELS.contact) },
+  { field: 'subject', label: LABELS.subject, required: true },
+  { field: 'description', label: LABELS.description, required: true, requiredMessage: formatLabel(COMMON.requiredField, LABELS.description) }
+];
+
 export default class WoonstadKCCaseCreationForm extends LightningElement {
+  /** Custom labels for the template */
+  label = { ...COMMON, ...LABELS };
+
   // ========= Flow IO =========
   
   /** @type {string} - Account Record Id provided by Flow (input) */
@@ -85,26 +135,54 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
   /** @type {boolean} - Loading state during save operation */
   isLoading = false;
   
-  /** @type {string} - Validation error message displayed in banner */
-  @track validationMessage = '';
+  /** @type {?Object} - Result of the last validation, shown by c-woonstad-validation-banner */
+  validation = null;
 
-  // ========= Right Column: Open Cases =========
-  
-  /** @type {Array} - All open Cases from Apex */
-  @track allOpenCases = [];
+  /** Form validator (c/formValidation) */
+  _validator = createFormValidator(this, RULES, { onResult: (result) => { this.validation = result; } });
+
+  // ========= Attachments =========
+
+  /** @type {Array<{documentId:string,name:string,removeLabel:string}>} - Files uploaded before saving */
+  pendingFiles = [];
+
+  // ========= Case Templates =========
+
+  /** @type {Array} - Templates for the user's team, most-used first (WoonstadCaseTemplates.Template) */
+  templates = [];
+
+  /** @type {string} - Keyword search on label, subject and keywords */
+  templateSearch = '';
+
+  /** @type {string} - DeveloperName of the applied template; counted when the Case is saved */
+  appliedTemplateName;
+
+  /** @type {object} - Wired template result, for refreshApex after a use is counted */
+  _wiredTemplates;
+
+  // ========= Right Column: Similar Cases =========
   
-  /** @type {Array} - Filtered list based on subject search */
+  /** @type {Array} - Ranked similar Cases (WoonstadSimilarCaseService.CaseMatch) */
   @track fullFilteredList = [];
   
-  /** @type {Array} - Current page of filtered Cases for display */
+  /** @type {Array} - Current page of similar Cases for display */
   @track paginatedCases = [];
   
   /** @type {boolean} - Whether there are matching Cases to show */
   @track hasMatches = false;
+
+  /** @type {Array} - Matching Knowledge articles (WoonstadSimilarCaseService.ArticleMatch) */
+  @track similarArticles = [];
   
-  /** @type {number} - Timeout handle for subject search debouncing */
+  /** @type {number} - Timeout handle for search debouncing */
   searchTimeout;
 
+  /** @type {number} - Sequence of the latest search; older responses are ignored */
+  _searchSeq = 0;
+
+  /** @type {Function} - Unregisters the keyboard shortcuts (c/keyboardShortcuts) */
+  _unregisterShortcuts;
+
   // ========= Pagination =========
   
   /** @type {number} - Current page number (1-based) */
@@ -144,14 +222,10 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
         this.questionRecordTypeId = questionRT.recordTypeId;
       } else {
         this.questionRecordTypeId = null;
-        this.showToast(
-          'Configuratiefout',
-          'Geen Recordtype met DeveloperName "Question" of "Vraag" gevonden op Case.',
-          'error'
-        );
+        this.showToast(LABELS.configError, LABELS.noRecordType, 'error');
       }
     } else if (error) {
-      this.showToast('Fout', 'Kon Case recordtype-informatie niet ophalen.', 'error');
+      this.showToast(COMMON.error, LABELS.recordTypeError, 'error');
     }
   }
 
@@ -168,7 +242,7 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
         this.caseType = data.defaultValue.value;
       }
     } else if (error && this.questionRecordTypeId) {
-      this.showToast('Fout', 'Kon Case.Type (Question/Vraag RT) niet ophalen.', 'error');
+      this.showToast(COMMON.error, LABELS.typeError, 'error');
     }
   }
 
@@ -185,7 +259,7 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
         this.caseOrigin = data.defaultValue.value;
       }
     } else if (error && this.questionRecordTypeId) {
-      this.showToast('Fout', 'Kon Case.Herkomst (Question/Vraag RT) niet ophalen.', 'error');
+      this.showToast(COMMON.error, LABELS.originError, 'error');
     }
   }
 
@@ -199,132 +273,275 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
       this.accountName = data.accountName;
       this.contactOptions = data.contactOptions || [];
     } else if (error) {
-      this.showToast('Fout bij laden', 'Kon de contactgegevens niet ophalen.', 'error');
+      this.showToast(COMMON.loadError, LABELS.contactsError, 'error');
     }
   }
 
   /**
-   * Wire to get open Cases for the Account to show contextual information.
-   * Used for filtering and showing related Cases in the right column.
+   * Wire to get the Case templates visible to the user's team, most-used first.
    */
-  @wire(getOpenCases, { accountId: '$recordId' })
-  wiredOpenCases({ error, data }) {
-    if (data) {
-      this.allOpenCases = Array.isArray(data) ? data : [];
-    } else if (error) {
-      this.showToast('Fout bij laden', 'Kon openstaande zaken niet ophalen.', 'error');
+  @wire(getTemplates)
+  wiredTemplates(result) {
+    this._wiredTemplates = result;
+    if (result.data) {
+      this.templates = result.data;
+    } else if (result.error) {
+      this.templates = [];
     }
   }
 
   // ========= Input Handlers =========
 
   /**
-   * Clears validation errors from all form fields.
-   * This method ensures that all fields return to their normal state when valid content is entered.
-   */
-  clearAllValidationErrors() {
-    // Clear all field-level validation errors
-    const allFields = this.template.querySelectorAll('lightning-input, lightning-combobox, lightning-textarea');
-    allFields.forEach(field => {
-      field.setCustomValidity('');
-      field.reportValidity();
-    });
-    
-    // Clear the validation banner
-    this.validationMessage = '';
-  }
-
-  /**
-   * Handles Subject field changes with debounced Case filtering.
-   * Clears validation message and field-level errors when user starts typing valid content.
+   * Handles Subject field changes with a debounced similar-case search.
+   * Clears the validation message of the field.
    * @param {Event} e - Input event with the new value
    */
   handleSubjectKeyUp(e) {
     this.subject = e.target.value;
-    
-    // Clear validation state when user enters valid content
-    if (this.subject && this.subject.trim()) {
-      this.clearAllValidationErrors();
-    }
-    
-    // Debounce the search to avoid excessive filtering
-    clearTimeout(this.searchTimeout);
-    this.searchTimeout = setTimeout(() => this.filterCases(), 300);
+    this._validator.clearField(e.target);
+    this.scheduleSimilarSearch();
   }
 
   /**
-   * Handles Description textarea changes.
-   * Clears validation errors when user enters valid content.
+   * Handles Description textarea changes; the description is part of the similar-case search.
+   * Clears the validation message of the field.
    * @param {Event} e - Change event with the new value
    */
   handleDescriptionChange(e) { 
     this.description = e.target.value;
-    
-    // Clear validation state when user enters valid content
-    if (this.description && this.description.trim()) {
-      this.clearAllValidationErrors();
-    }
+    this._validator.clearField(e.target);
+    this.scheduleSimilarSearch();
   }
 
   /**
    * Handles Contact combobox selection.
-   * Clears validation errors when user makes a valid selection.
+   * Clears the validation message of the field.
    * @param {CustomEvent} e - Change event with selected Contact Id
    */
   handleContactChange(e) { 
     this.contactId = e.detail.value;
-    
-    // Clear validation state when user makes a valid selection
-    if (this.contactId) {
-      this.clearAllValidationErrors();
-    }
+    this._validator.clearField(e.target);
   }
 
   /**
    * Handles Case Type combobox selection.
-   * Clears validation errors when user makes a valid selection.
+   * Clears the validation message of the field.
    * @param {CustomEvent} e - Change event with selected Type value
    */
   handleTypeChange(e) { 
     this.caseType = e.detail.value;
-    
-    // Clear validation state when user makes a valid selection
-    if (this.caseType) {
-      this.clearAllValidationErrors();
-    }
+    this._validator.clearField(e.target);
   }
 
   /**
    * Handles Case Origin combobox selection.
-   * Clears validation errors when user makes a valid selection.
+   * Clears the validation message of the field.
    * @param {CustomEvent} e - Change event with selected Origin value
    */
   handleOriginChange(e) { 
     this.caseOrigin = e.detail.value;
-    
-    // Clear validation state when user makes a valid selection
-    if (this.caseOrigin) {
-      this.clearAllValidationErrors();
+    this._validator.clearField(e.target);
+  }
+
+  // ========= Case Templates =========
+
+  /**
+   * Templates matching every word of the search term (label, subject or keywords),
+   * in usage order; without a term the most-used templates.
+   * @returns {Array} Template suggestions with their display state
+   */
+  get templateSuggestions() {
+    const words = (this.templateSearch || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return this.templates
+      .filter(t => {
+        const haystack = [t.label, t.subject, t.keywords].filter(Boolean).join(' ').toLowerCase();
+        return words.every(w => haystack.includes(w));
+      })
+      .slice(0, MAX_TEMPLATE_SUGGESTIONS)
+      .map(t => ({
+        ...t,
+        chipClass: `template-chip${t.name === this.appliedTemplateName ? ' template-chip--active' : ''}`,
+        chipTitle: t.usageCount ? formatLabel(LABELS.templateUsage, t.subject, t.usageCount) : t.subject
+      }));
+  }
+
+  /** @returns {boolean} Whether the template library has templates for this user */
+  get hasTemplates() {
+    return this.templates.length > 0;
+  }
+
+  /** @returns {boolean} Whether the search found no template */
+  get noTemplateMatches() {
+    return this.hasTemplates && this.templateSuggestions.length === 0;
+  }
+
+  /**
+   * Handles the template keyword search.
+   * @param {Event} e - Input event with the search term
+   */
+  handleTemplateSearch(e) {
+    this.templateSearch = e.target.value;
+  }
+
+  /**
+   * Applies a template: prefills subject and description skeleton, and Type/Origin when they are
+   * values of the Question/Vraag Record Type picklists. Other values are skipped with a warning.
+   * @param {Event} e - Click event with the template name in dataset
+   */
+  handleTemplateSelect(e) {
+    const template = this.templates.find(t => t.name === e.currentTarget.dataset.name);
+    if (!template) return;
+
+    this.subject = template.subject || '';
+    this.description = template.description || '';
+
+    const skipped = [];
+    if (template.caseType) {
+      if (this.typeOptions.some(o => o.value === template.caseType)) {
+        this.caseType = template.caseType;
+      } else {
+        skipped.push(`${LABELS.type} "${template.caseType}"`);
+      }
     }
+    if (template.caseOrigin) {
+      if (this.originOptions.some(o => o.value === template.caseOrigin)) {
+        this.caseOrigin = template.caseOrigin;
+      } else {
+        skipped.push(`${LABELS.origin} "${template.caseOrigin}"`);
+      }
+    }
+    if (skipped.length) {
+      this.showToast(LABELS.templatePartial, formatLabel(LABELS.templateSkipped, formatList(skipped)), 'warning');
+    }
+
+    this.appliedTemplateName = template.name;
+    this._validator.reset();
+    this.scheduleSimilarSearch();
   }
 
-  // ========= Filter & Pagination =========
+  /**
+   * Counts a use of the applied template. A failure only affects the ordering, so it is not shown.
+   */
+  recordTemplateUse() {
+    if (!this.appliedTemplateName) return;
+    recordTemplateUsage({ templateName: this.appliedTemplateName })
+      .then(() => refreshApex(this._wiredTemplates))
+      .catch(() => {});
+  }
+
+  // ========= Attachments =========
+
+  /** @returns {Array<string>} File types accepted by the file upload */
+  get acceptedFormats() {
+    return ACCEPTED_FILE_FORMATS;
+  }
+
+  /** @returns {boolean} Whether files are waiting to be linked on save */
+  get hasPendingFiles() {
+    return this.pendingFiles.length > 0;
+  }
 
   /**
-   * Filters open Cases based on Subject input using case-insensitive search.
-   * Only filters when subject is longer than 2 characters to avoid too many results.
-   * Resets pagination to page 1 when filter changes.
+   * Handles finished uploads. Without a record the files land in the user's library;
+   * they are linked to the Case once it is saved.
+   * @param {CustomEvent} e - uploadfinished event with the uploaded files
    */
-  filterCases() {
-    const key = (this.subject || '').trim();
-    if (key.length > 2) {
-      const needle = key.toLowerCase();
-      this.fullFilteredList = this.allOpenCases.filter(r =>
-        r.Subject && r.Subject.toLowerCase().includes(needle)
-      );
-    } else {
-      this.fullFilteredList = [];
+  handleUploadFinished(e) {
+    const uploaded = (e.detail.files || []).map(f => ({
+      documentId: f.documentId,
+      name: f.name,
+      removeLabel: formatLabel(LABELS.removeFile, f.name)
+    }));
+    this.pendingFiles = [...this.pendingFiles, ...uploaded];
+  }
+
+  /**
+   * Removes an uploaded file before saving (deletes it from the user's library).
+   * @param {Event} e - Click event with the ContentDocument Id in dataset
+   */
+  handleRemoveFile(e) {
+    const documentId = e.currentTarget.dataset.id;
+    removePendingFile({ contentDocumentId: documentId })
+      .then(() => {
+        this.pendingFiles = this.pendingFiles.filter(f => f.documentId !== documentId);
+      })
+      .catch(error => {
+        const msg = error?.body?.message || COMMON.unknownError;
+        this.showToast(LABELS.fileNotRemoved, msg, 'error');
+      });
+  }
+
+  /**
+   * Links the uploaded files to the new Case. The Case is already saved, so a failure is only
+   * reported; the agent can add the files on the Case afterwards.
+   * @param {string} caseId - Id of the new Case
+   * @returns {Promise<void>} Resolves when linking is done or has failed
+   */
+  attachPendingFiles(caseId) {
+    if (!this.hasPendingFiles) return Promise.resolve();
+    return attachFiles({ caseId, contentDocumentIds: this.pendingFiles.map(f => f.documentId) })
+      .then(() => {
+        this.pendingFiles = [];
+      })
+      .catch(error => {
+        const msg = error?.body?.message || COMMON.unknownError;
+        this.showToast(LABELS.filesNotLinked, formatLabel(LABELS.filesNotLinkedMessage, msg), 'warning');
+      });
+  }
+
+  // ========= Similar Cases & Pagination =========
+
+  /**
+   * Debounces the similar-case search to avoid a server call per keystroke.
+   */
+  scheduleSimilarSearch() {
+    clearTimeout(this.searchTimeout);
+    this.searchTimeout = setTimeout(() => this.searchSimilar(), SEARCH_DELAY_MS);
+  }
+
+  /**
+   * Searches open Cases on the same customer, address or complex and Knowledge articles that
+   * resemble the subject and description (WoonstadSimilarCaseService), ranked by relevance.
+   * Only searches once subject or description has at least MIN_SEARCH_LENGTH characters.
+   * Resets pagination to page 1 when the result changes.
+   */
+  searchSimilar() {
+    const subject = (this.subject || '').trim();
+    const description = (this.description || '').trim();
+    const seq = ++this._searchSeq;
+
+    if (!this.recordId || (subject.length < MIN_SEARCH_LENGTH && description.length < MIN_SEARCH_LENGTH)) {
+      this.applySimilarResult(null);
+      return;
     }
+
+    findSimilar({ accountId: this.recordId, subject, description })
+      .then(result => {
+        if (seq === this._searchSeq) this.applySimilarResult(result);
+      })
+      .catch(error => {
+        if (seq !== this._searchSeq) return;
+        this.applySimilarResult(null);
+        const msg = error?.body?.message || LABELS.similarError;
+        this.showToast(COMMON.loadError, msg, 'error');
+      });
+  }
+
+  /**
+   * Shows a similar-case result (or clears it) and resets pagination.
+   * @param {{cases: Array, articles: Array}|null} result - WoonstadSimilarCaseService.Result
+   */
+  applySimilarResult(result) {
+    this.fullFilteredList = (result?.cases || []).map(m => ({
+      ...m,
+      summary: m.description || m.subject,
+      rowTitle: m.accountName ? `${m.subject} (${m.accountName})` : m.subject
+    }));
+    this.similarArticles = (result?.articles || []).map(a => ({
+      ...a,
+      url: `/lightning/r/Knowledge__kav/${a.articleVersionId}/view`
+    }));
     this.hasMatches = this.fullFilteredList.length > 0;
     this.currentPage = 1;
     this.updatePagination();
@@ -376,16 +593,39 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
     return this.currentPage === this.totalPages; 
   }
 
+  /** @returns {string} "Pagina 2 van 5" */
+  get pageInfo() {
+    return formatLabel(COMMON.pageOf, this.currentPage, this.totalPages);
+  }
+
+  /** @returns {string} Button titles with their keyboard shortcut */
+  get saveTitle() {
+    return `${COMMON.save} (Alt+N)`;
+  }
+
+  get previousPageTitle() {
+    return `${COMMON.previousPage} (PageUp)`;
+  }
+
+  get nextPageTitle() {
+    return `${COMMON.nextPage} (PageDown)`;
+  }
+
+  /** @returns {boolean} Whether matching Knowledge articles were found */
+  get hasArticles() {
+    return this.similarArticles.length > 0;
+  }
+
   // ========= Actions =========
 
   /**
    * Handles save button click - validates form and creates Case via Apex.
-   * On success: sets caseId and navigates to next Flow screen.
+   * On success: sets caseId, links the uploaded files and navigates to next Flow screen.
    * On error: shows toast with error message.
    */
   handleSave() {
     // Validate all required fields before proceeding
-    if (!this.validateForm()) return;
+    if (!this._validator.validate().isValid) return;
     
     this.isLoading = true;
     
@@ -399,12 +639,16 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
     })
       .then(id => {
         this.caseId = id;
-        this.showToast('Success', 'Zaak succesvol aangemaakt.', 'success');
+        this.showToast(COMMON.success, LABELS.caseCreated, 'success');
+        this.recordTemplateUse();
+        return this.attachPendingFiles(id);
+      })
+      .then(() => {
         this.dispatchEvent(new FlowNavigationNextEvent());
       })
       .catch(error => {
-        const msg = (error && error.body && error.body.message) ? error.body.message : 'Onbekende fout';
-        this.showToast('Fout bij opslaan', msg, 'error');
+        const msg = (error && error.body && error.body.message) ? error.body.message : COMMON.unknownError;
+        this.showToast(COMMON.saveError, msg, 'error');
       })
       .finally(() => { 
         this.isLoading = false; 
@@ -412,7 +656,7 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
   }
 
   /**
-   * Handles clicking on an open Case row - sets the Case ID and navigates to next screen.
+   * Handles clicking on a similar Case row - sets the Case ID and navigates to next screen.
    * This allows users to select an existing Case instead of creating a new one.
    * @param {Event} e - Click event with Case Id in dataset
    */
@@ -421,128 +665,20 @@ export default class WoonstadKCCaseCreationForm extends LightningElement {
     this.dispatchEvent(new FlowNavigationNextEvent());
   }
 
-  // ========= Validation =========
-
   /**
-   * Comprehensive form validation for all required fields.
-   * Validates both fields with data-required attribute and additional business-required fields.
-   * Properly clears validation states for valid fields while setting errors for invalid ones.
-   * Uses both Lightning component validation and custom business logic.
-   * @returns {boolean} True if all validations pass, false otherwise
+   * Registers the keyboard shortcuts: Alt+N saves, PageUp/PageDown page through the similar Cases.
    */
-  validateForm() {
-    // First, validate fields marked with data-required="true" using Lightning validation
-    const requiredDataFields = this.template.querySelectorAll(
-      'lightning-input[data-required="true"], lightning-combobox[data-required="true"], lightning-textarea[data-required="true"]'
-    );
-    
-    let allValid = true;
-    const missingFields = [];
-
-    // Check Lightning components with data-required attribute
-    requiredDataFields.forEach(cmp => {
-      const value = (cmp.value ?? '').toString().trim();
-      if (!value) {
-        allValid = false;
-        cmp.setCustomValidity('Dit veld is verplicht.');
-        
-        // Collect field labels for summary message
-        const label = cmp.label || cmp.name || 'Onbekend veld';
-        missingFields.push(label);
-      } else {
-        // Clear validation for valid fields
-        cmp.setCustomValidity('');
-      }
-      cmp.reportValidity();
-    });
-
-    // Additional business logic validation for non-data-required fields
-    
-    // Contact validation (business requirement)
-    const contactField = this.template.querySelector('lightning-combobox[name="contact"]');
-    if (!this.contactId || this.contactId.trim() === '') {
-      allValid = false;
-      missingFields.push('Contactpersoon');
-      
-      if (contactField) {
-        contactField.setCustomValidity('Contactpersoon is verplicht.');
-        contactField.reportValidity();
-      }
-    } else {
-      // Clear validation if field is valid
-      if (contactField) {
-        contactField.setCustomValidity('');
-        contactField.reportValidity();
-      }
-    }
-
-    // Description validation (business requirement)  
-    const descField = this.template.querySelector('lightning-textarea[label="Omschrijving"]');
-    if (!this.description || this.description.trim() === '') {
-      allValid = false;
-      missingFields.push('Omschrijving');
-      
-      if (descField) {
-        descField.setCustomValidity('Omschrijving is verplicht.');
-        descField.reportValidity();
-      }
-    } else {
-      // Clear validation if field is valid
-      if (descField) {
-        descField.setCustomValidity('');
-        descField.reportValidity();
-      }
-    }
-
-    // Set summary validation message
-    if (!allValid) {
-      if (missingFields.length === 1) {
-        this.validationMessage = `${missingFields[0]} is verplicht.`;
-      } else if (missingFields.length > 1) {
-        this.validationMessage = `De volgende velden zijn verplicht: ${missingFields.join(', ')}.`;
-      } else {
-        this.validationMessage = 'Alle verplichte velden moeten ingevuld zijn.';
-      }
-    } else {
-      // Clear validation message when all fields are valid
-      this.validationMessage = '';
-    }
-
-    return allValid;
+  connectedCallback() {
+    this._unregisterShortcuts = registerShortcuts([
+      { ...SHORTCUT.NEXT, label: COMMON.save, handler: () => this.handleSave(), enabled: () => !this.isLoading },
+      { ...SHORTCUT.PAGE_PREV, label: LABELS.previousSimilarPage, handler: () => this.handlePreviousPage(), enabled: () => this.showPagination && !this.isFirstPage },
+      { ...SHORTCUT.PAGE_NEXT, label: LABELS.nextSimilarPage, handler: () => this.handleNextPage(), enabled: () => this.showPagination && !this.isLastPage }
+    ]);
   }
 
-  /**
-   * Lifecycle hook that runs after the component renders.
-   * Used to dynamically add asterisks to required field labels since CSS can't penetrate shadow DOM.
-   */
-  renderedCallback() {
-    // Add asterisks to required fields dynamically
-    this.addRequiredAsterisks();
-  }
-
-  /**
-   * Adds red asterisks to required field labels by directly manipulating the DOM.
-   * This is necessary because CSS cannot penetrate Lightning component shadow DOM boundaries.
-   */
-  addRequiredAsterisks() {
-    const requiredFields = this.template.querySelectorAll('[data-required="true"]');
-    
-    requiredFields.forEach(field => {
-      // Find the label element within the Lightning component
-      const labelElement = field.querySelector('label.slds-form-element__label');
-      
-      if (labelElement && !labelElement.querySelector('.required-asterisk')) {
-        // Create asterisk element
-        const asterisk = document.createElement('span');
-        asterisk.className = 'required-asterisk';
-        asterisk.textContent = ' *';
-        asterisk.style.color = '#e32';
-        asterisk.style.fontWeight = 'bold';
-        
-        // Append asterisk to label
-        labelElement.appendChild(asterisk);
-      }
-    });
+  disconnectedCallback() {
+    this._unregisterShortcuts?.();
+    clearTimeout(this.searchTimeout);
   }
 
   /**
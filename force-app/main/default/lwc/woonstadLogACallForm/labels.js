@@ -0,0 +1,72 @@
+/*************************************************************************************************
+ * Module          : woonstadLogACallForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadLogACallForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import title from '@salesforce/label/c.Woonstad_Log_A_Call_Title';
+import subject from '@salesforce/label/c.Woonstad_Log_A_Call_Subject';
+import subjectPlaceholder from '@salesforce/label/c.Woonstad_Log_A_Call_Subject_Placeholder';
+import subjectRequired from '@salesforce/label/c.Woonstad_Log_A_Call_Subject_Required';
+import comments from '@salesforce/label/c.Woonstad_Log_A_Call_Comments';
+import commentsPlaceholder from '@salesforce/label/c.Woonstad_Log_A_Call_Comments_Placeholder';
+import commentsRequired from '@salesforce/label/c.Woonstad_Log_A_Call_Comments_Required';
+import reportedBy from '@salesforce/label/c.Woonstad_Log_A_Call_Reported_By';
+import contactPlaceholder from '@salesforce/label/c.Woonstad_Log_A_Call_Contact_Placeholder';
+import contactRequired from '@salesforce/label/c.Woonstad_Log_A_Call_Contact_Required';
+import relatedTo from '@salesforce/label/c.Woonstad_Log_A_Call_Related_To';
+import caseNotFound from '@salesforce/label/c.Woonstad_Log_A_Call_Case_Not_Found';
+import logged from '@salesforce/label/c.Woonstad_Log_A_Call_Logged';
+import unknownSaveError from '@salesforce/label/c.Woonstad_Log_A_Call_Unknown_Save_Error';
+import direction from '@salesforce/label/c.Woonstad_Log_A_Call_Direction';
+import outcome from '@salesforce/label/c.Woonstad_Log_A_Call_Outcome';
+import outcomePlaceholder from '@salesforce/label/c.Woonstad_Log_A_Call_Outcome_Placeholder';
+import outcomeRequired from '@salesforce/label/c.Woonstad_Log_A_Call_Outcome_Required';
+import duration from '@salesforce/label/c.Woonstad_Log_A_Call_Duration';
+import durationFromInjixo from '@salesforce/label/c.Woonstad_Log_A_Call_Duration_From_Injixo';
+import durationInvalid from '@salesforce/label/c.Woonstad_Log_A_Call_Duration_Invalid';
+import followUpDate from '@salesforce/label/c.Woonstad_Log_A_Call_Follow_Up_Date';
+import followUpHelp from '@salesforce/label/c.Woonstad_Log_A_Call_Follow_Up_Help';
+import followUpRequired from '@salesforce/label/c.Woonstad_Log_A_Call_Follow_Up_Required';
+import followUpInPast from '@salesforce/label/c.Woonstad_Log_A_Call_Follow_Up_In_Past';
+import followUpScheduled from '@salesforce/label/c.Woonstad_Log_A_Call_Follow_Up_Scheduled';
+import picklistError from '@salesforce/label/c.Woonstad_Log_A_Call_Picklist_Error';
+
+export const LABELS = {
+    title,
+    subject,
+    subjectPlaceholder,
+    subjectRequired,
+    comments,
+    commentsPlaceholder,
+    commentsRequired,
+    reportedBy,
+    contactPlaceholder,
+    contactRequired,
+    relatedTo,
+    caseNotFound,
+    logged,
+    unknownSaveError,
+    direction,
+    outcome,
+    outcomePlaceholder,
+    outcomeRequired,
+    duration,
+    durationFromInjixo,
+    durationInvalid,
+    followUpDate,
+    followUpHelp,
+    followUpRequired,
+    followUpInPast,
+    followUpScheduled,
+    picklistError
+};
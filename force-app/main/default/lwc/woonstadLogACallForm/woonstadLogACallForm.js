@@ -4,25 +4,35 @@
  * File            : woonstadLogACallForm.js
  * Purpose         : JS controller for the Woonstad "Log a Call" form LWC.
  * Responsibilities:
- *  - Manage local UI state (subject, comments, whoId, loading/error states)
- *  - Load case details and related contacts via Apex (@wire)
+ *  - Manage local UI state (subject, comments, whoId, direction, outcome, duration, callback date)
+ *  - Load case details and related contacts via Apex (@wire); direction and outcome picklists of
+ *    Contact_Moment__c via the UI API (translated values)
+ *  - Duration from the Injixo contact event (contactEvent) when the Flow passes one
  *  - Emit Flow output attribute changes and navigate next on success
- *  - Perform comprehensive client-side validation for all required fields
- *  - Show user feedback (toasts and error banners)
+ *  - Validate the required fields on Opslaan (c/formValidation)
+ *  - Show user feedback (toasts and c-woonstad-validation-banner)
+ *  - Alt+N = Opslaan (c/keyboardShortcuts)
  * Accessibility   :
- *  - Validation exposes clear error banner messages consumed by the template
+ *  - Messages on the inputs; the summary banner uses role="alert"
  *  - Required field indicators in HTML template
  * Security        :
  *  - No FLS/DML here; all data ops are delegated to Apex
  * Dependencies    :
  *  - Apex: WoonstadLogACallFormController (getCaseDetails, getContactsByAccountId, logCall)
+ *  - Apex type: InjixoContactEventModel (Flow input contactEvent)
  *  - Static resource: WoonstadGlobalCSS (loaded once in renderedCallback)
  * Owner           : Woonstad KC
  * Author          : Dennis van Musschenbroek
- * Last Modified   : 2025-09-18
+ * Last Modified   : 2026-10-19
  * =============================================
  * Change Log
  * ---------------------------------------------
+ * 2026-10-19 | D. van Musschenbroek | Call direction, outcome, duration (Injixo contact event) and callback date;
+ *                                      a callback date creates the follow-up Task "Terugbellen".
+ * 2026-10-19 | D. van Musschenbroek | Duration cap backed by validation rule Duration_Minutes_Max_8_Hours.
+ * 2026-10-19 | D. van Musschenbroek | Validation via c/formValidation (RULES, shared banner); replaces validateInput.
+ * 2026-10-19 | D. van Musschenbroek | Texts from custom labels (NL/EN) via ./labels; missing fields via c/labelFormat.
+ * 2026-10-19 | D. van Musschenbroek | Keyboard: Alt+N = Opslaan, "?" shortcut help (c/keyboardShortcuts).
  * 2025-09-18 | D. van Musschenbroek | Enhanced validation to include Contact and Comments as required fields
  * 2025-08-25 | D. van Musschenbroek | Standardized header, inline JSDoc, and sectioning. No functional changes.
  * 2025-08-20 | D. van Musschenbroek | Updated error message to be consistent with other forms.
@@ -30,16 +40,66 @@
  * =============================================
  */
 
-import { LightningElement, api, wire, track } from 'lwc';
+import { LightningElement, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { loadStyle } from 'lightning/platformResourceLoader';
 import { FlowNavigationNextEvent, FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import { registerShortcuts, SHORTCUT } from 'c/keyboardShortcuts';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { createFormValidator } from 'c/formValidation';
+import { formatLabel } from 'c/labelFormat';
+import { isoToDutch } from 'c/dutchValidators';
+import { LABELS } from './labels';
 
 import WoonstadGlobalCSS from '@salesforce/resourceUrl/WoonstadGlobalCSS';
 import getCaseDetails from '@salesforce/apex/woonstadLogACallFormController.getCaseDetails';
 import getContactsByAccountId from '@salesforce/apex/woonstadLogACallFormController.getContactsByAccountId';
 import logCall from '@salesforce/apex/woonstadLogACallFormController.logCall';
 
+import CONTACT_MOMENT_OBJECT from '@salesforce/schema/Contact_Moment__c';
+import CALL_DIRECTION_FIELD from '@salesforce/schema/Contact_Moment__c.Call_Direction__c';
+import CALL_OUTCOME_FIELD from '@salesforce/schema/Contact_Moment__c.Call_Outcome__c';
+
+/** Call_Outcome__c value that needs a callback date (woonstadLogACallFormController.OUTCOME_CALLBACK). */
+const OUTCOME_CALLBACK = 'Callback Needed';
+
+/** Same cap as validation rule Contact_Moment__c.Duration_Minutes_Max_8_Hours (woonstadLogACallFormController). */
+const MAX_DURATION_MINUTES = 480;
+
+/** Required fields, checked on Opslaan (c/formValidation) in screen order. */
+const RULES = [
+    { field: 'subject', label: LABELS.subject, required: true, requiredMessage: LABELS.subjectRequired },
+    { field: 'comments', label: LABELS.comments, required: true, requiredMessage: LABELS.commentsRequired },
+    { field: 'whoId', label: LABELS.reportedBy, required: true, requiredMessage: LABELS.contactRequired },
+    { field: 'direction', label: LABELS.direction, required: true },
+    { field: 'outcome', label: LABELS.outcome, required: true, requiredMessage: LABELS.outcomeRequired },
+    { field: 'durationMinutes', label: LABELS.duration, validate: validateDuration },
+    {
+        field: 'followUpDate',
+        label: LABELS.followUpDate,
+        required: (cmp) => cmp.isCallbackNeeded,
+        requiredMessage: LABELS.followUpRequired,
+        validate: (value) => (value < todayIso() ? LABELS.followUpInPast : '')
+    }
+];
+
+/** @returns {string} Today in the user's time zone as yyyy-MM-dd (comparable with a date input value). */
+function todayIso() {
+    const today = new Date();
+    return [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+        .map((part) => String(part).padStart(2, '0'))
+        .join('-');
+}
+
+/** @returns {string} '' or the message for a duration outside 0..MAX_DURATION_MINUTES. */
+function validateDuration(value) {
+    const minutes = Number(value);
+    return Number.isFinite(minutes) && minutes >= 0 && minutes <= MAX_DURATION_MINUTES
+        ? ''
+        : formatLabel(LABELS.durationInvalid, MAX_DURATION_MINUTES);
+}
+
 export default class WoonstadLogACallForm extends LightningElement {
     // ========= Public API (Flow inputs/outputs) =========
 
@@ -58,35 +118,107 @@ export default class WoonstadLogACallForm extends LightningElement {
     /** @type {string} - Selected Contact Id ("Gemeld door") (output to Flow). */
     @api whoId;
 
+    /** @type {Object} - Injixo contact event of the call (InjixoContactEventModel, input); gives the duration. */
+    @api contactEvent;
+
     // ========= Internal reactive state =========
 
+    /** @type {Object<string,string>} - Custom labels used by the template. */
+    label = { ...COMMON, ...LABELS };
+
     /** @type {string} - Read-only display of the related Case for the UI. */
     caseDetails;
 
     /** @type {Array<{label:string,value:string}>} - Options for the Contact combobox. */
     contactOptions = [];
 
+    /** @type {string} - Call direction (Contact_Moment__c.Call_Direction__c). */
+    direction = 'Inbound';
+
+    /** @type {string} - Call outcome (Contact_Moment__c.Call_Outcome__c). */
+    outcome = '';
+
+    /** @type {string} - Duration in minutes typed by the user; only used without a contact event. */
+    enteredDurationMinutes = '';
+
+    /** @type {string} - Callback date (yyyy-MM-dd); creates the follow-up Task "Terugbellen". */
+    followUpDate = '';
+
+    /** @type {Array<{label:string,value:string}>} - Direction options (translated picklist values). */
+    directionOptions = [];
+
+    /** @type {Array<{label:string,value:string}>} - Outcome options (translated picklist values). */
+    outcomeOptions = [];
+
+    /** @type {string} - Record type for the picklist values (default of Contact_Moment__c). */
+    contactMomentRecordTypeId;
+
     /** @type {boolean} - Ensures global CSS loads only once. */
     stylesLoaded = false;
 
     /** @type {boolean} - Spinner/disabled state during save. */
     isLoading = false;
 
-    // Error banner state
-    /** @type {boolean} - Whether to show the error banner in the UI. */
-    @track hasError = false;
+    /** @type {Function} - Unregisters the keyboard shortcuts (c/keyboardShortcuts). */
+    _unregisterShortcuts;
 
-    /** @type {string} - Error banner message. */
-    @track errorMessage = '';
+    /** @type {?Object} - Result of the last validation, shown by c-woonstad-validation-banner. */
+    validation = null;
+
+    /** @type {Object} - Form validator (c/formValidation). */
+    _validator = createFormValidator(this, RULES, { onResult: (result) => { this.validation = result; } });
 
     // ========= Getters =========
 
+    /** @returns {boolean} Whether the Flow passed an Injixo contact event with a duration. */
+    get hasContactEvent() {
+        return this.contactEvent?.properties?.duration != null;
+    }
+
+    /**
+     * Duration shown in the form: from the contact event (rounded up to whole minutes) or as typed.
+     * @returns {number|string}
+     */
+    get durationMinutes() {
+        return this.hasContactEvent
+            ? Math.ceil(Number(this.contactEvent.properties.duration) / 60)
+            : this.enteredDurationMinutes;
+    }
+
     /**
-     * Returns container classes for the subject input, highlighting when invalid.
+     * Duration for Apex in seconds: exact from the contact event, otherwise the typed minutes.
+     * @returns {?number}
+     */
+    get durationSeconds() {
+        if (this.hasContactEvent) {
+            return Math.round(Number(this.contactEvent.properties.duration));
+        }
+        return this.enteredDurationMinutes === '' || this.enteredDurationMinutes == null
+            ? null
+            : Math.round(Number(this.enteredDurationMinutes) * 60);
+    }
+
+    /** @returns {?string} Help text of the duration field when it comes from Injixo. */
+    get durationHelp() {
+        return this.hasContactEvent ? LABELS.durationFromInjixo : null;
+    }
+
+    /** @returns {boolean} Whether the outcome asks for a callback date. */
+    get isCallbackNeeded() {
+        return this.outcome === OUTCOME_CALLBACK;
+    }
+
+    /** @returns {string} Earliest callback date for the date picker. */
+    get minFollowUpDate() {
+        return todayIso();
+    }
+
+    /**
+     * Save button title including its shortcut.
      * @returns {string}
      */
-    get subjectContainerClass() {
-        return this.hasError ? 'form-input input-error' : 'form-input';
+    get saveTitle() {
+        return `${COMMON.save} (Alt+N)`;
     }
 
     // ========= Wired Apex calls =========
@@ -105,7 +237,7 @@ export default class WoonstadLogACallForm extends LightningElement {
             // (Details should be logged server-side for production).
             // eslint-disable-next-line no-console
             console.error('Error fetching case details:', error);
-            this.caseDetails = 'Case niet gevonden';
+            this.caseDetails = LABELS.caseNotFound;
         }
     }
 
@@ -129,8 +261,57 @@ export default class WoonstadLogACallForm extends LightningElement {
         }
     }
 
+    /**
+     * Default record type of Contact_Moment__c, needed for its picklist values.
+     */
+    @wire(getObjectInfo, { objectApiName: CONTACT_MOMENT_OBJECT })
+    wiredContactMomentInfo({ error, data }) {
+        if (data) {
+            this.contactMomentRecordTypeId = data.defaultRecordTypeId;
+        } else if (error) {
+            this.showToast(COMMON.error, LABELS.picklistError, 'error');
+        }
+    }
+
+    /**
+     * Call directions in the user's language.
+     */
+    @wire(getPicklistValues, { recordTypeId: '$contactMomentRecordTypeId', fieldApiName: CALL_DIRECTION_FIELD })
+    wiredDirections({ error, data }) {
+        if (data) {
+            this.directionOptions = data.values.map((v) => ({ label: v.label, value: v.value }));
+        } else if (error && this.contactMomentRecordTypeId) {
+            this.showToast(COMMON.error, LABELS.picklistError, 'error');
+        }
+    }
+
+    /**
+     * Call outcomes in the user's language.
+     */
+    @wire(getPicklistValues, { recordTypeId: '$contactMomentRecordTypeId', fieldApiName: CALL_OUTCOME_FIELD })
+    wiredOutcomes({ error, data }) {
+        if (data) {
+            this.outcomeOptions = data.values.map((v) => ({ label: v.label, value: v.value }));
+        } else if (error && this.contactMomentRecordTypeId) {
+            this.showToast(COMMON.error, LABELS.picklistError, 'error');
+        }
+    }
+
     // ========= Lifecycle =========
 
+    /**
+     * Registers Alt+N as shortcut for Opslaan (ignored while saving).
+     */
+    connectedCallback() {
+        this._unregisterShortcuts = registerShortcuts([
+            { ...SHORTCUT.NEXT, label: COMMON.save, handler: () => this.handleSave(), enabled: () => !this.isLoading }
+        ]);
+    }
+
+    disconnectedCallback() {
+        this._unregisterShortcuts?.();
+    }
+
     /**
      * Loads the shared Woonstad global stylesheet once when the component renders.
      * Uses platformResourceLoader for safe, deferred loading.
@@ -153,63 +334,91 @@ export default class WoonstadLogACallForm extends LightningElement {
 
     /**
      * Handles updates to the Subject field and emits Flow attribute change.
-     * Hides the error banner when the user starts typing again.
+     * Clears the validation message of the field.
      * @param {CustomEvent} event - Input change event containing the new value
      */
     handleSubjectChange(event) {
         this.subject = event.target.value;
         // Emit the change to Flow so it can track this output variable
         this.dispatchEvent(new FlowAttributeChangeEvent('subject', this.subject));
-
-        // Clear error state when user starts typing
-        if (this.subject && this.subject.trim()) {
-            this.hasError = false;
-        }
+        this._validator.clearField(event.target);
     }
 
     /**
      * Handles updates to the Comments field and emits Flow attribute change.
-     * Clears error state when user enters valid content.
+     * Clears the validation message of the field.
      * @param {CustomEvent} event - Textarea change event containing the new value
      */
     handleCommentsChange(event) {
         this.comments = event.target.value;
         // Emit the change to Flow so it can track this output variable
         this.dispatchEvent(new FlowAttributeChangeEvent('comments', this.comments));
-
-        // Clear error state when user starts typing
-        if (this.comments && this.comments.trim()) {
-            this.hasError = false;
-        }
+        this._validator.clearField(event.target);
     }
 
     /**
      * Handles updates to the Contact combobox and emits Flow attribute change.
-     * Clears error state when user makes a selection.
+     * Clears the validation message of the field.
      * @param {CustomEvent} event - Combobox change event containing the selected Contact Id
      */
     handleContactChange(event) {
         this.whoId = event.detail.value;
         // Emit the change to Flow so it can track this output variable
         this.dispatchEvent(new FlowAttributeChangeEvent('whoId', this.whoId));
+        this._validator.clearField(event.target);
+    }
+
+    /**
+     * Handles the direction buttons (Inbound/Outbound).
+     * @param {CustomEvent} event - Radio group change event with the selected value
+     */
+    handleDirectionChange(event) {
+        this.direction = event.detail.value;
+        this._validator.clearField(event.target);
+    }
 
-        // Clear error state when user makes a selection
-        if (this.whoId) {
-            this.hasError = false;
+    /**
+     * Handles the outcome; without "Callback Needed" the callback date is optional again,
+     * so its message is cleared as well.
+     * @param {CustomEvent} event - Combobox change event with the selected outcome
+     */
+    handleOutcomeChange(event) {
+        this.outcome = event.detail.value;
+        this._validator.clearField(event.target);
+        if (!this.isCallbackNeeded) {
+            this._validator.clearField('followUpDate');
         }
     }
 
+    /**
+     * Handles the duration typed by the user (only editable without a contact event).
+     * @param {CustomEvent} event - Input change event with the number of minutes
+     */
+    handleDurationChange(event) {
+        this.enteredDurationMinutes = event.target.value;
+        this._validator.clearField(event.target);
+    }
+
+    /**
+     * Handles the callback date.
+     * @param {CustomEvent} event - Date input change event (yyyy-MM-dd)
+     */
+    handleFollowUpDateChange(event) {
+        this.followUpDate = event.target.value;
+        this._validator.clearField(event.target);
+    }
+
     // ========= Actions =========
 
     /**
      * Validates all required inputs and invokes Apex to log the call.
-     * Shows comprehensive validation errors for missing fields.
-     * On success: shows toast and navigates to the next Flow screen.
+     * Missing fields are reported on the inputs and summarized in the banner.
+     * On success: shows toast (with the callback date, if any) and navigates to the next Flow screen.
      * On failure: shows an error toast with the Apex message.
      */
     handleSave() {
         // Validate all required fields before proceeding
-        if (!this.validateInput()) {
+        if (!this._validator.validate().isValid) {
             return;
         }
 
@@ -221,17 +430,25 @@ export default class WoonstadLogACallForm extends LightningElement {
             subject: this.subject,
             comments: this.comments,
             whoId: this.whoId,
-            caseId: this.caseId
+            caseId: this.caseId,
+            accountId: this.accountId,
+            direction: this.direction,
+            outcome: this.outcome,
+            durationSeconds: this.durationSeconds,
+            followUpDate: this.followUpDate || null
         })
             .then(() => {
                 // Success: show positive feedback and move to next screen
-                this.showToast('Succes', 'Gesprek succesvol geregistreerd!', 'success');
+                const message = this.followUpDate
+                    ? formatLabel(LABELS.followUpScheduled, isoToDutch(this.followUpDate))
+                    : LABELS.logged;
+                this.showToast(COMMON.success, message, 'success');
                 this.dispatchEvent(new FlowNavigationNextEvent());
             })
             .catch((error) => {
                 // Error: extract message from Apex exception and show to user
-                const message = error?.body?.message || 'Onbekende fout bij opslaan.';
-                this.showToast('Fout bij opslaan', message, 'error');
+                const message = error?.body?.message || LABELS.unknownSaveError;
+                this.showToast(COMMON.saveError, message, 'error');
             })
             .finally(() => {
                 // Always reset loading state regardless of success/failure
@@ -241,49 +458,6 @@ export default class WoonstadLogACallForm extends LightningElement {
 
     // ========= Helpers =========
 
-    /**
-     * Performs comprehensive required field validation for Subject, Contact, and Comments.
-     * Checks for both null/undefined values and empty strings (whitespace-only).
-     * Sets error banner with specific messaging about which fields are missing.
-     * @returns {boolean} True if all required fields are valid; otherwise false.
-     */
-    validateInput() {
-        const missingFields = [];
-        
-        // Check Subject field (trim to handle whitespace-only input)
-        if (!this.subject || this.subject.trim() === '') {
-            missingFields.push('Onderwerp');
-        }
-        
-        // Check Contact selection
-        if (!this.whoId) {
-            missingFields.push('Gemeld door');
-        }
-        
-        // Check Comments field (trim to handle whitespace-only input)
-        if (!this.comments || this.comments.trim() === '') {
-            missingFields.push('Opmerkingen');
-        }
-        
-        // If any fields are missing, show specific error message
-        if (missingFields.length > 0) {
-            if (missingFields.length === 1) {
-                // Single field missing: "Onderwerp is verplicht."
-                this.errorMessage = `${missingFields[0]} is verplicht.`;
-            } else {
-                // Multiple fields missing: "De volgende velden zijn verplicht: Onderwerp, Gemeld door."
-                this.errorMessage = `De volgende velden zijn verplicht: ${missingFields.join(', ')}.`;
-            }
-            this.hasError = true;
-            return false;
-        }
-        
-        // All validations passed - clear any previous errors
-        this.hasError = false;
-        this.errorMessage = '';
-        return true;
-    }
-
     /**
      * Shows a Lightning toast message with specified styling.
      * @param {string} title - Toast title (bold text)
@@ -0,0 +1,48 @@
+/*************************************************************************************************
+ * Module          : woonstadNameplateForm/labels (JS)
+ * Layer           : Lightning Web Component helper module
+ * Purpose         : Custom labels of woonstadNameplateForm (en_US master, nl_NL translation).
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import title from '@salesforce/label/c.Woonstad_Nameplate_Title';
+import name from '@salesforce/label/c.Woonstad_Nameplate_Name';
+import nameMissing from '@salesforce/label/c.Woonstad_Nameplate_Name_Missing';
+import suggestion from '@salesforce/label/c.Woonstad_Nameplate_Suggestion';
+import reason from '@salesforce/label/c.Woonstad_Nameplate_Reason';
+import reasonMissing from '@salesforce/label/c.Woonstad_Nameplate_Reason_Missing';
+import reasonVandalism from '@salesforce/label/c.Woonstad_Nameplate_Reason_Vandalism';
+import reasonNewTenant from '@salesforce/label/c.Woonstad_Nameplate_Reason_New_Tenant';
+import reasonComposition from '@salesforce/label/c.Woonstad_Nameplate_Reason_Composition';
+import reasonSpelling from '@salesforce/label/c.Woonstad_Nameplate_Reason_Spelling';
+import supplier from '@salesforce/label/c.Woonstad_Nameplate_Supplier';
+import supplierMissing from '@salesforce/label/c.Woonstad_Nameplate_Supplier_Missing';
+import noSupplier from '@salesforce/label/c.Woonstad_Nameplate_No_Supplier';
+import noValidSupplier from '@salesforce/label/c.Woonstad_Nameplate_No_Valid_Supplier';
+import note from '@salesforce/label/c.Woonstad_Nameplate_Note';
+
+export const LABELS = {
+  title,
+  name,
+  nameMissing,
+  suggestion,
+  reason,
+  reasonMissing,
+  reasonVandalism,
+  reasonNewTenant,
+  reasonComposition,
+  reasonSpelling,
+  supplier,
+  supplierMissing,
+  noSupplier,
+  noValidSupplier,
+  note
+};
@@ -2,6 +2,8 @@
  * Component       : woonstadNameplateForm
  * Purpose         : Flow screen with deferred validation using native Lightning validity APIs.
  * Approach        : setCustomValidity() + reportValidity() -> SLDS handles red borders/messages.
+ * Labels          : texts are custom labels (./labels, c/woonstadCommonLabels) in the user's language;
+ *                   the "no supplier" value stays Dutch because Apex and the Flow compare on it.
  *************************************************************************************************/
 
 import { LightningElement, api, track, wire } from 'lwc';
@@ -10,10 +12,16 @@ import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flo
 import getFirstSupplier from '@salesforce/apex/RealEstateSupplierFlowController.getFirstSupplier';
 import NAME_FIELD from '@salesforce/schema/Account.Name';
 import NAMEPLATE_FIELD from '@salesforce/schema/Account.Nameplate__c';
+import LANG from '@salesforce/i18n/lang';
+import { formatLabel } from 'c/labelFormat';
+import { COMMON } from 'c/woonstadCommonLabels';
+import { LABELS } from './labels';
 
 const FIELDS = [NAME_FIELD, NAMEPLATE_FIELD];
 
 export default class WoonstadNameplateForm extends LightningElement {
+  label = { ...COMMON, ...LABELS };
+
   // Flow I/O
   @api nameplateNameIn;
   @api reasonIn;
@@ -47,16 +55,16 @@ export default class WoonstadNameplateForm extends LightningElement {
   apexInitialized = false;
 
   reasonOptions = [
-    { label: 'Vernield / gestolen', value: 'Vandalism/stolen' },
-    { label: 'Nieuwe woning', value: 'New tenant' },
-    { label: 'Veranderde samenstelling', value: 'New composition of residency' },
-    { label: 'Verkeerde spelling', value: 'Incorrect name spelling' }
+    { label: LABELS.reasonVandalism, value: 'Vandalism/stolen' },
+    { label: LABELS.reasonNewTenant, value: 'New tenant' },
+    { label: LABELS.reasonComposition, value: 'New composition of residency' },
+    { label: LABELS.reasonSpelling, value: 'Incorrect name spelling' }
   ];
 
-  noSupplierOption = { label: 'Geen leverancier gevonden', value: 'Geen leverancier gevonden', email: null };
+  noSupplierOption = { label: LABELS.noSupplier, value: 'Geen leverancier gevonden', email: null };
 
   connectedCallback() {
-    this.reasonOptions.sort((a, b) => a.label.localeCompare(b.label, 'nl-NL', { sensitivity: 'base' }));
+    this.reasonOptions.sort((a, b) => a.label.localeCompare(b.label, LANG, { sensitivity: 'base' }));
     this.supplierOptions = [
       { label: "Keller's IJzerhandel B.V.", value: "Keller's IJzerhandel B.V.", email: 'denniskristoffers@icloud.com' },
       { label: 'Het Zuider Sleutelhuis B.V.', value: 'Het Zuider Sleutelhuis B.V.', email: 'denniskristoffers@gmail.com' },
@@ -90,6 +98,10 @@ export default class WoonstadNameplateForm extends LightningElement {
     return this.accountNameplate || this.accountName;
   }
 
+  get suggestionText() {
+    return formatLabel(LABELS.suggestion, this.accountNameSuggestion);
+  }
+
   // Apex
   async fetchSupplierFromApex() {
     if (!this._recordId) return;
@@ -118,7 +130,8 @@ export default class WoonstadNameplateForm extends LightningElement {
   applySupplier(name, email) {
     let exists = this.supplierOptions.find(o => o.value === name);
     if (!exists) {
-      this.supplierOptions = [...this.supplierOptions, { label: name, value: name, email: email || null }];
+      const label = name === this.noSupplierOption.value ? this.noSupplierOption.label : name;
+      this.supplierOptions = [...this.supplierOptions, { label, value: name, email: email || null }];
       exists = this.supplierOptions.find(o => o.value === name);
     }
     this.supplierName = name;
@@ -179,20 +192,20 @@ export default class WoonstadNameplateForm extends LightningElement {
     let ok = true;
 
     if (!this.nameplateName || this.nameplateName.trim() === '') {
-      nameEl.setCustomValidity('Vul de naam voor het naamplaatje in.');
+      nameEl.setCustomValidity(LABELS.nameMissing);
       ok = false;
     }
 
     if (!this.reason) {
-      reasonEl.setCustomValidity('Selecteer een reden.');
+      reasonEl.setCustomValidity(LABELS.reasonMissing);
       ok = false;
     }
 
     if (!this.isSupplierChosen()) {
       supplierEl.setCustomValidity(
         this.supplierName === this.noSupplierOption.value
-          ? 'Er is geen geldige leverancier gevonden. Kies een andere leverancier.'
-          : 'Selecteer een leverancier.'
+          ? LABELS.noValidSupplier
+          : LABELS.supplierMissing
       );
       ok = false;
     }
@@ -0,0 +1,75 @@
+/*************************************************************************************************
+ * Component       : woonstadShortcutHelp (JS)
+ * Layer           : LWC Controller
+ * Purpose         : Help overlay for the keyboard shortcuts of the Woonstad KC flow screens.
+ *
+ * Responsibilities:
+ *  - Opens on "?" (c/keyboardShortcuts; with several instances on a screen only one opens)
+ *  - Lists the shortcuts that are active at that moment
+ *  - Closes on Escape, the close button or the backdrop; focus returns to where it was
+ *
+ * Usage           : <c-woonstad-shortcut-help></c-woonstad-shortcut-help> once in the template of
+ *                   every component that calls registerShortcuts().
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Texts from custom labels (NL/EN).
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import { LightningElement } from 'lwc';
+import { registerHelpViewer, activeShortcuts } from 'c/keyboardShortcuts';
+import { COMMON } from 'c/woonstadCommonLabels';
+import TITLE from '@salesforce/label/c.Woonstad_Shortcut_Help_Title';
+
+export default class WoonstadShortcutHelp extends LightningElement {
+    label = { title: TITLE, close: `${COMMON.close} (Esc)` };
+
+    isOpen = false;
+    shortcuts = [];
+
+    _unregister;
+    _returnFocus;
+    _focusPending = false;
+
+    connectedCallback() {
+        this._unregister = registerHelpViewer({ open: () => this.open() });
+    }
+
+    disconnectedCallback() {
+        this._unregister?.();
+    }
+
+    renderedCallback() {
+        if (this._focusPending) {
+            this._focusPending = false;
+            this.template.querySelector('[data-id="close"]')?.focus();
+        }
+    }
+
+    open() {
+        this.shortcuts = activeShortcuts();
+        this._returnFocus = document.activeElement;
+        this.isOpen = true;
+        this._focusPending = true;
+    }
+
+    handleClose() {
+        this.isOpen = false;
+        this._returnFocus?.focus?.();
+        this._returnFocus = null;
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.handleClose();
+        }
+    }
+}
@@ -0,0 +1,45 @@
+/*************************************************************************************************
+ * Component       : woonstadValidationBanner (JS)
+ * Layer           : LWC Controller
+ * Purpose         : Validation banner of the Woonstad forms, so every form reports errors the same way.
+ *
+ * Responsibilities:
+ *  - Shows the summary of a c/formValidation result (missing required fields, invalid fields)
+ *  - Lists the field-level messages of the invalid fields below it
+ *  - Hidden while there is no result or the result is valid
+ *
+ * Usage           : <c-woonstad-validation-banner result={validation}></c-woonstad-validation-banner>
+ *                   above the form; validation is set by the onResult callback of createFormValidator().
+ *
+ * Owner           : Woonstad KC
+ * Author          : Dennis van Musschenbroek
+ * Created         : 2026-10-19
+ * Last Modified   : 2026-10-19
+ * ===============================================================================================
+ * Change Log
+ * ===============================================================================================
+ * 2026-10-19 | DvM | Initial version.
+ *************************************************************************************************/
+
+import { LightningElement, api } from 'lwc';
+import { COMMON } from 'c/woonstadCommonLabels';
+
+export default class WoonstadValidationBanner extends LightningElement {
+    /** @type {?{isValid: boolean, errors: Array, message: string}} c/formValidation result */
+    @api result;
+
+    label = { error: COMMON.error };
+
+    get isVisible() {
+        return !!this.result && !this.result.isValid;
+    }
+
+    /** Missing fields are named in the summary already; only invalid values get their own line */
+    get details() {
+        return (this.result?.errors || []).filter((e) => !e.missing);
+    }
+
+    get hasDetails() {
+        return this.details.length > 0;
+    }
+}